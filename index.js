@@ -1,4 +1,4 @@
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
 import { Client } from "@modelcontextprotocol/sdk/client/index.js";
 import { SSEClientTransport } from "@modelcontextprotocol/sdk/client/sse.js";
@@ -9,6 +9,8 @@ import http from 'http';
 import net from 'net';
 import { exec, spawn } from 'child_process';
 import util from 'util';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
 
 // execをPromise化して非同期処理しやすくする
 const execAsync = util.promisify(exec);
@@ -118,7 +120,8 @@ function warmupPlaywrightChromiumInBackground() {
 // =================================================================
 // 1. 事前準備: ドキュメントデータの読み込み
 // =================================================================
-function getDocsData(docsPath, label) {
+// strict 指定時は読み込み失敗を例外として投げる (リロード時に既存データを壊さないため)
+function getDocsData(docsPath, label, { strict = false } = {}) {
 	let docsData = [];
 	try {
 		if (fs.existsSync(docsPath)) {
@@ -131,97 +134,3647 @@ function getDocsData(docsPath, label) {
 			console.error(`[Warning] ${label} not found. Related docs will be empty.`);
 		}
 	} catch (error) {
+		if (strict) throw new Error(`Failed to load ${label}: ${error.message}`);
 		console.error("[Error] Failed to load docs:", error.message);
 	}
 	return docsData;
 }
-const docsData = getDocsData(path.resolve('./data/akashic_docs.json'), "akashic_docs.json");
-const apiData = getDocsData(path.resolve('./data/akashic-engine.json'), "akashic-engine.json");
 
-function normalizeDocItem(item, sourceName) {
+// 公式ドキュメントの URL 先頭のパス (https://akashic-games.github.io/<section>/...) で分類する
+const DOC_SECTIONS = ["reference", "tutorial", "reverse-reference", "shin-ichiba", "multi"];
+const DOC_VERSIONS = ["v1", "v2", "v3"];
+const CODE_FILE_EXTENSIONS = new Set([".ts", ".js", ".cjs", ".mjs", ".json"]);
+
+// URL 中の /v3/ のようなパスからエンジンのバージョンを推定する (不明なら null)
+function inferDocVersion(url) {
+	const match = String(url || "").match(/\/(v[0-9]+)(?:\/|\.html|$)/);
+	return match && DOC_VERSIONS.includes(match[1]) ? match[1] : null;
+}
+
+function inferDocSection(url) {
+	try {
+		const first = new URL(url).pathname.split("/").filter(Boolean)[0];
+		return DOC_SECTIONS.includes(first) ? first : null;
+	} catch {
+		return null;
+	}
+}
+
+// リポジトリ由来のソースファイルは code、それ以外 (解説ページ・README 等) は prose として扱う
+function inferDocContentType(title, url) {
+	const target = title || url;
+	return CODE_FILE_EXTENSIONS.has(path.extname(String(target).split(/[?#]/)[0]).toLowerCase()) ? "code" : "prose";
+}
+
+// url が空の項目 (repo_to_json.cjs を --base-url なしで実行した場合など) は urlBase + title で補う
+// バージョンが URL から分からない場合はソースの version (sources.json) を使う
+function normalizeDocItem(item, sourceEntry) {
+	const { name: sourceName, urlBase = "", version: sourceVersion = null } = sourceEntry;
 	const title = typeof item?.title === "string" ? item.title.trim() : "";
-	const url = typeof item?.url === "string" ? item.url.trim() : "";
+	let url = typeof item?.url === "string" ? item.url.trim() : "";
 	const content = typeof item?.content === "string" ? item.content : "";
 	if (!title && !url && !content) return null;
-	return { source: sourceName, title, url, content };
+	if (!url && urlBase && title) {
+		url = `${urlBase.replace(/\/+$/, "")}/${title.split("/").map((part) => encodeURIComponent(part)).join("/")}`;
+	}
+	return {
+		source: sourceName,
+		title,
+		url,
+		content,
+		version: inferDocVersion(url) || sourceVersion,
+		section: inferDocSection(url),
+		contentType: inferDocContentType(title, url)
+	};
+}
+
+// =================================================================
+// 1.0 ドキュメントソースのレジストリ (data/sources.json)
+// =================================================================
+const DOCS_DATA_DIR = path.resolve('./data');
+const DOC_SOURCES_MANIFEST = "sources.json";
+const SEARCH_SYNONYMS_FILE = "synonyms.json";
+// ドキュメントではない設定ファイル (data/*.json の自動読み込みから除外する)
+const DOC_DATA_RESERVED_FILES = new Set([DOC_SOURCES_MANIFEST, SEARCH_SYNONYMS_FILE]);
+
+// マニフェストに載っていない data/*.json もファイル名をソース名として読み込む
+function loadDocSourceManifest(dataDir) {
+	let entries = [];
+	const manifestPath = path.resolve(dataDir, DOC_SOURCES_MANIFEST);
+	try {
+		if (fs.existsSync(manifestPath)) {
+			const parsed = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+			if (Array.isArray(parsed)) {
+				entries = parsed.filter((entry) => entry && typeof entry.name === "string" && typeof entry.file === "string");
+			} else {
+				console.error(`[Warning] ${DOC_SOURCES_MANIFEST} must be an array. Ignoring it.`);
+			}
+		}
+	} catch (error) {
+		console.error(`[Error] Failed to load ${DOC_SOURCES_MANIFEST}:`, error.message);
+	}
+
+	const listedFiles = new Set(entries.map((entry) => entry.file));
+	let dataFiles = [];
+	try {
+		dataFiles = fs.existsSync(dataDir) ? fs.readdirSync(dataDir) : [];
+	} catch {
+		dataFiles = [];
+	}
+	for (const file of dataFiles.sort()) {
+		if (!file.endsWith(".json") || DOC_DATA_RESERVED_FILES.has(file) || listedFiles.has(file)) continue;
+		entries.push({ name: path.basename(file, ".json"), file, discovered: true });
+	}
+
+	return entries.map((entry) => ({
+		name: entry.name,
+		file: entry.file,
+		urlBase: typeof entry.urlBase === "string" ? entry.urlBase : "",
+		version: DOC_VERSIONS.includes(entry.version) ? entry.version : null,
+		priority: typeof entry.priority === "number" ? entry.priority : 0,
+		tags: Array.isArray(entry.tags) ? entry.tags.filter((tag) => typeof tag === "string") : [],
+		discovered: Boolean(entry.discovered)
+	}));
+}
+
+function loadDocSources(dataDir, { strict = false } = {}) {
+	const sources = loadDocSourceManifest(dataDir)
+		.sort((a, b) => b.priority - a.priority)
+		.map((entry) => {
+			const filePath = path.resolve(dataDir, entry.file);
+			const exists = fs.existsSync(filePath);
+			const docs = exists
+				? getDocsData(filePath, entry.file, { strict }).map((item) => normalizeDocItem(item, entry)).filter(Boolean)
+				: [];
+			if (!exists) {
+				console.error(`[Warning] ${entry.file} (source: ${entry.name}) not found. Related docs will be empty.`);
+			}
+			return { ...entry, status: exists ? "loaded" : "missing", count: docs.length, docs };
+		});
+	return sources;
+}
+
+function formatDocSourceReport(sources) {
+	return sources.map((source) => {
+		const tags = source.tags.length > 0 ? ` tags=${source.tags.join(",")}` : "";
+		const discovered = source.discovered ? " (not in manifest)" : "";
+		return `- ${source.name}: ${source.count} docs [${source.status}] file=${source.file} priority=${source.priority}${tags}${discovered}`;
+	}).join("\n");
+}
+
+// search_akashic_docs の絞り込み条件を文書のフィルタに変換する
+// version 指定時もバージョン不明の文書 (プラットフォーム共通の解説など) は対象に残す
+function buildDocFilter(sources, { names, tags, version, section, contentType }) {
+	const nameSet = Array.isArray(names) && names.length > 0 ? new Set(names) : null;
+	const tagSet = Array.isArray(tags) && tags.length > 0 ? new Set(tags) : null;
+	const strictVersion = version && version !== "any" ? version : null;
+	if (!nameSet && !tagSet && !strictVersion && !section && !contentType) return null;
+	const allowed = new Set(
+		sources
+			.filter((source) => (!nameSet || nameSet.has(source.name)) && (!tagSet || source.tags.some((tag) => tagSet.has(tag))))
+			.map((source) => source.name)
+	);
+	return (doc) => allowed.has(doc.source)
+		&& (!strictVersion || !doc.version || doc.version === strictVersion)
+		&& (!section || doc.section === section)
+		&& (!contentType || doc.contentType === contentType);
+}
+
+// version 未指定なら v3 を優先し、v1/v2 のページは残しつつ順位を下げる
+function buildDocVersionBoost(version) {
+	if (version) return null;
+	return (doc) => (doc.version && doc.version !== SEARCH_PREFERRED_VERSION ? SEARCH_NON_PREFERRED_VERSION_FACTOR : 1);
+}
+
+function formatDocKind(doc) {
+	return [doc.version || "any version", doc.section || "-", doc.contentType].join(" / ");
+}
+
+
+// =================================================================
+// 1.1 全文検索インデックス (BM25)
+// =================================================================
+const SEARCH_BM25_K1 = 1.2;
+const SEARCH_BM25_B = 0.75;
+const SEARCH_TITLE_BOOST = 2.5;
+// バージョン未指定の検索では v3 以外のバージョンのページのスコアをこの倍率で下げる
+const SEARCH_NON_PREFERRED_VERSION_FACTOR = 0.4;
+const SEARCH_PREFERRED_VERSION = "v3";
+// 同義語展開で追加した語の重み (元のクエリの語より弱くする)
+const SEARCH_EXPANSION_WEIGHT = 0.6;
+
+// 英数字の識別子 (g.Sprite#srcWidth のようなドット区切りも 1 語として扱う) と、
+// 空白で区切られない日本語の連続部分をそれぞれ抽出する
+const SEARCH_WORD_PATTERN = /[a-z0-9_$]+(?:[.#][a-z0-9_$]+)*|[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]+/g;
+const SEARCH_CJK_PATTERN = /^[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]/;
+
+function tokenizeForSearch(text) {
+	const tokens = [];
+	if (!text) return tokens;
+	const normalized = String(text).normalize("NFKC").toLowerCase();
+	for (const match of normalized.matchAll(SEARCH_WORD_PATTERN)) {
+		const word = match[0];
+		if (SEARCH_CJK_PATTERN.test(word)) {
+			// 日本語は分かち書きされないため文字 bigram で索引する
+			if (word.length === 1) {
+				tokens.push(word);
+				continue;
+			}
+			for (let i = 0; i < word.length - 1; i++) {
+				tokens.push(word.slice(i, i + 2));
+			}
+			continue;
+		}
+		tokens.push(word);
+		if (/[.#]/.test(word)) {
+			for (const part of word.split(/[.#]/)) {
+				if (part.length >= 2) tokens.push(part);
+			}
+		}
+	}
+	return tokens;
+}
+
+function countTerms(tokens) {
+	const counts = new Map();
+	for (const token of tokens) {
+		counts.set(token, (counts.get(token) || 0) + 1);
+	}
+	return counts;
+}
+
+function buildSearchIndex(docs) {
+	const postings = new Map();
+	const bodyLengths = [];
+	const titleLengths = [];
+	let totalBodyLength = 0;
+	let totalTitleLength = 0;
+
+	docs.forEach((doc, docIndex) => {
+		const titleTokens = tokenizeForSearch(doc.title);
+		const bodyTokens = tokenizeForSearch(doc.content);
+		titleLengths.push(titleTokens.length);
+		bodyLengths.push(bodyTokens.length);
+		totalTitleLength += titleTokens.length;
+		totalBodyLength += bodyTokens.length;
+
+		const titleCounts = countTerms(titleTokens);
+		const bodyCounts = countTerms(bodyTokens);
+		const terms = new Set([...titleCounts.keys(), ...bodyCounts.keys()]);
+		for (const term of terms) {
+			let list = postings.get(term);
+			if (!list) {
+				list = [];
+				postings.set(term, list);
+			}
+			list.push({
+				docIndex,
+				titleTf: titleCounts.get(term) || 0,
+				bodyTf: bodyCounts.get(term) || 0
+			});
+		}
+	});
+
+	return {
+		docs,
+		postings,
+		bodyLengths,
+		titleLengths,
+		avgBodyLength: docs.length > 0 ? totalBodyLength / docs.length : 0,
+		avgTitleLength: docs.length > 0 ? totalTitleLength / docs.length : 0
+	};
+}
+
+function bm25TermWeight(tf, length, avgLength) {
+	if (tf <= 0) return 0;
+	const norm = avgLength > 0 ? length / avgLength : 1;
+	return (tf * (SEARCH_BM25_K1 + 1)) / (tf + SEARCH_BM25_K1 * (1 - SEARCH_BM25_B + SEARCH_BM25_B * norm));
+}
+
+function postingScore(index, posting, idf) {
+	const titleWeight = bm25TermWeight(posting.titleTf, index.titleLengths[posting.docIndex], index.avgTitleLength);
+	const bodyWeight = bm25TermWeight(posting.bodyTf, index.bodyLengths[posting.docIndex], index.avgBodyLength);
+	return idf * (bodyWeight + SEARCH_TITLE_BOOST * titleWeight);
+}
+
+// options.filter(doc) で対象文書を絞り込み、options.boost(doc) をスコアに掛け、
+// options.tieBreak(doc) が大きい文書を同点時に優先する
+// options.expansions (expandSearchQuery の結果) の同義語に一致した文書は、
+// 置き換え元の語にも一致したものとして扱う (スコアは SEARCH_EXPANSION_WEIGHT 倍)
+function searchIndex(index, query, limit, options = {}) {
+	const queryTerms = [...new Set(tokenizeForSearch(query))];
+	if (queryTerms.length === 0 || index.docs.length === 0) {
+		return { queryTerms, termIdf: new Map(), hits: [] };
+	}
+
+	const totalDocs = index.docs.length;
+	const scores = new Map();
+	const termIdf = new Map();
+	const getEntry = (docIndex) => {
+		let entry = scores.get(docIndex);
+		if (!entry) {
+			entry = { score: 0, matchedTerms: [], coveredTerms: new Set() };
+			scores.set(docIndex, entry);
+		}
+		return entry;
+	};
+	const getIdf = (term) => {
+		if (!termIdf.has(term)) {
+			const list = index.postings.get(term) || [];
+			termIdf.set(term, Math.log(1 + (totalDocs - list.length + 0.5) / (list.length + 0.5)));
+		}
+		return termIdf.get(term);
+	};
+	for (const term of queryTerms) {
+		const list = index.postings.get(term);
+		if (!list) continue;
+		const idf = getIdf(term);
+		for (const posting of list) {
+			if (options.filter && !options.filter(index.docs[posting.docIndex])) continue;
+			const entry = getEntry(posting.docIndex);
+			entry.score += postingScore(index, posting, idf);
+			entry.matchedTerms.push(term);
+			entry.coveredTerms.add(term);
+		}
+	}
+
+	for (const expansion of options.expansions || []) {
+		for (const alternative of expansion.alternatives) {
+			// 同義語を構成する必須語 (日本語なら全 bigram) をすべて含む文書だけを対象にする
+			const requiredLists = alternative.requiredTerms.map((term) => index.postings.get(term));
+			if (requiredLists.length === 0 || requiredLists.some((list) => !list)) continue;
+			let candidates = new Set(requiredLists[0].map((posting) => posting.docIndex));
+			for (const list of requiredLists.slice(1)) {
+				const docIndexes = new Set(list.map((posting) => posting.docIndex));
+				candidates = new Set([...candidates].filter((docIndex) => docIndexes.has(docIndex)));
+			}
+			for (const term of [...alternative.requiredTerms, ...alternative.bonusTerms]) {
+				const list = index.postings.get(term);
+				if (!list || queryTerms.includes(term)) continue;
+				const idf = getIdf(term);
+				for (const posting of list) {
+					if (!candidates.has(posting.docIndex)) continue;
+					if (options.filter && !options.filter(index.docs[posting.docIndex])) continue;
+					const entry = getEntry(posting.docIndex);
+					entry.score += SEARCH_EXPANSION_WEIGHT * postingScore(index, posting, idf);
+					if (!entry.matchedTerms.includes(term)) entry.matchedTerms.push(term);
+					for (const covered of expansion.coveredTerms) entry.coveredTerms.add(covered);
+				}
+			}
+		}
+	}
+
+	const hits = [];
+	for (const [docIndex, entry] of scores) {
+		// 複数語クエリでは多くの語に一致した文書を優先する
+		const coverage = [...entry.coveredTerms].filter((term) => queryTerms.includes(term)).length / queryTerms.length;
+		const doc = index.docs[docIndex];
+		const boost = options.boost ? options.boost(doc) : 1;
+		hits.push({
+			doc,
+			score: entry.score * coverage * boost,
+			matchedTerms: entry.matchedTerms
+		});
+	}
+	const tieBreak = options.tieBreak || (() => 0);
+	hits.sort((a, b) => (b.score - a.score) || (tieBreak(b.doc) - tieBreak(a.doc)));
+	return { queryTerms, termIdf, hits: hits.slice(0, limit) };
+}
+
+// 同義語辞書 (data/synonyms.json) は語のグループの配列で、グループ内の語を相互に展開する
+// 例: { "ja": ["当たり判定", "衝突判定"], "en": ["g.Collision", "collision"] } (キー名は任意、値の配列をすべて同義語として扱う)
+function loadSynonymGroups(dataDir, { strict = false } = {}) {
+	const filePath = path.resolve(dataDir, SEARCH_SYNONYMS_FILE);
+	if (!fs.existsSync(filePath)) return [];
+	try {
+		const parsed = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+		if (!Array.isArray(parsed)) throw new Error("must be an array of synonym groups");
+		return parsed
+			.map((group) => (Array.isArray(group) ? group : Object.values(group || {}).flat()))
+			.map((terms) => [...new Set(terms.filter((term) => typeof term === "string" && term.trim()).map((term) => term.trim()))])
+			.filter((terms) => terms.length >= 2);
+	} catch (error) {
+		if (strict) throw new Error(`Failed to load ${SEARCH_SYNONYMS_FILE}: ${error.message}`);
+		console.error(`[Error] Failed to load ${SEARCH_SYNONYMS_FILE}:`, error.message);
+		return [];
+	}
+}
+
+// 同義語 1 語を検索語に変換する
+// requiredTerms: 文書が全て含む必要がある語 (日本語は全 bigram、g.Collision のような識別子は末尾の Collision)
+// bonusTerms: 含まれていれば加点する語 (g.collision のような完全な識別子)
+function buildSynonymTerms(term) {
+	const requiredTerms = [];
+	const bonusTerms = [];
+	const normalized = String(term).normalize("NFKC").toLowerCase();
+	for (const match of normalized.matchAll(SEARCH_WORD_PATTERN)) {
+		const word = match[0];
+		if (SEARCH_CJK_PATTERN.test(word) || !/[.#]/.test(word)) {
+			requiredTerms.push(...tokenizeForSearch(word));
+			continue;
+		}
+		const lastPart = word.split(/[.#]/).filter((part) => part.length >= 2).pop();
+		requiredTerms.push(lastPart || word);
+		bonusTerms.push(word);
+	}
+	return { term, requiredTerms: [...new Set(requiredTerms)], bonusTerms };
+}
+
+// クエリに含まれる語の同義語を集める。日本語はクエリ中の部分文字列、英語は語単位で一致を判定する
+function expandSearchQuery(query, synonymGroups) {
+	const normalizedQuery = String(query).normalize("NFKC").toLowerCase();
+	const queryTerms = new Set(tokenizeForSearch(query));
+	const expansions = [];
+	for (const group of synonymGroups) {
+		const entries = group.map(buildSynonymTerms).filter((entry) => entry.requiredTerms.length > 0);
+		const isMatched = (entry) => (/[^\x00-\x7f]/.test(entry.term)
+			? normalizedQuery.includes(entry.term.normalize("NFKC").toLowerCase())
+			: entry.requiredTerms.every((term) => queryTerms.has(term)));
+		const matched = entries.filter(isMatched);
+		if (matched.length === 0) continue;
+		const alternatives = entries.filter((entry) => !matched.includes(entry));
+		if (alternatives.length === 0) continue;
+		const coveredTerms = [...new Set(matched.flatMap((entry) => [...entry.requiredTerms, ...entry.bonusTerms]))]
+			.filter((term) => queryTerms.has(term));
+		expansions.push({ matched: matched.map((entry) => entry.term), coveredTerms, alternatives });
+	}
+	return expansions;
+}
+
+function formatQueryExpansions(expansions) {
+	if (expansions.length === 0) return "";
+	return [
+		"Query expansion:",
+		...expansions.map((expansion) => `- ${expansion.matched.join(", ")} → ${expansion.alternatives.map((alternative) => alternative.term).join(", ")}`)
+	].join("\n");
+}
+
+// GitHub Pages (kramdown) が見出しに付与する id と同じ規則でアンカーを生成する
+function slugifyHeading(heading) {
+	return String(heading)
+		.trim()
+		.toLowerCase()
+		.replace(/[^\p{L}\p{N}\s_-]/gu, "")
+		.replace(/\s+/g, "-");
+}
+
+// turndown が出力する atx 見出し (# ...) で本文をセクションに分割する
+// offset は content 内の見出し行の開始位置 (文字数)
+function splitDocSections(content) {
+	const sections = [];
+	if (!content) return sections;
+	const lines = content.split("\n");
+	const anchorCounts = new Map();
+	let current = { heading: null, level: 0, anchor: null, offset: 0, lines: [] };
+	let inFence = false;
+	let offset = 0;
+	for (const line of lines) {
+		if (/^\s*(```|~~~)/.test(line)) {
+			inFence = !inFence;
+		}
+		const headingMatch = inFence ? null : /^(#{1,6})\s+(.+?)\s*#*\s*$/.exec(line);
+		if (headingMatch) {
+			if (current.heading !== null || current.lines.some((item) => item.trim())) {
+				sections.push(current);
+			}
+			const heading = headingMatch[2].trim();
+			// 同じ見出しが複数ある場合は kramdown と同様に -1, -2 ... を付ける
+			const baseAnchor = slugifyHeading(heading);
+			const seenCount = anchorCounts.get(baseAnchor) || 0;
+			anchorCounts.set(baseAnchor, seenCount + 1);
+			const anchor = seenCount > 0 ? `${baseAnchor}-${seenCount}` : baseAnchor;
+			current = { heading, level: headingMatch[1].length, anchor, offset, lines: [] };
+		}
+		current.lines.push(line);
+		offset += line.length + 1;
+	}
+	sections.push(current);
+	return sections.map(({ lines: sectionLines, ...rest }) => ({ ...rest, text: sectionLines.join("\n").trim() }));
+}
+
+function countTermOccurrences(haystack, term) {
+	let count = 0;
+	let position = haystack.indexOf(term);
+	while (position !== -1) {
+		count += 1;
+		position = haystack.indexOf(term, position + term.length);
+	}
+	return count;
+}
+
+// 希少な語 (idf が高い語) を多く含むセクションほど高く評価する
+function pickBestSection(doc, matchedTerms, termIdf) {
+	const sections = splitDocSections(doc.content);
+	let best = null;
+	let bestScore = -1;
+	for (const section of sections) {
+		const body = section.text.normalize("NFKC").toLowerCase();
+		const heading = section.heading ? section.heading.normalize("NFKC").toLowerCase() : "";
+		let score = 0;
+		for (const term of matchedTerms) {
+			const occurrences = countTermOccurrences(body, term);
+			if (occurrences === 0) continue;
+			const headingBonus = countTermOccurrences(heading, term) > 0 ? 0.5 : 0;
+			score += (termIdf.get(term) || 1) * (1 + Math.log(occurrences) + headingBonus);
+		}
+		if (score > bestScore) {
+			best = section;
+			bestScore = score;
+		}
+	}
+	return best;
+}
+
+// 検索語と同じ NFKC + 小文字化をかけ、変換後の各文字が元の text のどこに当たるかを残す
+// 半角カナの濁点 (ﾊﾟ など) は前の文字と合わせて変換しないと 1 文字にまとまらないので、結合文字ごとに区切る
+function foldTextWithOffsets(text) {
+	let folded = "";
+	const starts = [];
+	const ends = [];
+	for (const match of text.matchAll(/[\s\S][\p{M}\uFF9E\uFF9F]*/gu)) {
+		const piece = match[0].normalize("NFKC").toLowerCase();
+		for (let i = 0; i < piece.length; i++) {
+			starts.push(match.index);
+			ends.push(match.index + match[0].length);
+		}
+		folded += piece;
+	}
+	return { folded, starts, ends };
+}
+
+// 一致した語の出現位置 (元の text 上の位置) を求め、重なり合う範囲 (日本語 bigram など) は 1 つにまとめる
+function findHighlightRanges(text, terms, folding = foldTextWithOffsets(text)) {
+	const { folded, starts, ends } = folding;
+	const ranges = [];
+	for (const term of terms) {
+		if (!term) continue;
+		let position = folded.indexOf(term);
+		while (position !== -1) {
+			ranges.push([starts[position], ends[position + term.length - 1]]);
+			position = folded.indexOf(term, position + 1);
+		}
+	}
+	ranges.sort((a, b) => a[0] - b[0]);
+	const merged = [];
+	for (const range of ranges) {
+		const last = merged[merged.length - 1];
+		if (last && range[0] <= last[1]) {
+			last[1] = Math.max(last[1], range[1]);
+		} else {
+			merged.push([...range]);
+		}
+	}
+	return merged;
+}
+
+// 最も希少な語の最初の出現位置を中心に抜粋する
+function buildHitExcerpt(text, terms, termIdf, windowChars, highlight) {
+	if (!text) return "";
+	const folding = foldTextWithOffsets(text);
+	const ranges = findHighlightRanges(text, terms, folding);
+	let start = 0;
+	if (text.length > windowChars && ranges.length > 0) {
+		let anchor = ranges[0][0];
+		let anchorWeight = -1;
+		for (const term of terms) {
+			const position = term ? folding.folded.indexOf(term) : -1;
+			const weight = termIdf.get(term) || 0;
+			if (position !== -1 && weight > anchorWeight) {
+				anchor = folding.starts[position];
+				anchorWeight = weight;
+			}
+		}
+		start = Math.max(0, Math.min(anchor - Math.floor(windowChars / 3), text.length - windowChars));
+	}
+	const end = Math.min(text.length, start + windowChars);
+	let excerpt = "";
+	let cursor = start;
+	if (highlight) {
+		for (const [rangeStart, rangeEnd] of ranges) {
+			if (rangeEnd <= start || rangeStart >= end) continue;
+			const from = Math.max(rangeStart, start);
+			const to = Math.min(rangeEnd, end);
+			excerpt += `${text.slice(cursor, from)}**${text.slice(from, to)}**`;
+			cursor = to;
+		}
+	}
+	excerpt += text.slice(cursor, end);
+	return `${start > 0 ? "..." : ""}${excerpt}${end < text.length ? "..." : ""}`;
+}
+
+function buildSectionUrl(doc, section) {
+	if (!doc.url) return null;
+	if (!section || !section.anchor) return doc.url;
+	return `${doc.url.split("#")[0]}#${section.anchor}`;
+}
+
+// URL の比較用キー (フラグメント・末尾の index.html・末尾スラッシュを無視する)
+function normalizeDocUrlKey(url) {
+	return String(url)
+		.trim()
+		.split("#")[0]
+		.replace(/^https?:\/\//i, "")
+		.replace(/index\.html?$/i, "")
+		.replace(/\/+$/, "")
+		.toLowerCase();
+}
+
+// URL (完全一致 → パス末尾一致) またはタイトル (完全一致 → 部分一致) で文書を探す
+function findDocsByReference(docs, { url, title, source }) {
+	const candidates = source ? docs.filter((doc) => doc.source === source) : docs;
+	if (url && url.trim()) {
+		const key = normalizeDocUrlKey(url);
+		const exact = candidates.filter((doc) => doc.url && normalizeDocUrlKey(doc.url) === key);
+		if (exact.length > 0) return exact;
+		return candidates.filter((doc) => doc.url && normalizeDocUrlKey(doc.url).endsWith(`/${key.replace(/^\/+/, "")}`));
+	}
+	if (title && title.trim()) {
+		const needle = title.trim().toLowerCase();
+		const exact = candidates.filter((doc) => doc.title && doc.title.toLowerCase() === needle);
+		if (exact.length > 0) return exact;
+		return candidates.filter((doc) => doc.title && doc.title.toLowerCase().includes(needle));
+	}
+	return [];
+}
+
+// =================================================================
+// 1.1.1 コード例インデックス (ドキュメント中のフェンス付きコードブロック)
+// =================================================================
+const CODE_LANGUAGE_ALIASES = {
+	js: "javascript",
+	ts: "typescript",
+	sh: "bash",
+	shell: "bash",
+	console: "bash"
+};
+
+function normalizeCodeLanguage(language) {
+	const lower = String(language || "").trim().toLowerCase();
+	return CODE_LANGUAGE_ALIASES[lower] || lower;
+}
+
+// 各コードブロックを、直前の見出し・ページの URL と合わせて 1 件の検索対象にする
+// title には見出しとページタイトルを入れ、API 名が本文 (コード) に現れるかでスコア付けする
+function extractCodeExamples(doc) {
+	const examples = [];
+	for (const section of splitDocSections(doc.content)) {
+		const lines = section.text.split("\n");
+		let fence = null;
+		for (const line of lines) {
+			if (!fence) {
+				const open = /^\s*(```+|~~~+)\s*([\w+#.-]*)/.exec(line);
+				if (open) fence = { marker: open[1], language: normalizeCodeLanguage(open[2]), lines: [] };
+				continue;
+			}
+			if (line.trim().startsWith(fence.marker)) {
+				const code = fence.lines.join("\n").replace(/^\n+|\s+$/g, "");
+				if (code) {
+					examples.push({
+						source: doc.source,
+						title: [section.heading, doc.title].filter(Boolean).join(" - "),
+						url: buildSectionUrl(doc, section),
+						content: code,
+						language: fence.language,
+						pageTitle: doc.title,
+						heading: section.heading,
+						version: doc.version,
+						section: doc.section,
+						contentType: doc.contentType
+					});
+				}
+				fence = null;
+				continue;
+			}
+			fence.lines.push(line);
+		}
+	}
+	return examples;
+}
+
+function formatCodeExample(example, score, matchedTerms) {
+	return [
+		`### ${example.heading || "(top)"}${example.pageTitle ? ` — ${example.pageTitle}` : ""}`,
+		`Source: ${example.source}`,
+		`URL: ${example.url || "(no url)"}`,
+		`Kind: ${formatDocKind(example)}${example.language ? ` | Language: ${example.language}` : ""}`,
+		`Score: ${score.toFixed(2)} (matched: ${matchedTerms.join(", ")})`,
+		"",
+		`\`\`\`${example.language}`,
+		example.content,
+		"```"
+	].join("\n");
+}
+
+// =================================================================
+// 1.2 API シンボルインデックス (akashic-engine の TypeScript ソースを解析)
+// =================================================================
+const API_MEMBER_MODIFIERS = new Set(["public", "private", "protected", "static", "readonly", "abstract", "override", "declare", "async", "accessor"]);
+
+// 括弧・山括弧・波括弧の内側を無視して区切り文字で分割する
+function splitTopLevel(text, separator) {
+	const parts = [];
+	let depth = 0;
+	let current = "";
+	for (let i = 0; i < text.length; i++) {
+		const ch = text[i];
+		if (ch === "(" || ch === "[" || ch === "{" || ch === "<") depth += 1;
+		if ((ch === ")" || ch === "]" || ch === "}" || (ch === ">" && text[i - 1] !== "=")) && depth > 0) depth -= 1;
+		if (ch === separator && depth === 0) {
+			parts.push(current);
+			current = "";
+			continue;
+		}
+		current += ch;
+	}
+	if (current.trim()) parts.push(current);
+	return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+// 対応する閉じ括弧の位置を返す
+function findClosingBracket(text, openIndex) {
+	const open = text[openIndex];
+	const close = open === "(" ? ")" : open === "<" ? ">" : open === "[" ? "]" : "}";
+	let depth = 0;
+	for (let i = openIndex; i < text.length; i++) {
+		if (text[i] === open) depth += 1;
+		if (text[i] === close && !(close === ">" && text[i - 1] === "=")) {
+			depth -= 1;
+			if (depth === 0) return i;
+		}
+	}
+	return -1;
+}
+
+function parseJsDoc(raw) {
+	if (!raw) return null;
+	const lines = raw
+		.replace(/^\/\*\*/, "")
+		.replace(/\*\/$/, "")
+		.split("\n")
+		.map((line) => line.replace(/^\s*\* ?/, "").trimEnd());
+	const description = [];
+	const tags = [];
+	for (const line of lines) {
+		const tagMatch = /^@(\w+)\s*(.*)$/.exec(line.trim());
+		if (tagMatch) {
+			tags.push({ tag: tagMatch[1], text: tagMatch[2] });
+		} else if (tags.length > 0) {
+			tags[tags.length - 1].text += line.trim() ? ` ${line.trim()}` : "";
+		} else {
+			description.push(line);
+		}
+	}
+	const params = {};
+	for (const item of tags.filter((tag) => tag.tag === "param")) {
+		const paramMatch = /^([\w$.]+)\s*(.*)$/.exec(item.text);
+		if (paramMatch) params[paramMatch[1]] = paramMatch[2];
+	}
+	const findTag = (name) => tags.find((tag) => tag.tag === name);
+	const deprecated = findTag("deprecated");
+	const defaultTag = findTag("default");
+	const returnsTag = findTag("returns") || findTag("return");
+	return {
+		description: description.join("\n").trim(),
+		params,
+		defaultValue: defaultTag ? defaultTag.text : null,
+		returns: returnsTag ? returnsTag.text : null,
+		deprecated: deprecated ? (deprecated.text || true) : null,
+		internal: Boolean(findTag("private") || findTag("ignore") || findTag("internal"))
+	};
+}
+
+function parseApiParams(paramText) {
+	return splitTopLevel(paramText, ",").map((raw) => {
+		let text = raw;
+		let defaultValue = null;
+		const defaultParts = splitTopLevel(text.replace(/=>/g, "\u0000"), "=");
+		if (defaultParts.length > 1) {
+			text = defaultParts[0].replace(/\u0000/g, "=>");
+			defaultValue = defaultParts.slice(1).join("=").replace(/\u0000/g, "=>").trim();
+		}
+		const match = /^(\.\.\.)?([\w$]+)(\?)?\s*(?::\s*([\s\S]+))?$/.exec(text.trim());
+		if (!match) return { name: text.trim(), type: "any", optional: false, rest: false, defaultValue };
+		return {
+			name: match[2],
+			type: match[4] ? match[4].replace(/\s+/g, " ").trim() : "any",
+			optional: Boolean(match[3]) || defaultValue !== null,
+			rest: Boolean(match[1]),
+			defaultValue
+		};
+	});
+}
+
+function isTriggerType(type) {
+	return typeof type === "string" && /^(Chain)?Trigger</.test(type.trim());
+}
+
+// クラス・インターフェース・モジュールのメンバー宣言 1 つを解析する
+function parseApiMember(statement, jsDoc, containerKind) {
+	let text = statement.replace(/\s+/g, " ").trim();
+	if (!text) return null;
+	const modifiers = new Set();
+	let exported = false;
+	for (;;) {
+		const modifierMatch = /^([a-z]+)\s+(?=[\w$[])/.exec(text);
+		if (!modifierMatch) break;
+		const word = modifierMatch[1];
+		if (word === "export") {
+			exported = true;
+		} else if (!API_MEMBER_MODIFIERS.has(word)) {
+			break;
+		}
+		modifiers.add(word);
+		text = text.slice(modifierMatch[0].length);
+	}
+	if (containerKind === "module") {
+		if (!exported) return null;
+		text = text.replace(/^(function\s*\*?|const|let|var)\s+/, "");
+	}
+
+	let kind = "property";
+	let name = null;
+	let rest = "";
+	const accessorMatch = /^(get|set)\s+([\w$]+)\s*(?=\()/.exec(text);
+	if (accessorMatch) {
+		kind = accessorMatch[1] === "get" ? "getter" : "setter";
+		name = accessorMatch[2];
+		rest = text.slice(accessorMatch[0].length);
+	} else {
+		const nameMatch = /^([\w$]+|\[[^\]]+\])(\?|!)?/.exec(text);
+		if (!nameMatch) return null;
+		name = nameMatch[1];
+		rest = text.slice(nameMatch[0].length).trim();
+		if (nameMatch[2] === "?") modifiers.add("optional");
+		if (name === "constructor") kind = "constructor";
+		else if (rest.startsWith("(") || rest.startsWith("<")) kind = "method";
+	}
+
+	const member = {
+		name,
+		kind,
+		static: modifiers.has("static"),
+		readonly: modifiers.has("readonly"),
+		optional: modifiers.has("optional"),
+		doc: jsDoc ? jsDoc.description : "",
+		deprecated: jsDoc ? jsDoc.deprecated : null,
+		defaultValue: jsDoc ? jsDoc.defaultValue : null,
+		type: null,
+		params: [],
+		returns: null,
+		signature: ""
+	};
+	const hidden = modifiers.has("private") || modifiers.has("protected") || name.startsWith("_") || (jsDoc && jsDoc.internal);
+	if (hidden) return null;
+
+	if (kind === "property") {
+		const typeMatch = /^:\s*([\s\S]+?)(?:\s=\s[\s\S]*)?$/.exec(rest);
+		member.type = typeMatch ? typeMatch[1].trim() : "any";
+		if (isTriggerType(member.type)) member.kind = "trigger";
+		member.signature = `${name}${member.optional ? "?" : ""}: ${member.type}`;
+		return member;
+	}
+
+	let generics = "";
+	if (rest.startsWith("<")) {
+		const genericEnd = findClosingBracket(rest, 0);
+		generics = rest.slice(0, genericEnd + 1);
+		rest = rest.slice(genericEnd + 1).trim();
+	}
+	const paramEnd = rest.startsWith("(") ? findClosingBracket(rest, 0) : -1;
+	if (paramEnd === -1) return null;
+	member.params = parseApiParams(rest.slice(1, paramEnd));
+	const returnMatch = /^:\s*([\s\S]+)$/.exec(rest.slice(paramEnd + 1).trim());
+	member.returns = returnMatch ? returnMatch[1].trim() : null;
+	if (jsDoc) {
+		for (const param of member.params) {
+			param.doc = jsDoc.params[param.name] || "";
+		}
+		member.returnsDoc = jsDoc.returns;
+	}
+	const paramSignature = member.params
+		.map((param) => `${param.rest ? "..." : ""}${param.name}${param.optional ? "?" : ""}: ${param.type}`)
+		.join(", ");
+	if (kind === "getter") {
+		member.type = member.returns || "any";
+		if (isTriggerType(member.type)) member.kind = "trigger";
+		member.signature = `${name}: ${member.type}`;
+	} else if (kind === "setter") {
+		member.type = member.params[0] ? member.params[0].type : "any";
+		member.signature = `${name}: ${member.type}`;
+	} else {
+		member.kind = containerKind === "module" ? "function" : kind;
+		member.signature = `${kind === "constructor" ? "constructor" : name}${generics}(${paramSignature})${member.returns ? `: ${member.returns}` : ""}`;
+	}
+	return member;
+}
+
+// 型宣言部分のみを対象とする簡易パーサ。関数本体は読み飛ばす
+function parseTypeScriptDeclarations(source, file) {
+	const symbols = [];
+	const stack = [{ kind: "file", symbol: null, prefix: "" }];
+	let buffer = "";
+	let bufferDoc = null;
+	let pendingDoc = null;
+	let parenDepth = 0;
+	let typeBraceDepth = 0;
+	let skipDepth = 0;
+	let enumStart = -1;
+
+	const resetBuffer = () => {
+		buffer = "";
+		bufferDoc = null;
+		parenDepth = 0;
+		typeBraceDepth = 0;
+	};
+	const current = () => stack[stack.length - 1];
+
+	const handleStatement = (statement, endsWithBody) => {
+		const context = current();
+		const text = statement.replace(/\s+/g, " ").trim();
+		const jsDoc = parseJsDoc(bufferDoc);
+		if (context.kind === "file" || context.kind === "module") {
+			const exported = /^export\b/.test(text) || context.kind === "file" && /^declare\b/.test(text);
+			const headerText = text.replace(/^export\s+(default\s+)?/, "").replace(/^declare\s+/, "");
+			const classMatch = /^(abstract\s+)?class\s+([\w$]+)\s*(<.*?>)?(?:\s+extends\s+(.+?))?(?:\s+implements\s+(.+))?$/.exec(headerText);
+			const interfaceMatch = /^interface\s+([\w$]+)\s*(<.*?>)?(?:\s+extends\s+(.+))?$/.exec(headerText);
+			const moduleMatch = /^(?:module|namespace)\s+([\w$.]+)$/.exec(headerText);
+			const enumMatch = /^(?:const\s+)?enum\s+([\w$]+)$/.exec(headerText);
+			const functionMatch = /^(?:async\s+)?function\s*\*?\s*([\w$]+)/.exec(headerText);
+			const typeMatch = /^type\s+([\w$]+)\s*(<.*?>)?\s*=\s*([\s\S]+)$/.exec(headerText);
+			const base = (kind, name, extra = {}) => ({
+				name: `${context.prefix}${name}`,
+				kind,
+				file,
+				doc: jsDoc ? jsDoc.description : "",
+				deprecated: jsDoc ? jsDoc.deprecated : null,
+				internal: Boolean(jsDoc && jsDoc.internal) || !exported,
+				extends: [],
+				implements: [],
+				members: [],
+				...extra
+			});
+			if (endsWithBody && classMatch) {
+				const symbol = base("class", classMatch[2], {
+					abstract: Boolean(classMatch[1]),
+					extends: classMatch[4] ? [classMatch[4].replace(/<.*$/, "").trim()] : [],
+					implements: classMatch[5] ? splitTopLevel(classMatch[5], ",") : []
+				});
+				symbols.push(symbol);
+				stack.push({ kind: "class", symbol, prefix: "" });
+				return;
+			}
+			if (endsWithBody && interfaceMatch) {
+				const symbol = base("interface", interfaceMatch[1], {
+					extends: interfaceMatch[3] ? splitTopLevel(interfaceMatch[3], ",").map((item) => item.replace(/<.*$/, "").trim()) : []
+				});
+				symbols.push(symbol);
+				stack.push({ kind: "interface", symbol, prefix: "" });
+				return;
+			}
+			if (endsWithBody && moduleMatch) {
+				const symbol = base("module", moduleMatch[1]);
+				symbols.push(symbol);
+				stack.push({ kind: "module", symbol, prefix: `${symbol.name}.` });
+				return;
+			}
+			if (endsWithBody && enumMatch) {
+				const symbol = base("enum", enumMatch[1]);
+				symbols.push(symbol);
+				stack.push({ kind: "enum", symbol, prefix: "" });
+				return;
+			}
+			if (context.kind === "module" && exported && !typeMatch) {
+				const member = parseApiMember(text, jsDoc, "module");
+				if (member && !(functionMatch && context.symbol.members.some((item) => item.signature === member.signature))) {
+					context.symbol.members.push(member);
+				}
+			} else if (functionMatch && exported && context.kind === "file") {
+				const member = parseApiMember(headerText.replace(/^(async\s+)?function\s*\*?\s*/, ""), jsDoc, "class");
+				if (member) {
+					symbols.push(base("function", functionMatch[1], { members: [{ ...member, kind: "function" }] }));
+				}
+			} else if (typeMatch && !endsWithBody) {
+				symbols.push(base("type", typeMatch[1], { definition: typeMatch[3].trim() }));
+			}
+			if (endsWithBody) stack.push({ kind: "skip" });
+			return;
+		}
+		if (context.kind === "class" || context.kind === "interface") {
+			const member = parseApiMember(text, jsDoc, context.kind);
+			if (member) {
+				const members = context.symbol.members;
+				if (member.kind === "setter") {
+					const getter = members.find((item) => item.name === member.name && item.kind !== "setter");
+					if (getter) getter.writable = true;
+				} else if (!members.some((item) => item.signature === member.signature && item.static === member.static)) {
+					members.push(member);
+				}
+			}
+			if (endsWithBody) stack.push({ kind: "skip" });
+			return;
+		}
+		if (endsWithBody) stack.push({ kind: "skip" });
+	};
+
+	for (let i = 0; i < source.length; i++) {
+		const ch = source[i];
+		const next = source[i + 1];
+
+		// コメント
+		if (ch === "/" && next === "*") {
+			const end = source.indexOf("*/", i + 2);
+			const commentEnd = end === -1 ? source.length : end + 2;
+			if (source[i + 2] === "*" && current().kind !== "skip") {
+				pendingDoc = source.slice(i, commentEnd);
+			}
+			i = commentEnd - 1;
+			continue;
+		}
+		if (ch === "/" && next === "/") {
+			const end = source.indexOf("\n", i);
+			i = end === -1 ? source.length : end;
+			continue;
+		}
+		// 文字列リテラル
+		if (ch === "\"" || ch === "'" || ch === "`") {
+			let j = i + 1;
+			while (j < source.length && source[j] !== ch) {
+				if (source[j] === "\\") j += 1;
+				j += 1;
+			}
+			if (current().kind !== "skip" && current().kind !== "enum") buffer += source.slice(i, j + 1);
+			i = j;
+			continue;
+		}
+
+		const context = current();
+		if (context.kind === "skip" || context.kind === "enum") {
+			if (context.kind === "enum" && enumStart === -1) enumStart = i;
+			if (ch === "{") skipDepth += 1;
+			if (ch === "}") {
+				if (skipDepth > 0) {
+					skipDepth -= 1;
+				} else {
+					if (context.kind === "enum") {
+						const body = source.slice(enumStart, i).replace(/\/\*[\s\S]*?\*\/|\/\/.*$/gm, "");
+						context.symbol.members = splitTopLevel(body, ",").map((item) => {
+							const [memberName, value] = item.split("=").map((part) => part.trim());
+							return { name: memberName, kind: "enum-member", type: value || null, signature: value ? `${memberName} = ${value}` : memberName, doc: "", params: [] };
+						});
+						enumStart = -1;
+					}
+					stack.pop();
+					resetBuffer();
+					pendingDoc = null;
+				}
+			}
+			continue;
+		}
+
+		if (!buffer.trim() && /\s/.test(ch)) continue;
+		if (!buffer.trim()) {
+			bufferDoc = pendingDoc;
+			pendingDoc = null;
+		}
+
+		if (ch === "(") parenDepth += 1;
+		if (ch === ")") parenDepth -= 1;
+
+		if (ch === "{" && parenDepth === 0) {
+			const trimmed = buffer.trim();
+			// 型リテラル ({ x: number } など) の開始は本体として扱わない
+			if (typeBraceDepth > 0 || /(:|\||&|<|,|=>|=|\()$/.test(trimmed)) {
+				typeBraceDepth += 1;
+				buffer += ch;
+				continue;
+			}
+			handleStatement(trimmed, true);
+			resetBuffer();
+			continue;
+		}
+		if (ch === "}" && parenDepth === 0) {
+			if (typeBraceDepth > 0) {
+				typeBraceDepth -= 1;
+				buffer += ch;
+				continue;
+			}
+			if (buffer.trim()) handleStatement(buffer.trim(), false);
+			resetBuffer();
+			if (stack.length > 1) stack.pop();
+			continue;
+		}
+		if ((ch === ";" || (ch === "," && current().kind === "interface")) && parenDepth === 0 && typeBraceDepth === 0) {
+			if (ch === "," && /<[^>]*$/.test(buffer)) {
+				buffer += ch;
+				continue;
+			}
+			if (buffer.trim()) handleStatement(buffer.trim(), false);
+			resetBuffer();
+			continue;
+		}
+		buffer += ch;
+	}
+	return symbols;
+}
+
+function buildApiSymbolIndex(docs) {
+	const symbols = new Map();
+	for (const doc of docs) {
+		const title = doc.title || "";
+		if (!/^src\/.+\.ts$/.test(title) || /\.d\.ts$/.test(title) || /__tests__/.test(title)) continue;
+		let parsed = [];
+		try {
+			parsed = parseTypeScriptDeclarations(doc.content || "", title);
+		} catch (error) {
+			console.error(`[Warning] Failed to parse API symbols from ${title}: ${error.message}`);
+			continue;
+		}
+		for (const symbol of parsed) {
+			if (symbol.internal) continue;
+			if (!symbols.has(symbol.name)) symbols.set(symbol.name, symbol);
+		}
+	}
+	return symbols;
+}
+
+function findApiSymbol(symbolIndex, name) {
+	if (!name) return null;
+	if (symbolIndex.has(name)) return symbolIndex.get(name);
+	const lowered = name.toLowerCase();
+	for (const [key, symbol] of symbolIndex) {
+		if (key.toLowerCase() === lowered) return symbol;
+	}
+	return null;
+}
+
+// 継承元を含めたメンバー一覧 (派生クラス側の宣言を優先)
+function collectApiMembers(symbolIndex, symbol) {
+	const result = [];
+	const seenNames = new Set();
+	const visited = new Set();
+	const visit = (current) => {
+		if (!current || visited.has(current.name)) return;
+		visited.add(current.name);
+		for (const member of current.members) {
+			const key = `${member.static ? "static " : ""}${member.kind === "constructor" ? "constructor" : member.name}`;
+			if (seenNames.has(key) && !(current === symbol && member.kind === "method")) continue;
+			if (member.kind === "constructor" && current !== symbol) continue;
+			seenNames.add(key);
+			result.push({ ...member, declaredIn: current.name });
+		}
+		for (const parentName of current.extends) {
+			visit(findApiSymbol(symbolIndex, parentName));
+		}
+	};
+	visit(symbol);
+	return result;
+}
+
+function firstLine(text) {
+	if (!text) return "";
+	return text.split("\n").map((line) => line.trim()).find(Boolean) || "";
+}
+
+function formatApiMemberLine(member, owner) {
+	const flags = [
+		member.static ? "static" : null,
+		member.readonly || (member.kind === "getter" && !member.writable) ? "readonly" : null,
+		member.deprecated ? "deprecated" : null,
+		member.declaredIn && member.declaredIn !== owner ? `from ${member.declaredIn}` : null
+	].filter(Boolean);
+	const summary = firstLine(member.doc);
+	return `- ${member.signature}${flags.length > 0 ? ` [${flags.join(", ")}]` : ""}${summary ? ` — ${summary}` : ""}`;
+}
+
+function formatApiMemberDetail(symbolIndex, member, owner) {
+	const lines = [];
+	lines.push(`### ${owner}${member.static || member.kind === "function" ? "." : "#"}${member.kind === "constructor" ? "constructor" : member.name} (${member.kind})`);
+	lines.push("```ts");
+	lines.push(member.signature);
+	lines.push("```");
+	if (member.declaredIn && member.declaredIn !== owner) lines.push(`Declared in: ${member.declaredIn}`);
+	if (member.deprecated) lines.push(`Deprecated: ${member.deprecated === true ? "yes" : member.deprecated}`);
+	if (member.doc) lines.push("", member.doc);
+	if (member.defaultValue) lines.push(`Default: ${member.defaultValue}`);
+	if (member.params && member.params.length > 0) {
+		lines.push("", "Parameters:");
+		for (const param of member.params) {
+			const defaultText = param.defaultValue ? ` = ${param.defaultValue}` : "";
+			lines.push(`- ${param.name}${param.optional ? "?" : ""}: ${param.type}${defaultText}${param.doc ? ` — ${param.doc}` : ""}`);
+			// パラメータオブジェクト型は継承元を含めたフィールドを展開する
+			const paramSymbol = findApiSymbol(symbolIndex, param.type.replace(/<.*$/, "").trim());
+			if (paramSymbol && paramSymbol.kind === "interface") {
+				for (const field of collectApiMembers(symbolIndex, paramSymbol)) {
+					lines.push(`  ${formatApiMemberLine(field, paramSymbol.name)}`);
+				}
+			}
+		}
+	}
+	if (member.returns && member.kind !== "getter") {
+		lines.push("", `Returns: ${member.returns}${member.returnsDoc ? ` — ${member.returnsDoc}` : ""}`);
+	}
+	return lines.join("\n");
+}
+
+function formatApiSymbol(symbolIndex, symbol, includeInherited, includeDeprecated) {
+	const lines = [];
+	const chain = [];
+	let parent = symbol.extends[0] ? findApiSymbol(symbolIndex, symbol.extends[0]) : null;
+	while (parent && !chain.includes(parent.name)) {
+		chain.push(parent.name);
+		parent = parent.extends[0] ? findApiSymbol(symbolIndex, parent.extends[0]) : null;
+	}
+	lines.push(`## g.${symbol.name} (${symbol.abstract ? "abstract " : ""}${symbol.kind})`);
+	lines.push(`File: ${symbol.file}`);
+	if (symbol.extends.length > 0) lines.push(`Extends: ${[...symbol.extends, ...chain.slice(1)].join(" > ")}`);
+	if (symbol.implements.length > 0) lines.push(`Implements: ${symbol.implements.join(", ")}`);
+	if (symbol.deprecated) lines.push(`Deprecated: ${symbol.deprecated === true ? "yes" : symbol.deprecated}`);
+	if (symbol.doc) lines.push("", symbol.doc);
+	if (symbol.definition) lines.push("", "```ts", `type ${symbol.name} = ${symbol.definition}`, "```");
+
+	const allMembers = includeInherited ? collectApiMembers(symbolIndex, symbol) : symbol.members.map((member) => ({ ...member, declaredIn: symbol.name }));
+	const members = includeDeprecated ? allMembers : allMembers.filter((member) => !member.deprecated);
+	const constructor = members.find((member) => member.kind === "constructor");
+	if (constructor) {
+		lines.push("", formatApiMemberDetail(symbolIndex, constructor, symbol.name));
+	}
+	const groups = [
+		["Triggers", (member) => member.kind === "trigger"],
+		["Properties", (member) => ["property", "getter", "enum-member"].includes(member.kind)],
+		["Methods", (member) => member.kind === "method" || member.kind === "function"]
+	];
+	for (const [label, predicate] of groups) {
+		const groupMembers = members.filter(predicate);
+		if (groupMembers.length === 0) continue;
+		lines.push("", `### ${label}`);
+		for (const member of groupMembers) {
+			lines.push(formatApiMemberLine(member, symbol.name));
+		}
+	}
+	const hiddenCount = allMembers.length - members.length;
+	if (hiddenCount > 0) {
+		lines.push("", `(${hiddenCount} deprecated members hidden. Pass includeDeprecated=true to show them.)`);
+	}
+	return lines.join("\n");
+}
+
+// "g.Sprite", "g.E#onPointDown", "g.game.random", "Scene.onLoad" などを解釈する
+function lookupApiSymbol(symbolIndex, query, { includeInherited = true, includeDeprecated = false } = {}) {
+	const aliases = { game: "Game" };
+	const normalized = query.trim().replace(/^g\./, "").replace(/\(\)$/, "");
+	const parts = normalized.split(/#|::|\.(?=[^.]*$)/);
+	const fullMatch = findApiSymbol(symbolIndex, normalized) || (aliases[normalized] ? findApiSymbol(symbolIndex, aliases[normalized]) : null);
+	if (fullMatch) {
+		return { found: true, text: formatApiSymbol(symbolIndex, fullMatch, includeInherited, includeDeprecated) };
+	}
+	if (parts.length === 2) {
+		const owner = findApiSymbol(symbolIndex, aliases[parts[0]] || parts[0]);
+		if (owner) {
+			const memberName = parts[1];
+			const matches = collectApiMembers(symbolIndex, owner).filter((member) =>
+				(member.kind === "constructor" ? "constructor" : member.name).toLowerCase() === memberName.toLowerCase()
+			);
+			if (matches.length > 0) {
+				return { found: true, text: matches.map((member) => formatApiMemberDetail(symbolIndex, member, owner.name)).join("\n\n") };
+			}
+			return { found: false, text: `Member '${memberName}' not found in g.${owner.name}.`, suggestions: collectApiMembers(symbolIndex, owner).map((member) => member.name).filter((name) => name.toLowerCase().includes(memberName.toLowerCase())).slice(0, 20) };
+		}
+	}
+
+	// 型名で見つからない場合はメンバー名として全シンボルから探す
+	const memberOwners = [];
+	for (const symbol of symbolIndex.values()) {
+		for (const member of symbol.members) {
+			if (member.name && member.name.toLowerCase() === normalized.toLowerCase()) {
+				memberOwners.push(`${symbol.name}${member.static || symbol.kind === "module" ? "." : "#"}${member.name}`);
+			}
+		}
+	}
+	if (memberOwners.length === 1) {
+		return lookupApiSymbol(symbolIndex, memberOwners[0].replace(".", "#"), { includeInherited, includeDeprecated });
+	}
+	const lowered = normalized.toLowerCase();
+	const suggestions = [
+		...memberOwners,
+		...[...symbolIndex.keys()].filter((name) => name.toLowerCase().includes(lowered))
+	].slice(0, 30);
+	return { found: false, text: `Symbol '${query}' not found.`, suggestions };
+}
+
+const API_SUMMARY_PRIORITY = [
+	"Game", "Scene", "E", "Sprite", "FrameSprite", "FilledRect", "Label", "Pane", "CacheableE",
+	"DynamicFont", "BitmapFont", "Font", "Camera2D", "Timer", "Collision", "Util", "Math",
+	"AssetAccessor", "AudioSystem", "AudioPlayContext", "AudioUtil", "PointDownEvent", "PointMoveEvent", "PointUpEvent",
+	"MessageEvent", "JoinEvent", "LeaveEvent", "Player", "GameMainParameterObject", "TextAlign"
+];
+
+function buildApiSummaryIndex(symbolIndex, maxItems = 60) {
+	const isNoise = (symbol) => /(ParameterObject|Serialization|GameLike|Base|HandlerSet)$/.test(symbol.name) || symbol.kind === "type" || symbol.deprecated;
+	const ordered = [
+		...API_SUMMARY_PRIORITY.map((name) => symbolIndex.get(name)).filter(Boolean),
+		...[...symbolIndex.values()]
+			.filter((symbol) => !API_SUMMARY_PRIORITY.includes(symbol.name) && !isNoise(symbol))
+			.sort((a, b) => {
+				const rank = (symbol) => (symbol.kind === "class" ? 0 : symbol.kind === "module" ? 1 : 2);
+				return rank(a) - rank(b) || a.name.localeCompare(b.name);
+			})
+	];
+	const lines = [];
+	for (const symbol of ordered.slice(0, maxItems)) {
+		const extendsText = symbol.extends.length > 0 ? ` extends ${symbol.extends.join(", ")}` : "";
+		const triggers = symbol.members.filter((member) => member.kind === "trigger" && !member.deprecated).map((member) => member.name);
+		const triggerText = triggers.length > 0 ? ` | triggers: ${triggers.slice(0, 6).join(", ")}` : "";
+		const summary = firstLine(symbol.doc);
+		lines.push(`- g.${symbol.name} (${symbol.kind}${extendsText})${summary ? `: ${summary}` : ""}${triggerText}`);
+	}
+	if (lines.length === 0) {
+		lines.push("- (API シンボルが読み込まれていません)");
+	}
+	return [
+		"## 事前ロード済み API 要約インデックス",
+		"* クラスやメンバーの詳細 (コンストラクタ引数・型・継承元) は lookup_akashic_api で取得すること",
+		"* 解説本文やコード例は必要なときだけ search_akashic_docs で取得すること",
+		...lines
+	].join("\n");
+}
+
+
+// =================================================================
+// 1.3 MCP リソース用のヘルパー
+// =================================================================
+// Web ページは URL のパス、リポジトリのファイルはタイトル (相対パス) をリソースのパスとする
+function getDocResourcePath(doc) {
+	if (doc.url && /^https?:\/\//i.test(doc.url) && !/^https?:\/\/github\.com\//i.test(doc.url)) {
+		try {
+			const pathname = decodeURIComponent(new URL(doc.url).pathname).replace(/^\/+/, "");
+			return pathname || "index";
+		} catch {
+			// URL として解釈できない場合はタイトルを使う
+		}
+	}
+	return doc.title || null;
+}
+
+function buildDocResourceMap(docs) {
+	const map = new Map();
+	for (const doc of docs) {
+		const resourcePath = getDocResourcePath(doc);
+		if (!resourcePath) continue;
+		const key = `${doc.source}/${resourcePath}`;
+		if (!map.has(key)) map.set(key, doc);
+	}
+	return map;
+}
+
+function buildDocResourceUri(source, resourcePath) {
+	return `akashic-doc://${source}/${resourcePath.split("/").map((part) => encodeURIComponent(part)).join("/")}`;
+}
+
+function guessMimeType(filePath) {
+	const ext = path.extname(filePath).toLowerCase();
+	const types = {
+		".json": "application/json",
+		".js": "text/javascript",
+		".cjs": "text/javascript",
+		".mjs": "text/javascript",
+		".ts": "text/typescript",
+		".md": "text/markdown",
+		".html": "text/html"
+	};
+	return types[ext] || "text/plain";
+}
+
+
+// akashic-project:// で公開するプロジェクト (AKASHIC_PROJECT_DIR 未指定時はカレントディレクトリ)
+function getProjectResourceRoot() {
+	const configured = process.env.AKASHIC_PROJECT_DIR;
+	return configured && configured.trim() ? path.resolve(configured.trim()) : process.cwd();
+}
+
+function listProjectResourceFiles(projectRoot) {
+	const files = [];
+	if (fs.existsSync(path.resolve(projectRoot, "game.json"))) {
+		files.push("game.json");
+	}
+	const scriptExt = new Set([".js", ".cjs", ".mjs", ".ts", ".json"]);
+	const skipDirs = new Set(["node_modules", ".git", ".mcp", "tmp", "dist", "build"]);
+	const walk = (dir, relDir) => {
+		let entries = [];
+		try {
+			entries = fs.readdirSync(dir, { withFileTypes: true });
+		} catch {
+			return;
+		}
+		for (const entry of entries) {
+			const rel = `${relDir}/${entry.name}`;
+			if (entry.isDirectory()) {
+				if (!skipDirs.has(entry.name)) walk(path.resolve(dir, entry.name), rel);
+			} else if (entry.isFile() && scriptExt.has(path.extname(entry.name).toLowerCase())) {
+				files.push(rel);
+			}
+		}
+	};
+	for (const dirName of ["script", "src"]) {
+		walk(path.resolve(projectRoot, dirName), dirName);
+	}
+	return files;
+}
+
+// akashic-project:// の読み込み。listProjectResourceFiles が返すファイル (game.json と script/ src/ のスクリプト) 以外は
+// 読む前に拒否する (.env や .git、.mcp/history などを公開しないため)
+function readProjectResourceFile(projectRoot, relPath) {
+	const normalized = path.posix.normalize(relPath.replace(/\\/g, "/")).replace(/^\.\//, "");
+	if (!listProjectResourceFiles(projectRoot).includes(normalized)) {
+		throw new Error(`Not a project resource: ${relPath} (only game.json and script files under script/ or src/ are available)`);
+	}
+	const fullPath = path.resolve(projectRoot, normalized);
+	return { mimeType: guessMimeType(fullPath), text: fs.readFileSync(fullPath, "utf-8") };
+}
+
+
+// =================================================================
+// 1.4 ドキュメントデータの状態管理とライブリロード
+// =================================================================
+// 検索インデックス等の派生データはすべて docState にまとめ、リロード時は丸ごと差し替える
+// (構築は同期処理なので、処理中のリクエストが半端な状態を見ることはない)
+function buildDocState(dataDir, { strict = false } = {}) {
+	const sources = loadDocSources(dataDir, { strict });
+	const docs = sources.flatMap((source) => source.docs);
+	// "api" タグの付いたソース (akashic-engine のリポジトリ) から API シンボルを抽出する
+	const apiSymbolIndex = buildApiSymbolIndex(sources.filter((source) => source.tags.includes("api")).flatMap((source) => source.docs));
+	return {
+		sources,
+		docs,
+		sourcePriority: new Map(sources.map((source) => [source.name, source.priority])),
+		searchIndex: buildSearchIndex(docs),
+		codeExampleIndex: buildSearchIndex(docs.flatMap((doc) => extractCodeExamples(doc))),
+		synonymGroups: loadSynonymGroups(dataDir, { strict }),
+		apiSymbolIndex,
+		apiSummaryIndex: buildApiSummaryIndex(apiSymbolIndex),
+		resourceMap: buildDocResourceMap(docs),
+		loadedAt: new Date()
+	};
+}
+
+function getDocPageKey(doc) {
+	return `${doc.source}\u0000${doc.url || doc.title}`;
+}
+
+function hashDocPage(doc) {
+	return crypto.createHash("sha1").update(doc.title).update("\u0000").update(doc.content).digest("hex");
+}
+
+function diffDocStates(previous, next) {
+	const previousPages = new Map(previous.docs.map((doc) => [getDocPageKey(doc), doc]));
+	const nextPages = new Map(next.docs.map((doc) => [getDocPageKey(doc), doc]));
+	const added = [];
+	const removed = [];
+	const modified = [];
+	for (const [key, doc] of nextPages) {
+		const before = previousPages.get(key);
+		if (!before) {
+			added.push(doc);
+		} else if (hashDocPage(before) !== hashDocPage(doc)) {
+			modified.push(doc);
+		}
+	}
+	for (const [key, doc] of previousPages) {
+		if (!nextPages.has(key)) removed.push(doc);
+	}
+	return { added, removed, modified };
+}
+
+function formatDocStateDiff(diff, maxItemsPerKind = 20) {
+	const lines = [`Added: ${diff.added.length}, Removed: ${diff.removed.length}, Modified: ${diff.modified.length}`];
+	for (const [label, docs] of [["Added", diff.added], ["Removed", diff.removed], ["Modified", diff.modified]]) {
+		if (docs.length === 0) continue;
+		lines.push("", `### ${label}`);
+		for (const doc of docs.slice(0, maxItemsPerKind)) {
+			lines.push(`- [${doc.source}] ${doc.title || "(no title)"}${doc.url ? ` (${doc.url})` : ""}`);
+		}
+		if (docs.length > maxItemsPerKind) {
+			lines.push(`- ... and ${docs.length - maxItemsPerKind} more`);
+		}
+	}
+	return lines.join("\n");
+}
+
+let docState = buildDocState(DOCS_DATA_DIR);
+console.log(`[Info] Doc sources:\n${formatDocSourceReport(docState.sources)}`);
+
+// 読み込みに失敗したファイルがある場合は例外となり、現在の docState を維持する
+function reloadDocState(reason) {
+	const next = buildDocState(DOCS_DATA_DIR, { strict: true });
+	const diff = diffDocStates(docState, next);
+	docState = next;
+	console.log(`[Info] Reloaded docs (${reason}): +${diff.added.length} -${diff.removed.length} ~${diff.modified.length}`);
+	return diff;
+}
+
+// data/ 以下の JSON が書き換えられたら少し待ってから再読み込みする
+// (fetch-doc.js などが書き込み途中のファイルを読まないよう、連続した変更はまとめて扱う)
+const DOCS_WATCH_DEBOUNCE_MS = 1000;
+
+function startDocsWatcher() {
+	if (process.env.AKASHIC_DOCS_WATCH === "0") {
+		return null;
+	}
+	if (!fs.existsSync(DOCS_DATA_DIR)) {
+		console.error(`[Warning] ${DOCS_DATA_DIR} not found. Doc live reload is disabled.`);
+		return null;
+	}
+	let timer = null;
+	try {
+		const watcher = fs.watch(DOCS_DATA_DIR, (eventType, filename) => {
+			if (filename && !String(filename).endsWith(".json")) return;
+			clearTimeout(timer);
+			timer = setTimeout(() => {
+				try {
+					reloadDocState(`watch: ${filename || eventType}`);
+				} catch (error) {
+					console.error("[Error] Doc reload failed, keeping previous data:", error.message);
+				}
+			}, DOCS_WATCH_DEBOUNCE_MS);
+		});
+		watcher.on("error", (error) => {
+			console.error("[Warning] Doc watcher stopped:", error.message);
+		});
+		return watcher;
+	} catch (error) {
+		console.error("[Warning] Failed to watch docs directory:", error.message);
+		return null;
+	}
+}
+
+
+// =================================================================
+// 2. ヘルパー関数: 利用可能なテンプレート一覧の取得
+// =================================================================
+async function getAkashicTemplates() {
+	if (getAkashicTemplates.cache) {
+		return getAkashicTemplates.cache;
+	}
+	try {
+		// akashic init -l コマンドを実行してテンプレート一覧を取得
+		console.error("[Info] Fetching available Akashic templates...");
+		const { stdout } = await execAsync('akashic init -l');
+		
+		// 出力を解析してテンプレート名（行頭の単語）を抽出
+		const templates = stdout
+			.split('\n')
+			.map(line => line.trim().split(/\s+/)[0])
+			.filter(name => name && name.length > 0);
+
+		const uniqueTemplates = [...new Set(templates)];
+		
+		if (uniqueTemplates.length === 0) {
+			throw new Error("No templates found from CLI output.");
+		}
+		
+		// TypeScript系とJavaScript系が両方含まれているか確認（ログ用）
+		getAkashicTemplates.cache = uniqueTemplates;
+		return uniqueTemplates;
+
+	} catch (error) {
+		console.error(`[Warning] Failed to fetch templates via CLI: ${error.message}`);
+		// CLIが失敗した場合やインストールされていない場合のフォールバック
+		const fallback = [
+			"javascript", 
+			"typescript", 
+			"javascript-shin-ichiba-ranking", 
+			"typescript-shin-ichiba-ranking",
+			"javascript-minimal",
+			"typescript-minimal",
+			"javascript-multi",
+			"typescript-multi"
+		];
+		getAkashicTemplates.cache = fallback;
+		return fallback;
+	}
+}
+getAkashicTemplates.cache = null;
+
+// akashic CLI の呼び出し方を調べる (ローカルの node_modules/.bin → グローバル → npx の順)
+// 見つかった場合は { kind, command, version }、見つからなければ null。attempts には各方法の結果を残す
+// npx は初回にパッケージを取得するため長めに待つ
+const AKASHIC_CLI_DETECT_TIMEOUT_MS = 15000;
+const AKASHIC_CLI_NPX_TIMEOUT_MS = 60000;
+
+async function detectAkashicCli(baseDir, attempts = []) {
+	const localBin = path.resolve(baseDir, "node_modules", ".bin", isWindows ? "akashic.cmd" : "akashic");
+	const candidates = [
+		{ kind: "local", command: `"${localBin}"`, available: () => fs.existsSync(localBin) },
+		{ kind: "global", command: "akashic" },
+		{ kind: "npx", command: `"${getNpxCommand()}" --yes @akashic/akashic-cli`, timeout: AKASHIC_CLI_NPX_TIMEOUT_MS }
+	];
+	for (const candidate of candidates) {
+		if (candidate.available && !candidate.available()) {
+			attempts.push(`${candidate.kind}: not found (${localBin})`);
+			continue;
+		}
+		// グローバルと npx の結果はプロジェクトによらないのでキャッシュする
+		const cached = detectAkashicCli.cache.get(candidate.kind);
+		if (candidate.kind !== "local" && cached !== undefined) {
+			attempts.push(`${candidate.kind}: ${cached ? `available (cached, ${cached.version})` : "unavailable (cached)"}`);
+			if (cached) return cached;
+			continue;
+		}
+		try {
+			const { stdout } = await execAsync(`${candidate.command} --version`, { timeout: candidate.timeout || AKASHIC_CLI_DETECT_TIMEOUT_MS });
+			const cli = { kind: candidate.kind, command: candidate.command, version: stdout.trim().split("\n").pop() || "unknown" };
+			attempts.push(`${candidate.kind}: available (${cli.version})`);
+			if (candidate.kind !== "local") detectAkashicCli.cache.set(candidate.kind, cli);
+			return cli;
+		} catch (error) {
+			const reason = error && error.killed ? "timed out" : ((error && error.stderr) || (error && error.message) || "failed").trim().split("\n")[0];
+			attempts.push(`${candidate.kind}: unavailable (${reason})`);
+			if (candidate.kind !== "local") detectAkashicCli.cache.set(candidate.kind, null);
+		}
+	}
+	return null;
+}
+detectAkashicCli.cache = new Map();
+
+// akashic init の templateType に最も近いローカルテンプレート (template/<name>) を選ぶ
+function mapTemplateTypeToLocalTemplate(templateType) {
+	const type = String(templateType || "").toLowerCase();
+	const isTypeScript = type.startsWith("typescript");
+	if (type.includes("ranking")) {
+		return { name: "ranking", exact: !isTypeScript };
+	}
+	if (type.includes("multi")) {
+		return { name: "multi", exact: !isTypeScript };
+	}
+	if (isTypeScript) {
+		return { name: "typescript", exact: type === "typescript" };
+	}
+	return { name: "minimal", exact: type === "javascript-minimal" || type === "javascript" };
+}
+
+
+// =================================================================
+// 2.1 ヘルパー関数: プロジェクト内ファイルの書き込み
+// =================================================================
+function inferProjectRoot(startPath) {
+	let currentDir = path.dirname(startPath);
+	for (let depth = 0; depth < 8; depth += 1) {
+		if (fs.existsSync(path.resolve(currentDir, "game.json"))) {
+			return currentDir;
+		}
+		const parentDir = path.dirname(currentDir);
+		if (parentDir === currentDir) {
+			break;
+		}
+		currentDir = parentDir;
+	}
+	return null;
+}
+
+// create_game_file と同じ規則でプロジェクトルートと書き込み先を決める
+// 問題があれば { error } を返す
+function resolveProjectFilePath({ directoryName, filePath, forbidGameJsonUpdate }) {
+	if (directoryName && !path.isAbsolute(directoryName) && directoryName.includes('..')) {
+		return { error: "Error: Invalid directory name. Avoid '..' in relative paths." };
+	}
+	if (!path.isAbsolute(filePath) && filePath.includes('..')) {
+		return { error: "Error: Invalid file path. Avoid '..' in relative paths." };
+	}
+
+	const fullPath = path.isAbsolute(filePath)
+		? path.normalize(filePath)
+		: null;
+	const projectRoot = directoryName
+		? (path.isAbsolute(directoryName)
+			? path.normalize(directoryName)
+			: path.resolve(process.cwd(), directoryName))
+		: (fullPath ? inferProjectRoot(fullPath) : null);
+	if (!projectRoot || !fs.existsSync(projectRoot) || !fs.statSync(projectRoot).isDirectory()) {
+		return { error: "Error: Project directory could not be determined. Pass directoryName or use an absolute filePath inside a project." };
+	}
+
+	const resolvedFullPath = fullPath ?? path.resolve(projectRoot, filePath);
+	if (!resolvedFullPath.startsWith(projectRoot + path.sep) && resolvedFullPath !== projectRoot) {
+		return { error: "Error: filePath must be inside the project directory." };
+	}
+
+	const relativePath = path.relative(projectRoot, resolvedFullPath).replace(/\\/g, "/");
+	if (!relativePath || relativePath.startsWith("..")) {
+		return { error: "Error: filePath must be inside the project directory." };
+	}
+
+	if (path.basename(resolvedFullPath).toLowerCase() === "game.json" && relativePath !== "game.json") {
+		return { error: "Error: game.json must exist directly under the project directory." };
+	}
+	if (forbidGameJsonUpdate && relativePath.toLowerCase() === "game.json") {
+		return { error: "Error: game.json updates are forbidden by option." };
+	}
+	return { projectRoot, fullPath: resolvedFullPath, relativePath };
+}
+
+// 楽観的排他制御: read_project_files が返した hash (sha1) と現在のファイルを比較する
+// 一致すれば null、変更されていれば書き込みを拒否するためのエラーメッセージを返す
+// proposedContent があれば「現在の内容 → 書き込もうとした内容」の diff を、なければ現在の内容を添える
+const CONFLICT_CONTENT_MAX_CHARS = 20000;
+
+function checkExpectedHash(fullPath, relativePath, expectedHash, { proposedContent } = {}) {
+	if (!expectedHash) return null;
+	if (!fs.existsSync(fullPath) || !fs.statSync(fullPath).isFile()) {
+		return `Error: ${relativePath} no longer exists (expected hash ${expectedHash}); the file was not written.`;
+	}
+	const data = fs.readFileSync(fullPath);
+	const currentHash = hashBuffer(data);
+	if (currentHash === expectedHash.trim().toLowerCase()) return null;
+
+	const lines = [
+		`Error: ${relativePath} was changed since it was read (expected hash ${expectedHash}, current hash ${currentHash}); the file was not written.`,
+		"Re-read the file and reapply your change, passing the current hash as expectedHash."
+	];
+	if (isBinaryBuffer(data)) {
+		lines.push(`Current file is binary (${data.length} bytes).`);
+		return lines.join("\n");
+	}
+	const current = data.toString("utf-8").replace(/\r\n/g, "\n");
+	if (typeof proposedContent === "string") {
+		const diff = createUnifiedDiff(current, proposedContent.replace(/\r\n/g, "\n"), {
+			oldLabel: `current/${relativePath}`,
+			newLabel: `proposed/${relativePath}`
+		});
+		lines.push("", "Diff from the current content to your content:", "```diff", diff || "(identical)", "```");
+		return lines.join("\n");
+	}
+	const truncated = current.length > CONFLICT_CONTENT_MAX_CHARS;
+	lines.push("", "Current content:", "```", (truncated ? current.slice(0, CONFLICT_CONTENT_MAX_CHARS) : current).replace(/\n$/, ""), "```");
+	if (truncated) lines.push(`(truncated at ${CONFLICT_CONTENT_MAX_CHARS} chars)`);
+	return lines.join("\n");
+}
+
+// 差分を計算する行数の上限 (共通の先頭・末尾を除いた旧+新の行数)。超えた部分は丸ごと削除+追加として扱う
+const DIFF_MAX_LINES = 10000;
+
+// Myers の middle snake: a[aLo..aHi) と b[bLo..bHi) の最短編集経路の中間点 { x, y } を線形メモリで求める
+// 共通部分がなければ null
+function findMiddleSnake(a, aLo, aHi, b, bLo, bHi) {
+	const n = aHi - aLo;
+	const m = bHi - bLo;
+	const maxD = Math.ceil((n + m) / 2);
+	const offset = maxD;
+	const size = 2 * maxD + 2;
+	const forward = new Int32Array(size).fill(-1);
+	const backward = new Int32Array(size).fill(-1);
+	forward[offset + 1] = 0;
+	backward[offset + 1] = 0;
+	const delta = n - m;
+	// 差が奇数なら前向きの探索で、偶数なら後ろ向きの探索で重なりを判定する
+	const checkForward = delta % 2 !== 0;
+	let forwardStart = 0;
+	let forwardEnd = 0;
+	let backwardStart = 0;
+	let backwardEnd = 0;
+	for (let d = 0; d < maxD; d++) {
+		for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+			const index = offset + k;
+			let x = (k === -d || (k !== d && forward[index - 1] < forward[index + 1])) ? forward[index + 1] : forward[index - 1] + 1;
+			let y = x - k;
+			while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+				x++;
+				y++;
+			}
+			forward[index] = x;
+			if (x > n) {
+				forwardEnd += 2;
+			} else if (y > m) {
+				forwardStart += 2;
+			} else if (checkForward) {
+				const backIndex = offset + delta - k;
+				if (backIndex >= 0 && backIndex < size && backward[backIndex] !== -1 && x >= n - backward[backIndex]) {
+					return { x: aLo + x, y: bLo + y };
+				}
+			}
+		}
+		for (let k = -d + backwardStart; k <= d - backwardEnd; k += 2) {
+			const index = offset + k;
+			let x = (k === -d || (k !== d && backward[index - 1] < backward[index + 1])) ? backward[index + 1] : backward[index - 1] + 1;
+			let y = x - k;
+			while (x < n && y < m && a[aHi - x - 1] === b[bHi - y - 1]) {
+				x++;
+				y++;
+			}
+			backward[index] = x;
+			if (x > n) {
+				backwardEnd += 2;
+			} else if (y > m) {
+				backwardStart += 2;
+			} else if (!checkForward) {
+				const forwardIndex = offset + delta - k;
+				if (forwardIndex >= 0 && forwardIndex < size && forward[forwardIndex] !== -1) {
+					const forwardX = forward[forwardIndex];
+					if (forwardX >= n - x) {
+						return { x: aLo + forwardX, y: bLo + forwardX - (forwardIndex - offset) };
+					}
+				}
+			}
+		}
+	}
+	return null;
+}
+
+// 行単位の編集列 ({ type: "equal" | "delete" | "insert", line }) を求める
+// middle snake で分割していくので、メモリは行数に比例する分しか使わない
+function diffLines(oldLines, newLines) {
+	// 行を番号に置き換えて比較を速くする
+	const ids = new Map();
+	const toIds = (lines) => Int32Array.from(lines, (line) => {
+		if (!ids.has(line)) ids.set(line, ids.size);
+		return ids.get(line);
+	});
+	const a = toIds(oldLines);
+	const b = toIds(newLines);
+	const ops = [];
+	const pushDeletes = (from, to) => {
+		for (let i = from; i < to; i++) ops.push({ type: "delete", line: oldLines[i] });
+	};
+	const pushInserts = (from, to) => {
+		for (let i = from; i < to; i++) ops.push({ type: "insert", line: newLines[i] });
+	};
+	const diffRange = (aLo, aHi, bLo, bHi) => {
+		while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) {
+			ops.push({ type: "equal", line: oldLines[aLo] });
+			aLo++;
+			bLo++;
+		}
+		let suffix = 0;
+		while (aHi - suffix > aLo && bHi - suffix > bLo && a[aHi - suffix - 1] === b[bHi - suffix - 1]) suffix++;
+		aHi -= suffix;
+		bHi -= suffix;
+		const snake = aLo < aHi && bLo < bHi && (aHi - aLo) + (bHi - bLo) <= DIFF_MAX_LINES
+			? findMiddleSnake(a, aLo, aHi, b, bLo, bHi)
+			: null;
+		if (snake) {
+			diffRange(aLo, snake.x, bLo, snake.y);
+			diffRange(snake.x, aHi, snake.y, bHi);
+		} else {
+			pushDeletes(aLo, aHi);
+			pushInserts(bLo, bHi);
+		}
+		for (let i = 0; i < suffix; i++) ops.push({ type: "equal", line: oldLines[aHi + i] });
+	};
+	diffRange(0, oldLines.length, 0, newLines.length);
+	return ops;
+}
+
+function splitTextLines(text) {
+	if (!text) return [];
+	const lines = text.split("\n");
+	if (lines[lines.length - 1] === "") lines.pop();
+	return lines;
+}
+
+// 変更がなければ空文字を返す
+function createUnifiedDiff(oldText, newText, { oldLabel = "a", newLabel = "b", context = 3 } = {}) {
+	const normalize = (text) => String(text ?? "").replace(/\r\n/g, "\n");
+	const ops = diffLines(splitTextLines(normalize(oldText)), splitTextLines(normalize(newText)));
+	const changeIndexes = ops.map((op, index) => (op.type === "equal" ? -1 : index)).filter((index) => index >= 0);
+	if (changeIndexes.length === 0) return "";
+
+	// 近い変更はひとつの hunk にまとめる
+	const ranges = [];
+	for (const index of changeIndexes) {
+		const start = Math.max(0, index - context);
+		const end = Math.min(ops.length, index + context + 1);
+		const last = ranges[ranges.length - 1];
+		if (last && start <= last.end) {
+			last.end = Math.max(last.end, end);
+		} else {
+			ranges.push({ start, end });
+		}
+	}
+
+	const lines = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+	let oldLine = 1;
+	let newLine = 1;
+	let cursor = 0;
+	for (const range of ranges) {
+		for (; cursor < range.start; cursor++) {
+			if (ops[cursor].type !== "insert") oldLine++;
+			if (ops[cursor].type !== "delete") newLine++;
+		}
+		const body = [];
+		let oldCount = 0;
+		let newCount = 0;
+		for (; cursor < range.end; cursor++) {
+			const op = ops[cursor];
+			if (op.type === "equal") {
+				body.push(` ${op.line}`);
+				oldCount++;
+				newCount++;
+			} else if (op.type === "delete") {
+				body.push(`-${op.line}`);
+				oldCount++;
+			} else {
+				body.push(`+${op.line}`);
+				newCount++;
+			}
+		}
+		lines.push(`@@ -${oldCount === 0 ? oldLine - 1 : oldLine},${oldCount} +${newCount === 0 ? newLine - 1 : newLine},${newCount} @@`, ...body);
+		oldLine += oldCount;
+		newLine += newCount;
+	}
+	return lines.join("\n");
+}
+
+// 完全一致の検索・置換を順に適用する。一致しない/複数一致する場合はどのブロックかを示して例外を投げる
+function applySearchReplaceEdits(content, edits) {
+	let result = content;
+	edits.forEach((edit, index) => {
+		const label = `Edit #${index + 1}`;
+		if (!edit.search) {
+			throw new Error(`${label}: search must not be empty.`);
+		}
+		const first = result.indexOf(edit.search);
+		if (first < 0) {
+			throw new Error(`${label}: search text not found in the file (it must match exactly, including whitespace and indentation).`);
+		}
+		if (edit.replaceAll) {
+			result = result.split(edit.search).join(edit.replace);
+			return;
+		}
+		if (result.indexOf(edit.search, first + 1) >= 0) {
+			throw new Error(`${label}: search text matches multiple places. Add surrounding lines to make it unique, or set replaceAll.`);
+		}
+		result = result.slice(0, first) + edit.replace + result.slice(first + edit.search.length);
+	});
+	return result;
+}
+
+function parseUnifiedDiff(diffText) {
+	const hunks = [];
+	let current = null;
+	let oldRemaining = 0;
+	let newRemaining = 0;
+	for (const line of String(diffText).replace(/\r\n/g, "\n").split("\n")) {
+		const header = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/.exec(line);
+		if (header) {
+			current = { oldStart: Number(header[1]), lines: [] };
+			// ヘッダーの行数を使い切るまではハンクの中 ("--- x" は "-- x" の削除、"+++ x" は "++ x" の追加)
+			oldRemaining = header[2] === undefined ? 1 : Number(header[2]);
+			newRemaining = header[4] === undefined ? 1 : Number(header[4]);
+			hunks.push(current);
+			continue;
+		}
+		if (!current || line.startsWith("\\")) continue;
+		const inHunk = oldRemaining > 0 || newRemaining > 0;
+		// ハンクの外の "--- a/file" "+++ b/file" は次のファイルのヘッダー
+		if (!inHunk && (line.startsWith("--- ") || line.startsWith("+++ "))) continue;
+		const marker = line[0];
+		if (marker === " " || marker === "-" || marker === "+") {
+			current.lines.push({ type: marker, text: line.slice(1) });
+		} else if (line === "") {
+			// 末尾の空行や、空白が削られたコンテキスト行
+			current.lines.push({ type: " ", text: "" });
+		} else {
+			continue;
+		}
+		// 行数が合っていない差分も受け付けるため、使い切った後の行もそのハンクに加える
+		if (marker !== "+") oldRemaining--;
+		if (marker !== "-") newRemaining--;
+	}
+	// 最後のコンテキストが差分の末尾の改行だけなら取り除く
+	for (const hunk of hunks) {
+		while (hunk.lines.length > 0 && hunk.lines[hunk.lines.length - 1].type === " " && hunk.lines[hunk.lines.length - 1].text === "") {
+			hunk.lines.pop();
+		}
+	}
+	return hunks;
+}
+
+// unified diff を適用する。行番号がずれていても前後を探して一致する位置に当てる (patch の offset と同様)
+function applyUnifiedDiff(content, diffText) {
+	const hunks = parseUnifiedDiff(diffText);
+	if (hunks.length === 0) {
+		throw new Error("No hunks found in diff (expected lines starting with '@@ -a,b +c,d @@').");
+	}
+	const hadTrailingNewline = content.endsWith("\n");
+	const lines = splitTextLines(content);
+	let shift = 0;
+	hunks.forEach((hunk, index) => {
+		const expected = hunk.lines.filter((line) => line.type !== "+").map((line) => line.text);
+		const replacement = hunk.lines.filter((line) => line.type !== "-").map((line) => line.text);
+		const matchesAt = (start) => start >= 0 && start + expected.length <= lines.length
+			&& expected.every((text, i) => lines[start + i] === text);
+		const planned = Math.max(0, hunk.oldStart - 1 + shift - (expected.length === 0 ? -1 : 0));
+		let start = -1;
+		for (let distance = 0; distance <= lines.length; distance++) {
+			if (matchesAt(planned - distance)) {
+				start = planned - distance;
+				break;
+			}
+			if (distance > 0 && matchesAt(planned + distance)) {
+				start = planned + distance;
+				break;
+			}
+		}
+		if (start < 0) {
+			const preview = expected.slice(0, 3).map((text) => `  ${text}`).join("\n");
+			throw new Error(`Hunk #${index + 1} (@@ -${hunk.oldStart}) failed to apply: context/removed lines not found in the file.\nExpected:\n${preview}`);
+		}
+		lines.splice(start, expected.length, ...replacement);
+		shift += (start - planned) + replacement.length - expected.length;
+	});
+	return lines.join("\n") + (hadTrailingNewline || lines.length === 0 ? "\n" : "");
+}
+
+// =================================================================
+// 2.2 ヘルパー関数: プロジェクトの変更履歴 (.mcp/history)
+// =================================================================
+// ファイルを書き換える/削除するツールは、変更前の内容をチェックポイントとして保存する
+// .mcp/history/checkpoints/<id>.json に対象ファイルの一覧、.mcp/history/blobs/<sha1> に内容を置く (同じ内容は共有)
+const HISTORY_DIR = path.join(".mcp", "history");
+const HISTORY_MAX_CHECKPOINTS = 100;
+
+function getHistoryPaths(projectRoot) {
+	const root = path.resolve(projectRoot, HISTORY_DIR);
+	return {
+		root,
+		checkpointsDir: path.resolve(root, "checkpoints"),
+		blobsDir: path.resolve(root, "blobs")
+	};
+}
+
+function hashBuffer(buffer) {
+	return crypto.createHash("sha1").update(buffer).digest("hex");
+}
+
+function createCheckpointId(tool) {
+	const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.(\d+)Z$/, "$1Z").replace("T", "-");
+	return `${stamp}-${crypto.randomBytes(2).toString("hex")}-${tool}`;
+}
+
+// 使い方: const checkpoint = beginCheckpoint(root, "create_game_file", "説明");
+//         checkpoint.track(fullPath) を書き込み前に呼び、最後に checkpoint.commit()
+// track は同じファイルに対しては最初の 1 回だけ記録する (= ツール実行前の状態)
+function beginCheckpoint(projectRoot, tool, description = "") {
+	const { checkpointsDir, blobsDir } = getHistoryPaths(projectRoot);
+	const files = new Map();
+	return {
+		track(fullPath, { existed } = {}) {
+			const relPath = path.relative(projectRoot, fullPath).replace(/\\/g, "/");
+			if (!relPath || relPath.startsWith("..") || relPath.split("/")[0] === ".mcp" || files.has(relPath)) return;
+			const exists = existed !== false && fs.existsSync(fullPath) && fs.statSync(fullPath).isFile();
+			if (!exists) {
+				files.set(relPath, { path: relPath, existed: false, blob: null, size: 0 });
+				return;
+			}
+			const data = fs.readFileSync(fullPath);
+			const blob = hashBuffer(data);
+			fs.mkdirSync(blobsDir, { recursive: true });
+			const blobPath = path.resolve(blobsDir, blob);
+			if (!fs.existsSync(blobPath)) fs.writeFileSync(blobPath, data);
+			files.set(relPath, { path: relPath, existed: true, blob, size: data.length });
+		},
+		entries() {
+			return [...files.values()];
+		},
+		commit() {
+			if (files.size === 0) return null;
+			const checkpoint = {
+				id: createCheckpointId(tool),
+				tool,
+				description,
+				createdAt: new Date().toISOString(),
+				files: [...files.values()]
+			};
+			fs.mkdirSync(checkpointsDir, { recursive: true });
+			fs.writeFileSync(path.resolve(checkpointsDir, `${checkpoint.id}.json`), JSON.stringify(checkpoint, null, 2));
+			pruneHistory(projectRoot);
+			return checkpoint;
+		}
+	};
+}
+
+// 新しい順
+function listCheckpoints(projectRoot) {
+	const { checkpointsDir } = getHistoryPaths(projectRoot);
+	if (!fs.existsSync(checkpointsDir)) return [];
+	return fs.readdirSync(checkpointsDir)
+		.filter((name) => name.endsWith(".json"))
+		.sort()
+		.reverse()
+		.map((name) => {
+			try {
+				return JSON.parse(fs.readFileSync(path.resolve(checkpointsDir, name), "utf-8"));
+			} catch {
+				return null;
+			}
+		})
+		.filter(Boolean);
+}
+
+function findCheckpoint(projectRoot, checkpointId) {
+	const checkpoints = listCheckpoints(projectRoot);
+	const exact = checkpoints.find((checkpoint) => checkpoint.id === checkpointId);
+	if (exact) return exact;
+	// 前方一致は 1 件に絞れる場合のみ
+	const matches = checkpoints.filter((checkpoint) => checkpoint.id.startsWith(checkpointId));
+	return matches.length === 1 ? matches[0] : null;
+}
+
+// チェックポイントの JSON は手で編集されうるので、パスはプロジェクト内 (.mcp 以外)、blob は sha1 の名前に限る
+// 問題がなければ対象ファイルのフルパスを返す
+function resolveCheckpointEntry(projectRoot, entry) {
+	const entryPath = entry && typeof entry.path === "string" ? entry.path : "";
+	const target = entryPath && !path.isAbsolute(entryPath)
+		? resolveProjectFilePath({ directoryName: projectRoot, filePath: entryPath })
+		: { error: "absolute or empty path" };
+	if (target.error || target.relativePath.split("/")[0] === ".mcp") {
+		throw new Error(`Invalid path in checkpoint: '${entryPath}' must be a relative path inside the project.`);
+	}
+	if (entry.existed && !/^[0-9a-f]{40}$/.test(String(entry.blob))) {
+		throw new Error(`Invalid blob in checkpoint for ${entryPath}: '${entry.blob}'.`);
+	}
+	return target.fullPath;
+}
+
+function readCheckpointBlob(projectRoot, entry) {
+	resolveCheckpointEntry(projectRoot, entry);
+	if (!entry.existed) return null;
+	return fs.readFileSync(path.resolve(getHistoryPaths(projectRoot).blobsDir, entry.blob));
+}
+
+// 古いチェックポイントを削除し、どこからも参照されない blob を消す
+function pruneHistory(projectRoot) {
+	const { checkpointsDir, blobsDir } = getHistoryPaths(projectRoot);
+	const checkpoints = listCheckpoints(projectRoot);
+	if (checkpoints.length <= HISTORY_MAX_CHECKPOINTS) return;
+	for (const checkpoint of checkpoints.slice(HISTORY_MAX_CHECKPOINTS)) {
+		fs.rmSync(path.resolve(checkpointsDir, `${checkpoint.id}.json`), { force: true });
+	}
+	const referenced = new Set(checkpoints.slice(0, HISTORY_MAX_CHECKPOINTS).flatMap((checkpoint) => checkpoint.files.map((file) => file.blob)));
+	for (const blob of fs.existsSync(blobsDir) ? fs.readdirSync(blobsDir) : []) {
+		if (!referenced.has(blob)) fs.rmSync(path.resolve(blobsDir, blob), { force: true });
+	}
+}
+
+function isBinaryBuffer(buffer) {
+	return buffer.subarray(0, Math.min(buffer.length, 8000)).includes(0);
+}
+
+// チェックポイント時点の内容と現在の内容の差分 (チェックポイント → 現在)
+function diffCheckpointEntry(projectRoot, entry) {
+	const fullPath = resolveCheckpointEntry(projectRoot, entry);
+	const before = readCheckpointBlob(projectRoot, entry);
+	const after = fs.existsSync(fullPath) && fs.statSync(fullPath).isFile() ? fs.readFileSync(fullPath) : null;
+	if (!before && !after) return `${entry.path}: unchanged (absent)`;
+	if (before && after && before.equals(after)) return `${entry.path}: unchanged`;
+	if ((before && isBinaryBuffer(before)) || (after && isBinaryBuffer(after))) {
+		return `${entry.path}: binary ${before ? `${before.length} bytes` : "(absent)"} -> ${after ? `${after.length} bytes` : "(absent)"}`;
+	}
+	return createUnifiedDiff(before ? before.toString("utf-8") : "", after ? after.toString("utf-8") : "", {
+		oldLabel: before ? `checkpoint/${entry.path}` : "/dev/null",
+		newLabel: after ? `current/${entry.path}` : "/dev/null"
+	});
+}
+
+function restoreCheckpointEntry(projectRoot, entry) {
+	const fullPath = resolveCheckpointEntry(projectRoot, entry);
+	if (!entry.existed) {
+		if (fs.existsSync(fullPath)) fs.rmSync(fullPath, { force: true });
+		return `${entry.path}: removed (did not exist at checkpoint)`;
+	}
+	fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+	fs.writeFileSync(fullPath, readCheckpointBlob(projectRoot, entry));
+	return `${entry.path}: restored`;
+}
+
+// 変更ツールの directoryName からプロジェクトルート (game.json のあるディレクトリ) を探す
+// 見つからなければ対象ディレクトリ自体を使う
+function resolveHistoryRoot(targetPath) {
+	return inferProjectRoot(path.join(targetPath, "_")) || targetPath;
+}
+
+function formatCheckpointNote(checkpoint) {
+	return checkpoint ? `\nCheckpoint: ${checkpoint.id} (undo with restore_checkpoint)` : "";
+}
+
+// =================================================================
+// 2.3 ヘルパー関数: 複数ファイルの一括書き込み (all or nothing)
+// =================================================================
+const PROJECT_CHANGE_OPS = ["create", "overwrite", "delete", "move"];
+
+// 全操作のパスを検証し、操作順に存在状態をシミュレーションして実行計画を作る
+// 1 つでも不正な操作があれば { error } を返す (この時点ではまだ何も書き込まない)
+function planProjectChanges(operations, { directoryName, forbidGameJsonUpdate } = {}) {
+	let projectRoot = null;
+	const resolveOperationPath = (filePath, index) => {
+		if (!filePath) {
+			return { error: `Error: operations[${index}]: filePath is required.` };
+		}
+		const resolved = resolveProjectFilePath({ directoryName, filePath, forbidGameJsonUpdate });
+		if (resolved.error) {
+			return { error: `${resolved.error} (operations[${index}]: ${filePath})` };
+		}
+		if (resolved.relativePath.split("/")[0] === ".mcp") {
+			return { error: `Error: operations[${index}]: ${filePath} is inside .mcp, which is managed by the server.` };
+		}
+		if (projectRoot && resolved.projectRoot !== projectRoot) {
+			return { error: `Error: operations[${index}]: all files must belong to the same project (${projectRoot}).` };
+		}
+		projectRoot = resolved.projectRoot;
+		return resolved;
+	};
+
+	// 操作前の状態に、それまでの操作の結果を重ねたもの
+	const virtualExists = new Map();
+	const exists = (target) => virtualExists.has(target.fullPath)
+		? virtualExists.get(target.fullPath)
+		: fs.existsSync(target.fullPath);
+	const isDirectory = (target) => !virtualExists.has(target.fullPath)
+		&& fs.existsSync(target.fullPath) && fs.statSync(target.fullPath).isDirectory();
+
+	const steps = [];
+	for (let index = 0; index < operations.length; index++) {
+		const { op, filePath, toPath, content, expectedHash } = operations[index];
+		if (!PROJECT_CHANGE_OPS.includes(op)) {
+			return { error: `Error: operations[${index}]: unknown op '${op}'. Use one of ${PROJECT_CHANGE_OPS.join(", ")}.` };
+		}
+		const target = resolveOperationPath(filePath, index);
+		if (target.error) return target;
+		if (isDirectory(target)) {
+			return { error: `Error: operations[${index}]: ${target.relativePath} is a directory.` };
+		}
+		if (expectedHash) {
+			if (virtualExists.has(target.fullPath)) {
+				return { error: `Error: operations[${index}]: expectedHash cannot be checked for ${target.relativePath} because an earlier operation in this batch changes it.` };
+			}
+			const conflict = checkExpectedHash(target.fullPath, target.relativePath, expectedHash, { proposedContent: op === "overwrite" ? content : undefined });
+			if (conflict) {
+				return { error: `${conflict}\n(operations[${index}])` };
+			}
+		}
+
+		if (op === "create" || op === "overwrite") {
+			if (typeof content !== "string") {
+				return { error: `Error: operations[${index}]: content is required for ${op}.` };
+			}
+			if (op === "create" && exists(target)) {
+				return { error: `Error: operations[${index}]: ${target.relativePath} already exists (use overwrite).` };
+			}
+			if (op === "overwrite" && !exists(target)) {
+				return { error: `Error: operations[${index}]: ${target.relativePath} does not exist (use create).` };
+			}
+			virtualExists.set(target.fullPath, true);
+			steps.push({ op, target, content });
+			continue;
+		}
+
+		if (!exists(target)) {
+			return { error: `Error: operations[${index}]: ${target.relativePath} does not exist.` };
+		}
+		if (op === "delete") {
+			virtualExists.set(target.fullPath, false);
+			steps.push({ op, target });
+			continue;
+		}
+
+		const destination = resolveOperationPath(toPath, index);
+		if (destination.error) return destination;
+		if (exists(destination) || isDirectory(destination)) {
+			return { error: `Error: operations[${index}]: move destination ${destination.relativePath} already exists.` };
+		}
+		virtualExists.set(target.fullPath, false);
+		virtualExists.set(destination.fullPath, true);
+		steps.push({ op, target, destination });
+	}
+	return { projectRoot, steps };
+}
+
+function formatProjectChangeStep(step) {
+	if (step.op === "move") return `move ${step.target.relativePath} -> ${step.destination.relativePath}`;
+	if (step.op === "delete") return `delete ${step.target.relativePath}`;
+	return `${step.op} ${step.target.relativePath} (${Buffer.byteLength(step.content)} bytes)`;
+}
+
+// 書き込む内容を .mcp/tmp に用意してから、rename で順に反映する
+// 途中で失敗した場合は、反映前に記録したチェックポイントの内容で全ファイルを元に戻す
+function commitProjectChanges(projectRoot, steps, { tool, description }) {
+	const stagingDir = path.resolve(projectRoot, ".mcp", "tmp", crypto.randomBytes(6).toString("hex"));
+	const checkpoint = beginCheckpoint(projectRoot, tool, description);
+	try {
+		fs.mkdirSync(stagingDir, { recursive: true });
+		steps.forEach((step, index) => {
+			if (step.content === undefined) return;
+			step.stagedPath = path.resolve(stagingDir, String(index));
+			fs.writeFileSync(step.stagedPath, step.content);
+		});
+		for (const step of steps) {
+			checkpoint.track(step.target.fullPath);
+			if (step.destination) checkpoint.track(step.destination.fullPath);
+		}
+
+		try {
+			for (const step of steps) {
+				if (step.op === "delete") {
+					fs.rmSync(step.target.fullPath);
+					continue;
+				}
+				const destinationPath = step.op === "move" ? step.destination.fullPath : step.target.fullPath;
+				fs.mkdirSync(path.dirname(destinationPath), { recursive: true });
+				fs.renameSync(step.op === "move" ? step.target.fullPath : step.stagedPath, destinationPath);
+			}
+		} catch (err) {
+			const rollbackErrors = [];
+			for (const entry of checkpoint.entries()) {
+				try {
+					restoreCheckpointEntry(projectRoot, entry);
+				} catch (restoreError) {
+					rollbackErrors.push(`${entry.path}: ${restoreError.message}`);
+				}
+			}
+			if (rollbackErrors.length > 0) {
+				err.message += `\nRollback failed for: ${rollbackErrors.join("; ")}`;
+			} else {
+				err.message += "\nAll changes were rolled back.";
+			}
+			throw err;
+		}
+		return checkpoint.commit();
+	} finally {
+		fs.rmSync(stagingDir, { recursive: true, force: true });
+		try {
+			fs.rmdirSync(path.dirname(stagingDir));
+		} catch {
+			// 他の書き込みが使用中 (空でない) なら .mcp/tmp は残す
+		}
+	}
+}
+
+// =================================================================
+// 2.4 ヘルパー関数: 書き込み時の検証
+// =================================================================
+// game.json の内容 (パース済み) を検証する。validate_niconama_spec と書き込み時の検証で共用
+// アセットのパスは projectRoot からの相対パスとして存在を確認する
+function validateGameJson(projectRoot, gameJson, { expectedMode } = {}) {
+	const errors = [];
+	const warnings = [];
+	const infos = [];
+	if (!gameJson || typeof gameJson !== "object" || Array.isArray(gameJson)) {
+		errors.push("game.json must be a JSON object.");
+		return { errors, warnings, infos };
+	}
+
+	const requiredFields = ["width", "height", "fps", "main", "assets"];
+	for (const key of requiredFields) {
+		if (!(key in gameJson)) {
+			errors.push(`Missing required game.json field: ${key}`);
+		}
+	}
+
+	if (typeof gameJson.width !== "number" || gameJson.width <= 0) {
+		errors.push("Invalid width: must be a positive number.");
+	}
+	if (typeof gameJson.height !== "number" || gameJson.height <= 0) {
+		errors.push("Invalid height: must be a positive number.");
+	}
+	if (typeof gameJson.fps !== "number" || gameJson.fps <= 0) {
+		errors.push("Invalid fps: must be a positive number.");
+	}
+	if (typeof gameJson.main !== "string" || !gameJson.main.startsWith("./")) {
+		warnings.push("main should be a relative path starting with './'.");
+	}
+
+	const environment = gameJson.environment && typeof gameJson.environment === "object" ? gameJson.environment : null;
+	const nicolive = environment && environment.nicolive && typeof environment.nicolive === "object" ? environment.nicolive : null;
+	const supportedModes = nicolive && Array.isArray(nicolive.supportedModes) ? nicolive.supportedModes : null;
+
+	if (!environment) {
+		warnings.push("environment is missing.");
+	}
+	if (!nicolive) {
+		warnings.push("environment.nicolive is missing.");
+	}
+	if (!supportedModes || supportedModes.length === 0) {
+		warnings.push("environment.nicolive.supportedModes is missing or empty.");
+	} else {
+		infos.push(`supportedModes: ${supportedModes.join(", ")}`);
+		if (expectedMode && !supportedModes.includes(expectedMode)) {
+			errors.push(`expectedMode '${expectedMode}' is not included in supportedModes.`);
+		}
+	}
+
+	const rankingMode = (supportedModes && supportedModes.includes("ranking")) || expectedMode === "ranking";
+	if (rankingMode) {
+		const psp = nicolive && nicolive.preferredSessionParameters;
+		const ttl = psp && psp.totalTimeLimit;
+		if (typeof ttl !== "number" || ttl <= 0) {
+			warnings.push("ranking mode: preferredSessionParameters.totalTimeLimit is missing or invalid.");
+		}
+	}
+
+	const assets = gameJson.assets && typeof gameJson.assets === "object" ? gameJson.assets : null;
+	if (!assets) {
+		errors.push("assets is missing or invalid.");
+	} else {
+		const knownTypes = new Set(["image", "audio", "script", "text", "vector-image"]);
+		for (const [assetId, asset] of Object.entries(assets)) {
+			if (!asset || typeof asset !== "object") {
+				errors.push(`assets.${assetId} is not an object.`);
+				continue;
+			}
+			if (typeof asset.type !== "string") {
+				errors.push(`assets.${assetId}.type is missing.`);
+				continue;
+			}
+			if (!knownTypes.has(asset.type)) {
+				warnings.push(`assets.${assetId}.type '${asset.type}' is not in common known types.`);
+			}
+			if (typeof asset.path !== "string" || asset.path.length === 0) {
+				errors.push(`assets.${assetId}.path is missing.`);
+				continue;
+			}
+
+			const normalizedAssetPath = asset.path.startsWith("./") ? asset.path.slice(2) : asset.path;
+			const resolvedAssetPath = path.resolve(projectRoot, normalizedAssetPath);
+			if (!resolvedAssetPath.startsWith(projectRoot)) {
+				errors.push(`assets.${assetId}.path points outside project: ${asset.path}`);
+				continue;
+			}
+
+			if (asset.type === "audio") {
+				if (asset.systemId && !["sound", "music"].includes(asset.systemId)) {
+					warnings.push(`assets.${assetId}.systemId '${asset.systemId}' is unusual (common: sound/music).`);
+				}
+				const audioCandidates = [".ogg", ".m4a", ".aac"]
+					.map((ext) => `${resolvedAssetPath}${ext}`);
+				const audioExists = audioCandidates.some((filePath) => fs.existsSync(filePath));
+				if (!audioExists) {
+					warnings.push(`Audio source not found for assets.${assetId} (checked extension candidates from '${asset.path}').`);
+				}
+			} else if (!fs.existsSync(resolvedAssetPath)) {
+				errors.push(`Asset file not found: assets.${assetId}.path='${asset.path}'`);
+			}
+
+			if (asset.type === "script" && asset.global !== true) {
+				errors.push(`assets.${assetId} is script but global is not true.`);
+			}
+		}
+	}
+
+	return { errors, warnings, infos };
+}
+
+const VERIFIABLE_SCRIPT_EXTENSIONS = new Set([".js", ".mjs", ".cjs"]);
+
+// node --check で構文を検証する。ファイルはまだ書き込まないため、プロジェクト内の .mcp/tmp に
+// 同じ拡張子で一時ファイルを作る (package.json の "type" が同じように効くように)。検証後、空になった .mcp/tmp は消す
+async function checkScriptSyntax(projectRoot, relativePath, content) {
+	const tmpDir = path.resolve(projectRoot, ".mcp", "tmp");
+	const tmpPath = path.resolve(tmpDir, `verify-${crypto.randomBytes(6).toString("hex")}${path.extname(relativePath)}`);
+	fs.mkdirSync(tmpDir, { recursive: true });
+	fs.writeFileSync(tmpPath, content);
+	try {
+		await execAsync(`node --check "${tmpPath}"`);
+		return [];
+	} catch (error) {
+		const output = String((error && error.stderr) || (error && error.message) || "Unknown error")
+			.split(tmpPath).join(relativePath)
+			.split(/\r?\n/)
+			.filter((line) => line.trim() && !line.startsWith("Node.js v") && !/^\s+at /.test(line))
+			.slice(0, 6)
+			.join("\n");
+		return [`Syntax error: ${output}`];
+	} finally {
+		fs.rmSync(tmpPath, { force: true });
+		try {
+			fs.rmdirSync(tmpDir);
+		} catch {
+			// 他の検証や書き込みが使用中 (空でない) なら .mcp/tmp は残す
+		}
+	}
+}
+
+// 書き込む内容を検証する。検証対象外のファイルなら null
+// { kind, errors, warnings }
+async function verifyProjectFileContent(projectRoot, relativePath, content) {
+	if (relativePath === "game.json") {
+		let gameJson;
+		try {
+			gameJson = JSON.parse(content);
+		} catch (error) {
+			return { kind: "game.json", errors: [`Failed to parse game.json: ${error.message}`], warnings: [] };
+		}
+		const { errors, warnings } = validateGameJson(projectRoot, gameJson);
+		return { kind: "game.json", errors, warnings };
+	}
+	if (VERIFIABLE_SCRIPT_EXTENSIONS.has(path.extname(relativePath).toLowerCase())) {
+		return { kind: "script syntax", errors: await checkScriptSyntax(projectRoot, relativePath, content), warnings: [] };
+	}
+	return null;
+}
+
+// 書き込み後の内容を検証し、書き込み前の内容にはなかったエラーを newErrors として返す
+async function verifyProjectWrite(projectRoot, relativePath, fullPath, content) {
+	const after = await verifyProjectFileContent(projectRoot, relativePath, content);
+	if (!after) return null;
+	let beforeErrors = [];
+	if (after.errors.length > 0 && fs.existsSync(fullPath) && fs.statSync(fullPath).isFile()) {
+		const before = await verifyProjectFileContent(projectRoot, relativePath, fs.readFileSync(fullPath, "utf-8"));
+		beforeErrors = before ? before.errors : [];
+	}
+	// 構文エラーはメッセージに行番号を含むため、元々壊れていたファイルならエラーの増減は問わない
+	const newErrors = after.kind === "script syntax"
+		? (beforeErrors.length > 0 ? [] : after.errors)
+		: after.errors.filter((error) => !beforeErrors.includes(error));
+	return { ...after, newErrors };
+}
+
+function formatVerificationReport(verification) {
+	if (!verification) return "";
+	const lines = [`\n\nVerification (${verification.kind}): ${verification.errors.length > 0 ? "ERRORS" : "OK"}`];
+	for (const error of verification.errors) {
+		lines.push(`- [error${verification.newErrors.includes(error) ? ", new" : ""}] ${error}`);
+	}
+	for (const warning of verification.warnings) {
+		lines.push(`- [warning] ${warning}`);
+	}
+	return lines.join("\n");
+}
+
+// =================================================================
+// 2.5 ヘルパー関数: ローカルテンプレート (template/<name>)
+// =================================================================
+// template/<name>/template.json にテンプレートの説明とパラメーターを書き、
+// それ以外のファイルをプロジェクトにコピーする。テキストファイル中の {{パラメーター名}} は値に置き換える
+const LOCAL_TEMPLATES_DIR = path.resolve('./template');
+const LOCAL_TEMPLATE_MANIFEST = "template.json";
+const TEMPLATE_TEXT_EXTENSIONS = new Set([".js", ".mjs", ".cjs", ".ts", ".json", ".md", ".txt", ".html", ".css"]);
+const TEMPLATE_PARAMETER_TYPES = ["string", "number", "integer"];
+
+function loadLocalTemplates(templatesDir = LOCAL_TEMPLATES_DIR) {
+	if (!fs.existsSync(templatesDir)) return [];
+	const templates = [];
+	for (const name of fs.readdirSync(templatesDir).sort()) {
+		const dir = path.resolve(templatesDir, name);
+		const manifestPath = path.resolve(dir, LOCAL_TEMPLATE_MANIFEST);
+		if (!fs.statSync(dir).isDirectory() || !fs.existsSync(manifestPath)) continue;
+		try {
+			const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+			const parameters = manifest.parameters && typeof manifest.parameters === "object" ? manifest.parameters : {};
+			for (const [key, spec] of Object.entries(parameters)) {
+				if (!spec || !TEMPLATE_PARAMETER_TYPES.includes(spec.type)) {
+					throw new Error(`parameters.${key}.type must be one of ${TEMPLATE_PARAMETER_TYPES.join(", ")}`);
+				}
+			}
+			templates.push({
+				name,
+				dir,
+				description: manifest.description || "",
+				language: manifest.language || "javascript",
+				supportedModes: Array.isArray(manifest.supportedModes) ? manifest.supportedModes : [],
+				parameters
+			});
+		} catch (error) {
+			console.error(`[Warning] Skipping template '${name}': invalid ${LOCAL_TEMPLATE_MANIFEST} (${error.message})`);
+		}
+	}
+	return templates;
+}
+
+// 指定値とデフォルト値から置換に使う値を決める。不正な値があれば { error }
+function resolveTemplateParameters(template, params = {}) {
+	const values = {};
+	const unknown = Object.keys(params).filter((key) => !(key in template.parameters));
+	if (unknown.length > 0) {
+		return { error: `Error: Unknown parameter(s) for template '${template.name}': ${unknown.join(", ")}. Available: ${Object.keys(template.parameters).join(", ") || "(none)"}` };
+	}
+	for (const [key, spec] of Object.entries(template.parameters)) {
+		let value = params[key] ?? spec.default;
+		if (value === undefined) {
+			return { error: `Error: Parameter '${key}' is required for template '${template.name}'.` };
+		}
+		if (spec.type === "string") {
+			value = String(value);
+		} else {
+			value = typeof value === "string" ? Number(value) : value;
+			if (typeof value !== "number" || !Number.isFinite(value) || (spec.type === "integer" && !Number.isInteger(value))) {
+				return { error: `Error: Parameter '${key}' must be ${spec.type === "integer" ? "an integer" : "a number"}.` };
+			}
+			if (typeof spec.min === "number" && value < spec.min) {
+				return { error: `Error: Parameter '${key}' must be >= ${spec.min}.` };
+			}
+			if (typeof spec.max === "number" && value > spec.max) {
+				return { error: `Error: Parameter '${key}' must be <= ${spec.max}.` };
+			}
+		}
+		values[key] = value;
+	}
+	return { values };
+}
+
+// 文字列は JSON / JS の文字列リテラル中に埋め込めるようにエスケープする
+function renderTemplateText(text, values) {
+	return text.replace(/\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g, (match, key) => {
+		if (!(key in values)) return match;
+		const value = values[key];
+		return typeof value === "string" ? JSON.stringify(value).slice(1, -1) : String(value);
+	});
+}
+
+function listTemplateFiles(dir, baseRel = "") {
+	const files = [];
+	for (const entry of fs.readdirSync(dir).sort()) {
+		const rel = baseRel ? `${baseRel}/${entry}` : entry;
+		const full = path.resolve(dir, entry);
+		if (fs.statSync(full).isDirectory()) {
+			files.push(...listTemplateFiles(full, rel));
+		} else if (rel !== LOCAL_TEMPLATE_MANIFEST) {
+			files.push(rel);
+		}
+	}
+	return files;
+}
+
+// テンプレートを targetPath に展開し、書き込んだファイルの相対パスを返す
+function scaffoldLocalTemplate(targetPath, template, values, { tool = "init_local_template" } = {}) {
+	const files = listTemplateFiles(template.dir);
+	const checkpoint = beginCheckpoint(targetPath, tool, `scaffold template ${template.name}`);
+	for (const rel of files) {
+		const source = path.resolve(template.dir, rel);
+		const destination = path.resolve(targetPath, rel);
+		fs.mkdirSync(path.dirname(destination), { recursive: true });
+		checkpoint.track(destination);
+		if (TEMPLATE_TEXT_EXTENSIONS.has(path.extname(rel).toLowerCase())) {
+			fs.writeFileSync(destination, renderTemplateText(fs.readFileSync(source, "utf-8"), values));
+		} else {
+			fs.copyFileSync(source, destination);
+		}
+	}
+	checkpoint.commit();
+	return files;
+}
+
+function formatLocalTemplate(template) {
+	const lines = [`${template.name} (${template.language}${template.supportedModes.length > 0 ? `, modes: ${template.supportedModes.join(", ")}` : ""})`];
+	if (template.description) lines.push(`  ${template.description}`);
+	for (const [key, spec] of Object.entries(template.parameters)) {
+		const range = [typeof spec.min === "number" ? `min ${spec.min}` : "", typeof spec.max === "number" ? `max ${spec.max}` : ""].filter(Boolean).join(", ");
+		lines.push(`  - ${key}: ${spec.type}${spec.default !== undefined ? ` = ${JSON.stringify(spec.default)}` : " (required)"}${range ? ` [${range}]` : ""}${spec.description ? ` ${spec.description}` : ""}`);
+	}
+	return lines.join("\n");
+}
+
+// =================================================================
+// 2.6 ヘルパー関数: シーンの追加 (add_scene)
+// =================================================================
+// script/scenes/<name>.js を作り、game.json への登録とエントリーポイントのシーン登録表を更新する
+// 登録表はマーカーコメントで囲み、シーンを追加するたびに作り直す
+const SCENE_REGISTRY_BEGIN = "// --- add_scene: scene registry (generated, do not edit by hand) ---";
+const SCENE_REGISTRY_END = "// --- add_scene: end ---";
+const SCENE_INITIAL_MARKER = "// add_scene: initial scene";
+
+function toPascalCase(name) {
+	return name.replace(/(^|_)([a-z0-9])/gi, (match, separator, char) => char.toUpperCase());
+}
+
+function detectJsonIndent(raw) {
+	const match = /^[ \t]+(?=")/m.exec(raw);
+	return match ? match[0] : 2;
+}
+
+function toAssetFsPath(projectRoot, assetPath) {
+	return path.resolve(projectRoot, assetPath.startsWith("./") ? assetPath.slice(2) : assetPath);
+}
+
+// game.json のアセットから、ファイルが実在するものだけを assetPaths ("/" 始まり) に変換する
+function resolveSceneAssetPaths(projectRoot, assets, requested) {
+	const assetPaths = [];
+	const problems = [];
+	for (const reference of requested) {
+		const normalizedRef = reference.replace(/^\.?\//, "");
+		const found = Object.entries(assets).find(([id, asset]) => id === reference
+			|| (asset && typeof asset.path === "string" && asset.path.replace(/^\.?\//, "") === normalizedRef));
+		if (!found) {
+			problems.push(`'${reference}' is not an asset in game.json`);
+			continue;
+		}
+		const [id, asset] = found;
+		if (asset.type === "script") {
+			problems.push(`'${id}' is a script asset (scripts are loaded with require, not assetPaths)`);
+			continue;
+		}
+		const fsPath = toAssetFsPath(projectRoot, asset.path);
+		const exists = asset.type === "audio"
+			? [".ogg", ".m4a", ".aac"].some((ext) => fs.existsSync(`${fsPath}${ext}`))
+			: fs.existsSync(fsPath);
+		if (!exists) {
+			problems.push(`'${id}' is declared in game.json but its file does not exist (${asset.path})`);
+			continue;
+		}
+		assetPaths.push(`/${asset.path.replace(/^\.?\//, "")}`);
+	}
+	return { assetPaths: [...new Set(assetPaths)], problems };
+}
+
+// エントリーポイント (ゲームのロジックを書くスクリプト) を探す
+// _bootstrap.js がある場合 (ランキングテンプレート) は、そこから require されている main を使う
+function findGameEntryPoint(projectRoot, gameJson) {
+	// TypeScript プロジェクトの script/ は tsc の出力なので、書き換えても次のビルドで消える
+	const srcDir = path.resolve(projectRoot, "src");
+	const hasTypeScriptSources = fs.existsSync(srcDir) && fs.statSync(srcDir).isDirectory()
+		&& fs.readdirSync(srcDir, { recursive: true }).some((file) => /\.tsx?$/.test(String(file)));
+	const typeScriptMarker = fs.existsSync(path.resolve(projectRoot, "tsconfig.json")) ? "tsconfig.json" : hasTypeScriptSources ? "src/*.ts" : null;
+	if (typeScriptMarker) {
+		return { error: `Error: This is a TypeScript project (${typeScriptMarker} found); its script/ is build output. Only JavaScript entry points can be edited automatically (edit src/ of TypeScript projects by hand).` };
+	}
+	const mainPath = typeof gameJson.main === "string" ? gameJson.main.replace(/^\.?\//, "") : "script/main.js";
+	let entryPath = mainPath;
+	let bootstrapShape = null;
+	if (path.basename(mainPath) === "_bootstrap.js") {
+		const bootstrap = fs.readFileSync(path.resolve(projectRoot, mainPath), "utf-8");
+		const required = /require\(\s*["'](\.\/[^"']+)["']\s*\)(\.main)?/.exec(bootstrap);
+		if (!required) {
+			return { error: `Error: Could not find the main script required by ${mainPath}.` };
+		}
+		entryPath = path.posix.join(path.posix.dirname(mainPath), required[1]);
+		if (!path.extname(entryPath)) entryPath += ".js";
+		bootstrapShape = required[2] ? "module.exports.main" : "module.exports";
+	}
+	if (path.extname(entryPath) !== ".js") {
+		return { error: `Error: Entry point ${entryPath} is not a JavaScript file. Only JavaScript entry points can be edited automatically (edit src/ of TypeScript projects by hand).` };
+	}
+	if (!fs.existsSync(path.resolve(projectRoot, entryPath))) {
+		return { error: `Error: Entry point ${entryPath} not found.` };
+	}
+	return { entryPath, bootstrapShape };
+}
+
+// エントリーポイントが公開している main 関数の名前 (module.exports = main / module.exports.main = main / exports.main = main)
+function findEntryFunctionName(source) {
+	const match = /(?:module\.exports(?:\.main)?|exports\.main)\s*=\s*([A-Za-z_$][\w$]*)\s*;/.exec(source);
+	return match ? match[1] : "main";
+}
+
+// main 関数の定義位置を探す。{ name, index (定義の先頭), bodyStart ("{" の直後), paramName } または name だけ
+function locateEntryFunction(source) {
+	const name = findEntryFunctionName(source);
+	const match = new RegExp(`function\\s+${name.replace(/\$/g, "\\$")}\\s*\\(([^)]*)\\)\\s*\\{`).exec(source);
+	if (!match) return { name };
+	return {
+		name,
+		index: match.index,
+		bodyStart: match.index + match[0].length,
+		paramName: match[1].split(",")[0].trim() || null
+	};
+}
+
+// main 関数の本体 (bodyStart から対応する "}" まで) をトップレベルの文に分ける。[{ start, end }]
+// 文字列・コメントは読み飛ばす (正規表現リテラルは考慮しない)
+function splitEntryFunctionStatements(source, bodyStart) {
+	const statements = [];
+	let depth = 0;
+	let start = bodyStart;
+	let i = bodyStart;
+	const endStatement = (end) => {
+		if (source.slice(start, end).trim()) statements.push({ start, end });
+		start = end;
+	};
+	while (i < source.length) {
+		const char = source[i];
+		if (char === "/" && source[i + 1] === "/") {
+			const newline = source.indexOf("\n", i);
+			i = newline === -1 ? source.length : newline;
+			continue;
+		}
+		if (char === "/" && source[i + 1] === "*") {
+			const close = source.indexOf("*/", i + 2);
+			i = close === -1 ? source.length : close + 2;
+			continue;
+		}
+		if (char === "\"" || char === "'" || char === "`") {
+			for (i++; i < source.length && source[i] !== char; i++) {
+				if (source[i] === "\\") i++;
+			}
+			i++;
+			continue;
+		}
+		if (char === "{" || char === "(" || char === "[") {
+			depth++;
+		} else if (char === "}" || char === ")" || char === "]") {
+			if (depth === 0) break; // main 関数の終わり
+			depth--;
+			// if (...) { ... } のようなブロックの終わり。else や ; などが続くなら同じ文
+			if (depth === 0 && char === "}" && !/^\s*(?:else\b|catch\b|finally\b|while\b|[;,.)(])/.test(source.slice(i + 1))) {
+				endStatement(i + 1);
+			}
+		} else if (char === ";" && depth === 0) {
+			endStatement(i + 1);
+		}
+		i++;
+	}
+	return statements;
+}
+
+// 最初のシーンを差し替えると main の元のシーンは表示されなくなるため、param (セッションパラメーター) から決まる
+// main のローカル変数 (例: ランキングテンプレートの timeLimit) はシーンから読めるよう g.game.vars にも入れる
+function findSetupVariables(statements, { paramName, excluded }) {
+	const setupCodes = statements
+		.filter(({ code }) => !/\bfunction\b|=>/.test(code))
+		.filter(({ code }) => /sessionParameter/.test(code) || (paramName && new RegExp(`(?<![\\w$.])${paramName.replace(/\$/g, "\\$")}(?![\\w$])`).test(code)))
+		.map(({ code }) => code);
+	const names = [];
+	for (const { code } of statements) {
+		const declaration = /^(?:var|let|const)\s+([A-Za-z_$][\w$]*)\s*=/.exec(code);
+		// require したモジュールの値 (enable_ranking_mode の setupRanking など) はシーンからも require できる
+		if (!declaration || declaration[1] === excluded || /\bfunction\b|=>|new\s+g\.Scene\b|\brequire\(/.test(code)) continue;
+		const name = declaration[1];
+		if (setupCodes.some((setup) => new RegExp(`(?<![\\w$.])${name.replace(/\$/g, "\\$")}(?![\\w$])`).test(setup))) names.push(name);
+	}
+	return names;
+}
+
+function renderSceneModule({ name, assetPaths, nextScene }) {
+	const factoryName = `create${toPascalCase(name)}Scene`;
+	const assetLines = assetPaths.length > 0
+		? `[\n${assetPaths.map((assetPath) => `\t\t\t${JSON.stringify(assetPath)}`).join(",\n")}\n\t\t]`
+		: "[]";
+	const transition = nextScene
+		? [
+			"",
+			`\t\t// 例: 画面をタップしたら "${nextScene}" シーンへ移動する`,
+			"\t\tscene.onPointDownCapture.add(function () {",
+			`\t\t\tg.game.vars.goToScene(${JSON.stringify(nextScene)}, param);`,
+			"\t\t});"
+		]
+		: ["", "\t\t// 他のシーンへ移動するには g.game.vars.goToScene(\"シーン名\", param) を呼び出します"];
+	return [
+		`// ${name} シーン`,
+		"// g.game.vars.goToScene から呼び出される。param はエントリーポイントの main に渡された値",
+		`function ${factoryName}(param) {`,
+		"\tvar scene = new g.Scene({",
+		"\t\tgame: g.game,",
+		`\t\tname: ${JSON.stringify(name)},`,
+		`\t\tassetPaths: ${assetLines}`,
+		"\t});",
+		"",
+		"\tscene.onLoad.add(function () {",
+		"\t\t// シーンの初期化処理をここに記述します (アセットは scene.asset.getImage(\"/image/xxx.png\") などで取得できます)",
+		...transition,
+		"\t});",
+		"",
+		"\tscene.onUpdate.add(function () {",
+		"\t\t// 毎フレーム実行されます",
+		"\t});",
+		"",
+		"\treturn scene;",
+		"}",
+		`module.exports.create = ${factoryName};`,
+		""
+	].join("\n");
+}
+
+function renderSceneRegistry(entries) {
+	return [
+		SCENE_REGISTRY_BEGIN,
+		"var sceneFactories = {",
+		entries.map(({ name, requirePath }) => `\t${JSON.stringify(name)}: require(${JSON.stringify(requirePath)}).create`).join(",\n"),
+		"};",
+		"// 現在のシーンを登録済みのシーンに置き換える (例: g.game.vars.goToScene(\"game\", param))",
+		"g.game.vars.goToScene = function (name, param) {",
+		"\tif (!sceneFactories[name]) throw new Error(\"Unknown scene: \" + name);",
+		"\tg.game.replaceScene(sceneFactories[name](param));",
+		"};",
+		SCENE_REGISTRY_END
+	].join("\n");
+}
+
+// 登録表を追加/更新し、initial が指定されていれば main 関数の g.game.pushScene(...) を登録したシーンに差し替える
+// 差し替えられない (pushScene が 0 個や複数) 場合は { error }
+function wireSceneIntoEntry(source, { name, requirePath, initial }) {
+	const eol = source.includes("\r\n") ? "\r\n" : "\n";
+	let text = source.replace(/\r\n/g, "\n");
+	const entries = [];
+	const begin = text.indexOf(SCENE_REGISTRY_BEGIN);
+	const end = text.indexOf(SCENE_REGISTRY_END);
+	if (begin !== -1 && end > begin) {
+		const block = text.slice(begin, end);
+		for (const match of block.matchAll(/"([^"]+)":\s*require\("([^"]+)"\)\.create/g)) {
+			entries.push({ name: match[1], requirePath: match[2] });
+		}
+	}
+	if (!entries.some((entry) => entry.name === name)) entries.push({ name, requirePath });
+	const registry = renderSceneRegistry(entries);
+
+	if (begin !== -1 && end > begin) {
+		text = text.slice(0, begin) + registry + text.slice(end + SCENE_REGISTRY_END.length);
+	} else {
+		// main 関数の定義の直前 (見つからなければファイルの先頭) に置く
+		const entryFunction = locateEntryFunction(text);
+		const at = entryFunction.index ?? 0;
+		text = `${text.slice(0, at)}${registry}\n\n${text.slice(at)}`;
+	}
+
+	const notes = [];
+	if (initial) {
+		const lines = text.split("\n");
+		const previous = lines.findIndex((line) => line.includes(SCENE_INITIAL_MARKER) && line.includes("pushScene(sceneFactories["));
+		if (previous !== -1) {
+			// 以前 add_scene が差し替えた呼び出しの、シーン名だけを変える
+			lines[previous] = lines[previous].replace(/sceneFactories\["(?:[^"\\]|\\.)*"\]/, `sceneFactories[${JSON.stringify(name)}]`);
+			text = lines.join("\n");
+			notes.push(`The entry point now starts with the '${name}' scene.`);
+		} else {
+			const entryFunction = locateEntryFunction(text);
+			if (entryFunction.bodyStart === undefined) {
+				return { error: `Error: Could not find function ${entryFunction.name}() in the entry point to set the initial scene. Run add_scene without initial and start the scene yourself with g.game.pushScene(...) (sceneFactories[${JSON.stringify(name)}] creates it).` };
+			}
+			const statements = splitEntryFunctionStatements(text, entryFunction.bodyStart).map(({ start, end }) => ({
+				start,
+				end,
+				code: text.slice(start, end).replace(/\/\*[\s\S]*?\*\/|\/\/.*$/gm, "").trim()
+			}));
+			const pushCalls = statements.filter(({ code }) => /^g\.game\.pushScene\(/.test(code));
+			if (pushCalls.length !== 1) {
+				return { error: `Error: ${entryFunction.name}() ${pushCalls.length === 0 ? "has no" : "has more than one"} top-level g.game.pushScene(...) call, so the initial scene cannot be replaced automatically. Run add_scene without initial and replace the pushScene call yourself with g.game.pushScene(sceneFactories[${JSON.stringify(name)}](param)).` };
+			}
+			const [pushCall] = pushCalls;
+			const replacedScene = /^g\.game\.pushScene\(\s*([\s\S]*?)\s*\);?$/.exec(pushCall.code)[1];
+			const setupVariables = findSetupVariables(statements.filter((statement) => statement.start < pushCall.start), {
+				paramName: entryFunction.paramName,
+				excluded: replacedScene
+			});
+			const callStart = text.indexOf("g.game.pushScene(", pushCall.start);
+			const indent = /[ \t]*$/.exec(text.slice(0, callStart))[0];
+			const replacement = [
+				...setupVariables.map((variable) => `g.game.vars.${variable} = ${variable}; ${SCENE_INITIAL_MARKER} (for scenes)`),
+				`g.game.pushScene(sceneFactories[${JSON.stringify(name)}](${entryFunction.paramName || "undefined"})); ${SCENE_INITIAL_MARKER} (was: g.game.pushScene(${replacedScene.replace(/\s+/g, " ")}))`
+			].join(`\n${indent}`);
+			text = text.slice(0, callStart) + replacement + text.slice(pushCall.end);
+			notes.push(`${entryFunction.name}() now pushes the '${name}' scene instead of ${replacedScene}. The code that builds ${replacedScene} still runs, but that scene is no longer shown: move its logic into scenes.`);
+			if (setupVariables.length > 0) {
+				notes.push(`${setupVariables.join(", ")} ${setupVariables.length === 1 ? "is" : "are"} also stored in g.game.vars (e.g. g.game.vars.${setupVariables[0]}) so scenes can read ${setupVariables.length === 1 ? "it" : "them"}.`);
+			}
+		}
+	}
+	return { text: eol === "\n" ? text : text.replace(/\n/g, eol), notes };
+}
+
+// =================================================================
+// 2.7 ヘルパー関数: ランキングモード対応 (enable_ranking_mode)
+// =================================================================
+// 既存の JavaScript プロジェクトを解析し、足りないものだけを追加する
+//   - game.json: supportedModes に "ranking"、preferredSessionParameters.totalTimeLimit
+//   - セッションパラメーター: script/_bootstrap.js (template/ranking のものを使う) を game.json の main にする
+//   - スコアと制限時間: script/ranking.js を追加し、main 関数の先頭で setupRanking(param) を呼ぶ
+const RANKING_SETUP_MARKER = "// enable_ranking_mode: score state and countdown";
+const RANKING_MODULE_PATH = "script/ranking.js";
+const RANKING_BOOTSTRAP_PATH = "script/_bootstrap.js";
+
+function renderRankingModule({ totalTimeLimit, endMarginSeconds }) {
+	return `// ランキングモード用のスコアと制限時間
+// setupRanking(param) はエントリーポイントの main の先頭で呼ばれる。戻り値 (g.game.vars.ranking と同じ) を使って:
+//   - ranking.addScore(points) でスコアを加算する (g.game.vars.gameState.score がランキングに送られる)
+//   - ranking.remainingTime で残り時間 (秒) を表示する
+//   - ranking.onTimeUp.add(function () { ... }) で終了時の処理を行う (終了後は addScore が無効になる)
+var DEFAULT_TOTAL_TIME_LIMIT = ${totalTimeLimit};
+// 放送側の制限時間より少し早く終了させ、結果表示の時間を残す
+var END_MARGIN_SECONDS = ${endMarginSeconds};
+
+function setupRanking(param) {
+	if (!g.game.vars.gameState) {
+		g.game.vars.gameState = { score: 0 };
+	}
+	var sessionParameter = (param && param.sessionParameter) || {};
+	var totalTimeLimit = sessionParameter.totalTimeLimit || DEFAULT_TOTAL_TIME_LIMIT;
+
+	var ranking = {
+		remainingTime: Math.max(totalTimeLimit - END_MARGIN_SECONDS, 1),
+		isTimeUp: false,
+		onTimeUp: new g.Trigger(),
+		addScore: function (points) {
+			if (ranking.isTimeUp) return;
+			g.game.vars.gameState.score += points;
+		}
+	};
+	g.game.onUpdate.add(function () {
+		ranking.remainingTime -= 1 / g.game.fps;
+		if (ranking.remainingTime > 0) return;
+		ranking.remainingTime = 0;
+		ranking.isTimeUp = true;
+		ranking.onTimeUp.fire();
+		return true; // ハンドラを解除する
+	});
+	g.game.vars.ranking = ranking;
+	return ranking;
+}
+module.exports.setupRanking = setupRanking;
+`;
+}
+
+// template/ranking の _bootstrap.js を、既存のエントリーポイントを呼ぶように書き換える
+function renderRankingBootstrap(entryPath, exportsShape) {
+	const templatePath = path.resolve(LOCAL_TEMPLATES_DIR, "ranking", RANKING_BOOTSTRAP_PATH);
+	if (!fs.existsSync(templatePath)) return null;
+	let requirePath = path.posix.relative(path.posix.dirname(RANKING_BOOTSTRAP_PATH), entryPath).replace(/\.js$/, "");
+	if (!requirePath.startsWith(".")) requirePath = `./${requirePath}`;
+	const requireExpression = `require(${JSON.stringify(requirePath)})${exportsShape === "module.exports.main" ? ".main" : ""}`;
+	return fs.readFileSync(templatePath, "utf-8").replace(/require\(\s*["']\.\/main["']\s*\)/, requireExpression);
+}
+
+function detectExportsShape(source) {
+	return /(?:module\.exports\.main|exports\.main)\s*=/.test(source) ? "module.exports.main" : "module.exports";
+}
+
+// game.json に登録された script アセットのうち、実在するものの内容
+function readScriptAssetSources(projectRoot, gameJson) {
+	const assets = gameJson.assets && typeof gameJson.assets === "object" ? Object.values(gameJson.assets) : [];
+	return assets
+		.filter((asset) => asset && asset.type === "script" && typeof asset.path === "string")
+		.map((asset) => toAssetFsPath(projectRoot, asset.path))
+		.filter((fullPath) => fs.existsSync(fullPath) && fs.statSync(fullPath).isFile())
+		.map((fullPath) => fs.readFileSync(fullPath, "utf-8"));
+}
+
+// プロジェクト内のスクリプト (script/ 以下) に、セッションパラメーターの "start" メッセージを扱う処理があるか
+function hasSessionParameterHandling(projectRoot, gameJson) {
+	if (typeof gameJson.main === "string" && path.basename(gameJson.main) === "_bootstrap.js") return true;
+	return readScriptAssetSources(projectRoot, gameJson).some((source) => /["']start["']/.test(source) && /\.parameters\b/.test(source) && /onMessage|\.message\b/.test(source));
+}
+
+// source で使われていない変数名 (ranking, ranking2, ...) を選ぶ。コメントや文字列中の出現も使用中とみなす
+function findUnusedIdentifier(source, base) {
+	for (let suffix = 1; ; suffix++) {
+		const name = suffix === 1 ? base : `${base}${suffix}`;
+		if (!new RegExp(`(?<![\\w$])${name}(?![\\w$])`).test(source)) return name;
+	}
+}
+
+// 解析結果から変更内容 (apply_project_changes と同じ形式の operations) と報告を作る
+function planRankingSupport(projectRoot, { totalTimeLimit, endMarginSeconds }) {
+	const gameJsonPath = path.resolve(projectRoot, "game.json");
+	const rawGameJson = fs.readFileSync(gameJsonPath, "utf-8");
+	const gameJson = JSON.parse(rawGameJson);
+	const report = [];
+	const warnings = [];
+	const operations = [];
+
+	const hadSessionHandling = hasSessionParameterHandling(projectRoot, gameJson);
+	const entry = findGameEntryPoint(projectRoot, gameJson);
+	if (entry.error) return { error: entry.error };
+	let entrySource = fs.readFileSync(path.resolve(projectRoot, entry.entryPath), "utf-8");
+	const exportsShape = detectExportsShape(entrySource);
+
+	// 1. game.json
+	gameJson.environment = gameJson.environment && typeof gameJson.environment === "object" ? gameJson.environment : {};
+	const nicolive = gameJson.environment.nicolive = gameJson.environment.nicolive && typeof gameJson.environment.nicolive === "object" ? gameJson.environment.nicolive : {};
+	const modes = Array.isArray(nicolive.supportedModes) ? nicolive.supportedModes : [];
+	if (modes.includes("ranking")) {
+		report.push("game.json: supportedModes already includes \"ranking\"");
+	} else {
+		nicolive.supportedModes = [...modes, "ranking"];
+		report.push(`game.json: supportedModes ${JSON.stringify(modes)} -> ${JSON.stringify(nicolive.supportedModes)}`);
+	}
+	if (nicolive.supportedModes.includes("multi")) {
+		warnings.push("supportedModes also contains \"multi\"; ranking games are usually single-player.");
+	}
+	nicolive.preferredSessionParameters = nicolive.preferredSessionParameters && typeof nicolive.preferredSessionParameters === "object" ? nicolive.preferredSessionParameters : {};
+	if (typeof nicolive.preferredSessionParameters.totalTimeLimit === "number" && nicolive.preferredSessionParameters.totalTimeLimit > 0) {
+		report.push(`game.json: preferredSessionParameters.totalTimeLimit already set (${nicolive.preferredSessionParameters.totalTimeLimit})`);
+	} else {
+		nicolive.preferredSessionParameters.totalTimeLimit = totalTimeLimit;
+		report.push(`game.json: preferredSessionParameters.totalTimeLimit set to ${totalTimeLimit}`);
+	}
+	const assets = gameJson.assets = gameJson.assets && typeof gameJson.assets === "object" ? gameJson.assets : {};
+	const registerScript = (id, scriptPath) => {
+		if (Object.values(assets).some((asset) => asset && typeof asset.path === "string" && asset.path.replace(/^\.?\//, "") === scriptPath)) return;
+		let assetId = id;
+		for (let suffix = 2; assetId in assets; suffix++) assetId = `${id}_${suffix}`;
+		assets[assetId] = { type: "script", path: scriptPath, global: true };
+	};
+
+	// 2. セッションパラメーター
+	if (hadSessionHandling) {
+		report.push("session parameters: already handled (_bootstrap.js or an onMessage \"start\" handler)");
+	} else {
+		if (fs.existsSync(path.resolve(projectRoot, RANKING_BOOTSTRAP_PATH))) {
+			return { error: `Error: ${RANKING_BOOTSTRAP_PATH} exists but game.json main does not point to it. Set main to ./${RANKING_BOOTSTRAP_PATH} or remove the file, then run again.` };
+		}
+		const bootstrap = renderRankingBootstrap(entry.entryPath, exportsShape);
+		if (!bootstrap) {
+			return { error: `Error: template/ranking/${RANKING_BOOTSTRAP_PATH} not found; cannot add session parameter handling.` };
+		}
+		operations.push({ op: "create", filePath: RANKING_BOOTSTRAP_PATH, content: bootstrap });
+		registerScript("_bootstrap", RANKING_BOOTSTRAP_PATH);
+		report.push(`session parameters: added ${RANKING_BOOTSTRAP_PATH} (waits for the "start" message, sets param.sessionParameter and param.random) and changed game.json main ${JSON.stringify(gameJson.main)} -> "./${RANKING_BOOTSTRAP_PATH}"`);
+		gameJson.main = `./${RANKING_BOOTSTRAP_PATH}`;
+	}
+
+	// 3. スコアと制限時間 (シーンなど、エントリーポイント以外のスクリプトで扱っていてもよい)
+	const scriptSources = [entrySource, ...readScriptAssetSources(projectRoot, gameJson)];
+	const hasSetup = scriptSources.some((source) => source.includes(RANKING_SETUP_MARKER));
+	const hasScore = hasSetup || scriptSources.some((source) => /g\.game\.vars\.gameState\b/.test(source));
+	const hasTimeLimit = hasSetup || scriptSources.some((source) => /sessionParameter\.totalTimeLimit/.test(source));
+	if (hasScore && hasTimeLimit) {
+		report.push("score/countdown: the project scripts already use g.game.vars.gameState and sessionParameter.totalTimeLimit");
+	} else {
+		const entryFunction = locateEntryFunction(entrySource);
+		if (entryFunction.bodyStart === undefined) {
+			return { error: `Error: Could not find function ${entryFunction.name}() in ${entry.entryPath} to insert the ranking setup.` };
+		}
+		if (fs.existsSync(path.resolve(projectRoot, RANKING_MODULE_PATH))) {
+			return { error: `Error: ${RANKING_MODULE_PATH} already exists; remove or rename it, then run again.` };
+		}
+		let requirePath = path.posix.relative(path.posix.dirname(entry.entryPath), RANKING_MODULE_PATH).replace(/\.js$/, "");
+		if (!requirePath.startsWith(".")) requirePath = `./${requirePath}`;
+		const paramName = entryFunction.paramName || "arguments[0]";
+		const variableName = findUnusedIdentifier(entrySource, "ranking");
+		const setupLine = `\n\tvar ${variableName} = require(${JSON.stringify(requirePath)}).setupRanking(${paramName}); ${RANKING_SETUP_MARKER}`;
+		entrySource = entrySource.slice(0, entryFunction.bodyStart) + setupLine + entrySource.slice(entryFunction.bodyStart);
+		operations.push({ op: "create", filePath: RANKING_MODULE_PATH, content: renderRankingModule({ totalTimeLimit, endMarginSeconds }) });
+		operations.push({ op: "overwrite", filePath: entry.entryPath, content: entrySource });
+		registerScript("ranking", RANKING_MODULE_PATH);
+		report.push(`score/countdown: added ${RANKING_MODULE_PATH} and 'var ${variableName} = ...setupRanking(${paramName})' at the top of ${entryFunction.name}() in ${entry.entryPath} (also available as g.game.vars.ranking)`);
+		report.push(`  - g.game.vars.gameState.score is initialized to 0${hasScore ? " (only if not already set)" : ""}`);
+		report.push(`  - countdown: sessionParameter.totalTimeLimit (default ${totalTimeLimit}s) minus ${endMarginSeconds}s; ${variableName}.onTimeUp fires when it reaches 0`);
+		if (!hasScore) warnings.push(`The game does not set g.game.vars.gameState.score yet: call ${variableName}.addScore(points) where the player scores.`);
+		warnings.push(`Show ${variableName}.remainingTime on screen and stop accepting input in ${variableName}.onTimeUp.`);
+	}
+
+	const gameJsonText = `${JSON.stringify(gameJson, null, detectJsonIndent(rawGameJson))}${rawGameJson.endsWith("\n") ? "\n" : ""}`;
+	if (gameJsonText !== rawGameJson) {
+		operations.push({ op: "overwrite", filePath: "game.json", content: gameJsonText });
+	}
+	return { operations, report, warnings };
+}
+
+// =================================================================
+// 2.8 ヘルパー関数: マルチプレイの土台 (scaffold_multiplayer)
+// =================================================================
+// script/multiplayer.js (参加/離脱・メッセージの送受信・プレイヤーごとの状態) と
+// script/messages.js (メッセージの型定義) を追加し、main 関数の先頭で setupMultiplayer を呼ぶ
+const MULTIPLAYER_SETUP_MARKER = "// scaffold_multiplayer: join/leave, messages and player state";
+const MULTIPLAYER_MODULE_PATH = "script/multiplayer.js";
+const MULTIPLAYER_MESSAGES_PATH = "script/messages.js";
+const MULTIPLAYER_FIELD_TYPES = ["number", "string", "boolean", "object"];
+
+function renderMultiplayerModule() {
+	return `// マルチプレイ用の共通処理
+// setupMultiplayer(messages) はエントリーポイントの main の先頭で呼ばれる。戻り値 (g.game.vars.multiplayer と同じ) を使って:
+//   - multiplayer.send("tap", { x: 1, y: 2 }) でメッセージを全員に送る (messages.js に定義した型のみ)
+//   - multiplayer.players[player.id].state でプレイヤーごとの状態を読み書きする
+//   - multiplayer.onPlayerJoin / onPlayerLeave で参加・離脱を受け取る
+// メッセージは全員の環境で同じ順に処理されるため、handle の中で状態を変更すれば全員の画面が一致する
+var CHANNEL = "multiplayer";
+
+function createPlayerState() {
+	return { score: 0 };
+}
+
+function checkPayload(definition, payload) {
+	if (!payload || typeof payload !== "object") return "payload must be an object";
+	var fields = definition.fields || {};
+	for (var key in fields) {
+		if (typeof payload[key] !== fields[key]) return key + " must be " + fields[key];
+	}
+	return null;
+}
+
+function setupMultiplayer(messages) {
+	var multiplayer = {
+		players: {},
+		playerIds: [],
+		onPlayerJoin: new g.Trigger(),
+		onPlayerLeave: new g.Trigger(),
+		send: function (type, payload) {
+			var definition = messages[type];
+			if (!definition) throw new Error("Unknown message type: " + type);
+			var error = checkPayload(definition, payload);
+			if (error) throw new Error("Invalid payload for " + type + ": " + error);
+			g.game.raiseEvent(new g.MessageEvent({ channel: CHANNEL, type: type, payload: payload }));
+		},
+		// 操作したプレイヤーを参加者として扱う (pointDown などのイベントの ev.player を渡す)
+		ensurePlayer: function (player) {
+			if (!player || player.id == null) return null;
+			var entry = multiplayer.players[player.id];
+			if (!entry) {
+				entry = { id: player.id, name: player.name || null, state: createPlayerState() };
+				multiplayer.players[player.id] = entry;
+				multiplayer.playerIds.push(player.id);
+				multiplayer.onPlayerJoin.fire(entry);
+			}
+			return entry;
+		}
+	};
+
+	g.game.onJoin.add(function (ev) {
+		multiplayer.ensurePlayer(ev.player);
+	});
+	g.game.onLeave.add(function (ev) {
+		var entry = ev.player && multiplayer.players[ev.player.id];
+		if (!entry) return;
+		delete multiplayer.players[entry.id];
+		multiplayer.playerIds.splice(multiplayer.playerIds.indexOf(entry.id), 1);
+		multiplayer.onPlayerLeave.fire(entry);
+	});
+	g.game.onPlayerInfo.add(function (ev) {
+		var entry = multiplayer.ensurePlayer(ev.player);
+		if (entry && ev.player.name) entry.name = ev.player.name;
+	});
+
+	// メッセージイベントは現在のシーンの onMessage に届くため、シーンが切り替わるたびに受信処理を付ける
+	var attachedScenes = [];
+	function handleMessage(ev) {
+		var data = ev.data;
+		if (!data || data.channel !== CHANNEL) return;
+		var definition = messages[data.type];
+		if (!definition || checkPayload(definition, data.payload)) return;
+		var entry = multiplayer.ensurePlayer(ev.player);
+		definition.handle(data.payload, entry, multiplayer);
+	}
+	function attach(scene) {
+		if (!scene || attachedScenes.indexOf(scene) !== -1) return;
+		attachedScenes.push(scene);
+		scene.onMessage.add(handleMessage);
+	}
+	g.game.onSceneChange.add(attach);
+	attach(g.game.scene());
+
+	g.game.vars.multiplayer = multiplayer;
+	return multiplayer;
+}
+module.exports.setupMultiplayer = setupMultiplayer;
+`;
+}
+
+const DEFAULT_MULTIPLAYER_MESSAGES = [{ type: "tap", fields: { x: "number", y: "number" } }];
+
+function renderMessageEntry({ type, fields }) {
+	const fieldText = Object.entries(fields).map(([key, fieldType]) => `${JSON.stringify(key)}: ${JSON.stringify(fieldType)}`).join(", ");
+	return [
+		`\t${JSON.stringify(type)}: {`,
+		`\t\tfields: { ${fieldText} },`,
+		"\t\thandle: function (payload, player, multiplayer) {",
+		`\t\t\t// "${type}" を受け取ったときの処理を記述します (player.state がこのプレイヤーの状態)`,
+		"\t\t}",
+		"\t}"
+	].join("\n");
+}
+
+function renderMessageRegistry(messages) {
+	return [
+		"// マルチプレイのメッセージの型定義",
+		"// fields は payload の各項目の型 (typeof の結果)。型が合わないメッセージは送信時にエラー、受信時は無視される",
+		"// 送信: g.game.vars.multiplayer.send(\"type\", payload)",
+		"module.exports = {",
+		messages.map(renderMessageEntry).join(",\n"),
+		"};",
+		""
+	].join("\n");
+}
+
+// 既存の messages.js に、まだ定義されていない型だけを追加する (handle を書き足したファイルを壊さないよう、既存の定義は変更しない)
+// { text, added, existing } または { error }
+function mergeMessageRegistry(source, messages) {
+	const text = source.replace(/\r\n/g, "\n");
+	const start = text.indexOf("module.exports = {");
+	const end = text.lastIndexOf("\n};");
+	if (start === -1 || end < start) {
+		return { error: "module.exports = { ... }; was not found" };
+	}
+	const definedTypes = new Set();
+	for (const match of text.slice(start, end).matchAll(/^\t("(?:[^"\\\n]|\\.)*"|'[^'\n]*'|[A-Za-z_$][\w$]*)\s*:\s*\{/gm)) {
+		definedTypes.add(match[1].startsWith("\"") ? JSON.parse(match[1]) : match[1].replace(/^'|'$/g, ""));
+	}
+	const added = messages.filter((message) => !definedTypes.has(message.type));
+	const existing = messages.filter((message) => definedTypes.has(message.type)).map((message) => message.type);
+	if (added.length === 0) return { text: source, added, existing };
+	const before = text.slice(0, end).trimEnd();
+	if (before.slice(before.lastIndexOf("\n") + 1).includes("//")) {
+		return { error: "the last definition is followed by a comment" };
+	}
+	const separator = before.endsWith("{") || before.endsWith(",") ? "\n" : ",\n";
+	const merged = `${before}${separator}${added.map(renderMessageEntry).join(",\n")}${text.slice(end)}`;
+	return { text: source.includes("\r\n") ? merged.replace(/\n/g, "\r\n") : merged, added, existing };
+}
+
+// messages を省略した場合、新しく作る messages.js には DEFAULT_MULTIPLAYER_MESSAGES を入れ、既存の messages.js には何も足さない
+function planMultiplayerScaffold(projectRoot, { messages }) {
+	const rawGameJson = fs.readFileSync(path.resolve(projectRoot, "game.json"), "utf-8");
+	const gameJson = JSON.parse(rawGameJson);
+	const report = [];
+	const warnings = [];
+	const operations = [];
+
+	const entry = findGameEntryPoint(projectRoot, gameJson);
+	if (entry.error) return { error: entry.error };
+	let entrySource = fs.readFileSync(path.resolve(projectRoot, entry.entryPath), "utf-8");
+
+	// 1. game.json
+	gameJson.environment = gameJson.environment && typeof gameJson.environment === "object" ? gameJson.environment : {};
+	const nicolive = gameJson.environment.nicolive = gameJson.environment.nicolive && typeof gameJson.environment.nicolive === "object" ? gameJson.environment.nicolive : {};
+	const modes = Array.isArray(nicolive.supportedModes) ? nicolive.supportedModes : [];
+	if (modes.length === 1 && modes[0] === "multi") {
+		report.push("game.json: supportedModes is already [\"multi\"]");
+	} else {
+		nicolive.supportedModes = ["multi"];
+		report.push(`game.json: supportedModes ${JSON.stringify(modes)} -> ["multi"]`);
+		if (modes.includes("ranking")) {
+			warnings.push("\"ranking\" was removed from supportedModes; ranking-specific code (_bootstrap.js, g.game.vars.gameState) is left as is.");
+		}
+	}
+	const assets = gameJson.assets = gameJson.assets && typeof gameJson.assets === "object" ? gameJson.assets : {};
+	const registerScript = (id, scriptPath) => {
+		if (Object.values(assets).some((asset) => asset && typeof asset.path === "string" && asset.path.replace(/^\.?\//, "") === scriptPath)) return;
+		let assetId = id;
+		for (let suffix = 2; assetId in assets; suffix++) assetId = `${id}_${suffix}`;
+		assets[assetId] = { type: "script", path: scriptPath, global: true };
+	};
+
+	// 2. multiplayer.js / messages.js と main からの呼び出し
+	const alreadySetUp = entrySource.includes(MULTIPLAYER_SETUP_MARKER);
+	if (alreadySetUp) {
+		report.push(`${entry.entryPath}: setupMultiplayer is already called`);
+		const messagesFullPath = path.resolve(projectRoot, MULTIPLAYER_MESSAGES_PATH);
+		if (!fs.existsSync(messagesFullPath)) {
+			const created = messages || DEFAULT_MULTIPLAYER_MESSAGES;
+			operations.push({ op: "create", filePath: MULTIPLAYER_MESSAGES_PATH, content: renderMessageRegistry(created) });
+			registerScript("messages", MULTIPLAYER_MESSAGES_PATH);
+			report.push(`${MULTIPLAYER_MESSAGES_PATH}: was missing; created with message types ${created.map((message) => message.type).join(", ")}`);
+		} else if (messages) {
+			const merged = mergeMessageRegistry(fs.readFileSync(messagesFullPath, "utf-8"), messages);
+			if (merged.error) {
+				return { error: `Error: Could not add message types to ${MULTIPLAYER_MESSAGES_PATH} (${merged.error}). Add them by hand.` };
+			}
+			if (merged.added.length > 0) {
+				operations.push({ op: "overwrite", filePath: MULTIPLAYER_MESSAGES_PATH, content: merged.text, expectedHash: hashBuffer(fs.readFileSync(messagesFullPath)) });
+				report.push(`${MULTIPLAYER_MESSAGES_PATH}: added message types ${merged.added.map((message) => message.type).join(", ")}`);
+				warnings.push(`Fill in the handle functions of the new message types in ${MULTIPLAYER_MESSAGES_PATH}.`);
+			}
+			if (merged.existing.length > 0) {
+				report.push(`${MULTIPLAYER_MESSAGES_PATH}: ${merged.existing.join(", ")} already defined (left as is; edit their fields by hand)`);
+			}
+		}
+	} else {
+		messages = messages || DEFAULT_MULTIPLAYER_MESSAGES;
+		for (const filePath of [MULTIPLAYER_MODULE_PATH, MULTIPLAYER_MESSAGES_PATH]) {
+			if (fs.existsSync(path.resolve(projectRoot, filePath))) {
+				return { error: `Error: ${filePath} already exists; remove or rename it, then run again.` };
+			}
+		}
+		const entryFunction = locateEntryFunction(entrySource);
+		if (entryFunction.bodyStart === undefined) {
+			return { error: `Error: Could not find function ${entryFunction.name}() in ${entry.entryPath} to insert the multiplayer setup.` };
+		}
+		const relativeRequire = (target) => {
+			const requirePath = path.posix.relative(path.posix.dirname(entry.entryPath), target).replace(/\.js$/, "");
+			return requirePath.startsWith(".") ? requirePath : `./${requirePath}`;
+		};
+		const setupLine = `\n\tvar multiplayer = require(${JSON.stringify(relativeRequire(MULTIPLAYER_MODULE_PATH))}).setupMultiplayer(require(${JSON.stringify(relativeRequire(MULTIPLAYER_MESSAGES_PATH))})); ${MULTIPLAYER_SETUP_MARKER}`;
+		entrySource = entrySource.slice(0, entryFunction.bodyStart) + setupLine + entrySource.slice(entryFunction.bodyStart);
+		operations.push({ op: "create", filePath: MULTIPLAYER_MODULE_PATH, content: renderMultiplayerModule() });
+		operations.push({ op: "create", filePath: MULTIPLAYER_MESSAGES_PATH, content: renderMessageRegistry(messages) });
+		operations.push({ op: "overwrite", filePath: entry.entryPath, content: entrySource });
+		registerScript("multiplayer", MULTIPLAYER_MODULE_PATH);
+		registerScript("messages", MULTIPLAYER_MESSAGES_PATH);
+		report.push(`${MULTIPLAYER_MODULE_PATH}: join/leave (g.game.onJoin/onLeave/onPlayerInfo), message dispatch via g.game.raiseEvent + scene.onMessage, per-player state keyed by player.id`);
+		report.push(`${MULTIPLAYER_MESSAGES_PATH}: message types ${messages.map((message) => message.type).join(", ")}`);
+		report.push(`${entry.entryPath}: setupMultiplayer(...) is called at the top of ${entryFunction.name}()`);
+		warnings.push(`Fill in the handle functions in ${MULTIPLAYER_MESSAGES_PATH} and send messages with multiplayer.send(type, payload) (e.g., from scene.onPointDownCapture).`);
+		warnings.push("Call multiplayer.ensurePlayer(ev.player) in point handlers so players who only tap are registered.");
+	}
+
+	const gameJsonText = `${JSON.stringify(gameJson, null, detectJsonIndent(rawGameJson))}${rawGameJson.endsWith("\n") ? "\n" : ""}`;
+	if (gameJsonText !== rawGameJson) {
+		operations.push({ op: "overwrite", filePath: "game.json", content: gameJsonText });
+	}
+	return { operations, report, warnings, alreadySetUp };
 }
 
-const allDocsData = [
-	...docsData.map((item) => normalizeDocItem(item, "official-docs")),
-	...apiData.map((item) => normalizeDocItem(item, "akashic-engine-repo")),
-].filter(Boolean);
+// =================================================================
+// 2.9 ヘルパー関数: 画像アセット (ヘッダー検証と game.json への登録)
+// =================================================================
+// 多くの端末で扱えるテクスチャの一辺の上限。これを超える画像は警告する
+const IMAGE_TEXTURE_WARN_SIZE = 2048;
+const IMAGE_FORMAT_EXTENSIONS = { png: [".png"], jpeg: [".jpg", ".jpeg"] };
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+// サイズを持つ JPEG の SOF マーカー (DHT/JPG/DAC の C4/C8/CC を除く)
+const JPEG_SOF_MARKERS = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+
+function readPngInfo(buffer) {
+	if (buffer.length < 33 || buffer.toString("latin1", 12, 16) !== "IHDR") {
+		return { error: "PNG header is truncated or has no IHDR chunk" };
+	}
+	const width = buffer.readUInt32BE(16);
+	const height = buffer.readUInt32BE(20);
+	if (width === 0 || height === 0) return { error: `PNG has invalid size ${width}x${height}` };
+	if (buffer.lastIndexOf("IEND", buffer.length, "latin1") < 33) return { error: "PNG is truncated (no IEND chunk)" };
+	return { format: "png", width, height };
+}
 
-function buildApiSummaryIndex(data, maxItems = 60) {
-	const seen = new Set();
-	const lines = [];
-	for (const doc of data) {
-		if (!doc || (!doc.title && !doc.url)) continue;
-		const key = `${doc.title}::${doc.url}`;
-		if (seen.has(key)) continue;
-		seen.add(key);
-		const title = doc.title || "(no title)";
-		const line = `- [${doc.source}] ${title}${doc.url ? ` | ${doc.url}` : ""}`;
-		lines.push(line);
-		if (lines.length >= maxItems) break;
+function readJpegInfo(buffer) {
+	let offset = 2;
+	while (offset + 4 <= buffer.length) {
+		if (buffer[offset] !== 0xff) return { error: `JPEG has a broken marker at byte ${offset}` };
+		const marker = buffer[offset + 1];
+		// フィル (FF FF) とデータを持たないマーカー (RST0-7, TEM)
+		if (marker === 0xff) {
+			offset++;
+			continue;
+		}
+		if ((marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) {
+			offset += 2;
+			continue;
+		}
+		if (marker === 0xd9 || marker === 0xda) break;
+		const length = buffer.readUInt16BE(offset + 2);
+		if (JPEG_SOF_MARKERS.has(marker)) {
+			if (offset + 9 > buffer.length) break;
+			const height = buffer.readUInt16BE(offset + 5);
+			const width = buffer.readUInt16BE(offset + 7);
+			if (width === 0 || height === 0) return { error: `JPEG has invalid size ${width}x${height}` };
+			if (buffer.lastIndexOf(Buffer.from([0xff, 0xd9])) < offset) return { error: "JPEG is truncated (no EOI marker)" };
+			return { format: "jpeg", width, height };
+		}
+		offset += 2 + length;
 	}
-	return [
-		"## 事前ロード済み API 要約インデックス",
-		"* 詳細本文は必要なときだけ search_akashic_docs で取得すること",
-		...lines
-	].join("\n");
+	return { error: "JPEG is truncated or has no frame header (SOF)" };
+}
+
+// 画像ファイルの中身から形式と幅・高さを読む。PNG/JPEG 以外や壊れたファイルは { error }
+function readImageInfo(buffer) {
+	if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return readPngInfo(buffer);
+	if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return readJpegInfo(buffer);
+	return { error: "not a PNG or JPEG file (unknown header)" };
+}
+
+// 拡張子と中身が一致する画像かを検証する
+function inspectImageFile(buffer, fileName) {
+	const info = readImageInfo(buffer);
+	if (info.error) return info;
+	const ext = path.extname(fileName).toLowerCase();
+	if (!IMAGE_FORMAT_EXTENSIONS[info.format].includes(ext)) {
+		return { error: `the file is ${info.format.toUpperCase()} but has the ${ext || "(no)"} extension; use ${IMAGE_FORMAT_EXTENSIONS[info.format][0]}` };
+	}
+	const warnings = [];
+	if (info.width > IMAGE_TEXTURE_WARN_SIZE || info.height > IMAGE_TEXTURE_WARN_SIZE) {
+		warnings.push(`${info.width}x${info.height} exceeds ${IMAGE_TEXTURE_WARN_SIZE}px; some devices cannot load textures this large. Consider resizing or splitting it.`);
+	}
+	return { ...info, warnings };
+}
+
+// game.json の assets で使うパス表記 (game.json からの相対パス、区切りは "/")
+function toAssetPath(projectRoot, fullPath) {
+	return path.relative(projectRoot, fullPath).split(path.sep).join("/");
+}
+
+// 同じパスのアセットが登録済みならその ID を使い続ける。新規はファイル名 (拡張子なし) から作り、
+// 他のアセットと重なる場合はパス全体から作った ID、さらに重なれば連番を付ける
+function resolveAssetId(assets, assetPath, idPath = assetPath) {
+	const existing = Object.keys(assets).find((id) => assets[id] && typeof assets[id].path === "string" && assets[id].path.replace(/^\.?\//, "") === assetPath);
+	if (existing) return existing;
+	const toId = (value) => value.replace(/\.[^./]+$/, "").replace(/[^A-Za-z0-9_]+/g, "_").replace(/^_+|_+$/g, "") || "asset";
+	const candidates = [toId(path.posix.basename(idPath)), toId(idPath)];
+	for (const candidate of candidates) {
+		if (!(candidate in assets)) return candidate;
+	}
+	let suffix = 2;
+	while (`${candidates[1]}_${suffix}` in assets) suffix++;
+	return `${candidates[1]}_${suffix}`;
 }
 
-const apiSummaryIndexForPrompt = buildApiSummaryIndex([
-	...apiData.map((item) => normalizeDocItem(item, "akashic-engine-repo")),
-].filter(Boolean));
+// assets に登録する (既存エントリーの global・systemId などの項目は残して fields の値で更新)
+// 戻り値は { id, status: "added" | "updated" | "unchanged" }
+function upsertAsset(assets, assetPath, fields, { idPath, defaults = {} } = {}) {
+	const id = resolveAssetId(assets, assetPath, idPath);
+	const current = assets[id];
+	if (!current) {
+		assets[id] = { type: fields.type, path: assetPath, ...fields, ...defaults };
+		return { id, status: "added" };
+	}
+	const next = { ...current, ...fields, path: assetPath };
+	if (JSON.stringify(next) === JSON.stringify(current)) return { id, status: "unchanged" };
+	assets[id] = next;
+	return { id, status: "updated" };
+}
 
+function registerImageAsset(gameJson, assetPath, { width, height }) {
+	const assets = gameJson.assets = gameJson.assets && typeof gameJson.assets === "object" ? gameJson.assets : {};
+	return upsertAsset(assets, assetPath, { type: "image", width, height });
+}
 
 // =================================================================
-// 2. ヘルパー関数: 利用可能なテンプレート一覧の取得
+// 2.10 ヘルパー関数: アセットスキャン (akashic scan asset 相当)
 // =================================================================
-async function getAkashicTemplates() {
-	if (getAkashicTemplates.cache) {
-		return getAkashicTemplates.cache;
+// akashic CLI を使わずに image/ audio/ script/ text/ を走査して game.json の assets を更新する
+// ディレクトリ名とアセットの type は同じ
+const SCAN_ASSET_DIRS = ["image", "audio", "script", "text"];
+const AUDIO_VARIANT_EXTENSIONS = [".ogg", ".m4a", ".aac"];
+const AAC_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+// Ogg (Vorbis/Opus): 最後のページの granule position をサンプルレートで割る
+function readOggDuration(buffer) {
+	if (buffer.toString("latin1", 0, 4) !== "OggS" || buffer.length < 28) return null;
+	const packet = 27 + buffer[26];
+	let sampleRate;
+	let preSkip = 0;
+	if (buffer.toString("latin1", packet + 1, packet + 7) === "vorbis") {
+		sampleRate = buffer.readUInt32LE(packet + 12);
+	} else if (buffer.toString("latin1", packet, packet + 8) === "OpusHead") {
+		sampleRate = 48000;
+		preSkip = buffer.readUInt16LE(packet + 10);
+	} else {
+		return null;
 	}
-	try {
-		// akashic init -l コマンドを実行してテンプレート一覧を取得
-		console.error("[Info] Fetching available Akashic templates...");
-		const { stdout } = await execAsync('akashic init -l');
-		
-		// 出力を解析してテンプレート名（行頭の単語）を抽出
-		const templates = stdout
-			.split('\n')
-			.map(line => line.trim().split(/\s+/)[0])
-			.filter(name => name && name.length > 0);
+	const lastPage = buffer.lastIndexOf("OggS", buffer.length, "latin1");
+	if (!sampleRate || lastPage < 0 || lastPage + 14 > buffer.length) return null;
+	const granule = Number(buffer.readBigInt64LE(lastPage + 6));
+	return granule > 0 ? (granule - preSkip) / sampleRate : null;
+}
 
-		const uniqueTemplates = [...new Set(templates)];
-		
-		if (uniqueTemplates.length === 0) {
-			throw new Error("No templates found from CLI output.");
+// MP4/M4A: moov > mvhd の duration / timescale
+function readMp4Duration(buffer) {
+	const findBox = (type, start, end) => {
+		let offset = start;
+		while (offset + 8 <= end) {
+			let size = buffer.readUInt32BE(offset);
+			let header = 8;
+			if (size === 1 && offset + 16 <= end) {
+				size = Number(buffer.readBigUInt64BE(offset + 8));
+				header = 16;
+			} else if (size === 0) {
+				size = end - offset;
+			}
+			if (size < header) return null;
+			if (buffer.toString("latin1", offset + 4, offset + 8) === type) return { start: offset + header, end: Math.min(offset + size, end) };
+			offset += size;
 		}
-		
-		// TypeScript系とJavaScript系が両方含まれているか確認（ログ用）
-		getAkashicTemplates.cache = uniqueTemplates;
-		return uniqueTemplates;
+		return null;
+	};
+	const moov = findBox("moov", 0, buffer.length);
+	const mvhd = moov && findBox("mvhd", moov.start, moov.end);
+	if (!mvhd || mvhd.start + 32 > buffer.length) return null;
+	const version = buffer[mvhd.start];
+	const timescale = version === 1 ? buffer.readUInt32BE(mvhd.start + 20) : buffer.readUInt32BE(mvhd.start + 12);
+	const duration = version === 1 ? Number(buffer.readBigUInt64BE(mvhd.start + 24)) : buffer.readUInt32BE(mvhd.start + 16);
+	return timescale > 0 ? duration / timescale : null;
+}
 
-	} catch (error) {
-		console.error(`[Warning] Failed to fetch templates via CLI: ${error.message}`);
-		// CLIが失敗した場合やインストールされていない場合のフォールバック
-		const fallback = [
-			"javascript", 
-			"typescript", 
-			"javascript-shin-ichiba-ranking", 
-			"typescript-shin-ichiba-ranking",
-			"javascript-minimal",
-			"typescript-minimal",
-			"javascript-multi",
-			"typescript-multi"
-		];
-		getAkashicTemplates.cache = fallback;
-		return fallback;
+// AAC (ADTS): 全フレームのサンプル数 (1 ブロック 1024 サンプル) を数える
+function readAdtsDuration(buffer) {
+	let offset = 0;
+	if (buffer.toString("latin1", 0, 3) === "ID3" && buffer.length >= 10) {
+		offset = 10 + ((buffer[6] & 0x7f) << 21 | (buffer[7] & 0x7f) << 14 | (buffer[8] & 0x7f) << 7 | (buffer[9] & 0x7f));
 	}
+	let samples = 0;
+	let sampleRate = 0;
+	while (offset + 7 <= buffer.length && buffer[offset] === 0xff && (buffer[offset + 1] & 0xf6) === 0xf0) {
+		sampleRate = AAC_SAMPLE_RATES[(buffer[offset + 2] >> 2) & 0x0f];
+		const frameLength = ((buffer[offset + 3] & 0x03) << 11) | (buffer[offset + 4] << 3) | (buffer[offset + 5] >> 5);
+		if (!sampleRate || frameLength < 7) return null;
+		samples += 1024 * ((buffer[offset + 6] & 0x03) + 1);
+		offset += frameLength;
+	}
+	return samples > 0 ? samples / sampleRate : null;
+}
+
+// 音声ファイルの長さ (秒)。読めなければ null
+function readAudioDuration(buffer, ext) {
+	if (ext === ".ogg") return readOggDuration(buffer);
+	if (ext === ".m4a") return readMp4Duration(buffer);
+	if (ext === ".aac") return readAdtsDuration(buffer) ?? readMp4Duration(buffer);
+	return null;
+}
+
+function listScanFiles(projectRoot, dirName) {
+	const files = [];
+	const walk = (relDir) => {
+		let entries = [];
+		try {
+			entries = fs.readdirSync(path.resolve(projectRoot, relDir), { withFileTypes: true });
+		} catch {
+			return;
+		}
+		for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+			if (entry.name.startsWith(".")) continue;
+			const rel = `${relDir}/${entry.name}`;
+			if (entry.isDirectory()) walk(rel);
+			else if (entry.isFile()) files.push(rel);
+		}
+	};
+	walk(dirName);
+	return files;
+}
+
+// image/ audio/ script/ text/ の実ファイルから assets を作り直す (gameJson を直接書き換える)
+// - 既存エントリーは ID と global・systemId などの項目を残し、幅・高さ・長さだけ更新する
+// - 音声は .ogg/.m4a/.aac の組を拡張子なしの 1 エントリーにまとめる
+// - ファイルがなくなった image/audio/script/text エントリーは削除する
+function scanProjectAssets(projectRoot, gameJson) {
+	const assets = gameJson.assets = gameJson.assets && typeof gameJson.assets === "object" ? gameJson.assets : {};
+	const result = { added: [], updated: [], removed: [], warnings: [] };
+	const found = [];
+
+	for (const file of listScanFiles(projectRoot, "image")) {
+		const ext = path.extname(file).toLowerCase();
+		if (![".png", ".jpg", ".jpeg"].includes(ext)) continue;
+		const image = inspectImageFile(fs.readFileSync(path.resolve(projectRoot, file)), file);
+		if (image.error) {
+			result.warnings.push(`${file}: skipped (${image.error})`);
+			found.push({ assetPath: file, skipped: true });
+			continue;
+		}
+		result.warnings.push(...image.warnings.map((warning) => `${file}: ${warning}`));
+		found.push({ assetPath: file, fields: { type: "image", width: image.width, height: image.height } });
+	}
+
+	const audioGroups = new Map();
+	for (const file of listScanFiles(projectRoot, "audio")) {
+		const ext = path.extname(file).toLowerCase();
+		if (!AUDIO_VARIANT_EXTENSIONS.includes(ext)) continue;
+		const base = file.slice(0, -ext.length);
+		if (!audioGroups.has(base)) audioGroups.set(base, []);
+		audioGroups.get(base).push(file);
+	}
+	for (const [base, files] of audioGroups) {
+		const durations = files.map((file) => readAudioDuration(fs.readFileSync(path.resolve(projectRoot, file)), path.extname(file).toLowerCase()));
+		const known = durations.filter((duration) => duration !== null);
+		if (known.length === 0) {
+			result.warnings.push(`${base}: skipped (could not read the duration of ${files.join(", ")})`);
+			found.push({ assetPath: base, skipped: true });
+			continue;
+		}
+		const missing = AUDIO_VARIANT_EXTENSIONS.filter((ext) => ext !== ".aac" && !files.some((file) => file.toLowerCase().endsWith(ext)));
+		if (missing.length > 0) result.warnings.push(`${base}: no ${missing.join("/")} variant; some browsers cannot play it (run_complete_audio can convert)`);
+		found.push({ assetPath: base, fields: { type: "audio", duration: Math.ceil(Math.max(...known) * 1000) }, defaults: { systemId: "sound" } });
+	}
+
+	for (const file of listScanFiles(projectRoot, "script")) {
+		if (path.extname(file).toLowerCase() !== ".js") continue;
+		found.push({ assetPath: file, fields: { type: "script" }, defaults: { global: true } });
+	}
+	for (const file of listScanFiles(projectRoot, "text")) {
+		found.push({ assetPath: file, fields: { type: "text" } });
+	}
+
+	// ファイルがなくなったエントリーを先に消す (名前を変えたファイルが同じ ID を使えるように)
+	const foundPaths = new Set(found.map((item) => item.assetPath));
+	for (const [id, asset] of Object.entries(assets)) {
+		if (!asset || !SCAN_ASSET_DIRS.includes(asset.type) || typeof asset.path !== "string") continue;
+		const assetPath = asset.path.replace(/^\.?\//, "");
+		if (foundPaths.has(assetPath)) continue;
+		const exists = asset.type === "audio"
+			? AUDIO_VARIANT_EXTENSIONS.some((ext) => fs.existsSync(path.resolve(projectRoot, assetPath + ext)))
+			: fs.existsSync(path.resolve(projectRoot, assetPath));
+		if (exists) continue;
+		delete assets[id];
+		result.removed.push(`${id} (${assetPath})`);
+	}
+
+	for (const item of found) {
+		if (item.skipped) continue;
+		const { id, status } = upsertAsset(assets, item.assetPath, item.fields, { defaults: item.defaults });
+		if (status === "added") result.added.push(`${id} (${item.assetPath})`);
+		if (status === "updated") result.updated.push(`${id} (${item.assetPath})`);
+	}
+	return result;
 }
-getAkashicTemplates.cache = null;
 
 // =================================================================
 // 3. メイン処理 (サーバー構築と起動)
@@ -234,303 +3787,1041 @@ async function createMcpServer() {
 	});
 
 	// ---------------------------------------------------------------
-	// Tool 1: ドキュメント検索 (search_akashic_docs)
+	// Tool 1: ドキュメント検索 (search_akashic_docs)
+	// ---------------------------------------------------------------
+	server.tool(
+		"search_akashic_docs",
+		"Search preloaded Akashic docs/repo references with ranked full-text search (BM25, Japanese-aware). Multiple words are combined; results include relevance scores.",
+		{
+			query: z.string().describe("Search keywords (e.g. 'click event', 'g.Sprite srcWidth', 'クリック イベント')."),
+			maxResults: z.number().int().min(1).max(10).optional().describe("Maximum number of hits (default: 3)."),
+			excerptChars: z.number().int().min(100).max(4000).optional().describe("Excerpt window size in characters around the first match (default: 700)."),
+			highlight: z.boolean().optional().describe("Wrap matched terms in **bold** inside excerpts (default: true)."),
+			sources: z.array(z.string()).optional().describe("Restrict to these doc source names (see list_doc_sources), e.g. ['official-docs']."),
+			tags: z.array(z.string()).optional().describe("Restrict to sources having any of these tags (e.g. ['docs'], ['api'])."),
+			version: z.enum([...DOC_VERSIONS, "any"]).optional().describe("Engine version inferred from the URL (e.g. reverse-reference/v3). Pages with another version are excluded; version-less pages are kept. Default: prefer v3 and rank v1/v2 pages lower; 'any' disables the preference."),
+			section: z.enum(DOC_SECTIONS).optional().describe("Official docs section (first URL path segment)."),
+			contentType: z.enum(["prose", "code"]).optional().describe("'prose' for explanatory pages/READMEs, 'code' for source files from repositories."),
+			expandSynonyms: z.boolean().optional().describe("Expand Japanese game-dev terms to Akashic API names and back (e.g. 当たり判定 ⇔ g.Collision, 乱数 ⇔ g.game.random). Default: true."),
+		},
+		async ({ query, maxResults, excerptChars, highlight, sources, tags, version, section, contentType, expandSynonyms }) => {
+			const limit = typeof maxResults === "number" ? maxResults : 3;
+			const windowChars = typeof excerptChars === "number" ? excerptChars : 700;
+			const unknownSources = (sources || []).filter((name) => !docState.sourcePriority.has(name));
+			if (unknownSources.length > 0) {
+				return {
+					content: [{ type: "text", text: `Error: Unknown doc source: ${unknownSources.join(", ")}\nAvailable: ${[...docState.sourcePriority.keys()].join(", ")}` }],
+					isError: true
+				};
+			}
+			const expansions = expandSynonyms === false ? [] : expandSearchQuery(query, docState.synonymGroups);
+			// BM25 でスコア付けし、スコアの高い順に返す (同点ならソースの priority が高い方)
+			const { termIdf, hits } = searchIndex(docState.searchIndex, query, limit, {
+				filter: buildDocFilter(docState.sources, { names: sources, tags, version, section, contentType }),
+				boost: buildDocVersionBoost(version),
+				tieBreak: (doc) => docState.sourcePriority.get(doc.source) || 0,
+				expansions
+			});
+			const results = hits.map(({ doc, score, matchedTerms }) => {
+				// 一致箇所を最も多く含むセクションから抜粋する
+				const bestSection = pickBestSection(doc, matchedTerms, termIdf);
+				const excerpt = bestSection ? buildHitExcerpt(bestSection.text, matchedTerms, termIdf, windowChars, highlight !== false) : "";
+				const sectionUrl = buildSectionUrl(doc, bestSection);
+				return [
+					`Source: ${doc.source}`,
+					`Title: ${doc.title || "(no title)"}`,
+					`URL: ${doc.url || "(no url)"}`,
+					`Kind: ${formatDocKind(doc)}`,
+					`Section: ${bestSection && bestSection.heading ? bestSection.heading : "(top)"}${sectionUrl ? ` | ${sectionUrl}` : ""}`,
+					`Score: ${score.toFixed(2)} (matched: ${matchedTerms.join(", ")})`,
+					"",
+					excerpt || "(no content)"
+				].join("\n");
+			});
+
+			// 同義語で一致した理由が分かるよう、展開内容を先頭に表示する
+			const header = formatQueryExpansions(expansions);
+			const body = results.join("\n\n---\n\n") || "No relevant documents found.";
+			return {
+				content: [{ type: "text", text: header ? `${header}\n\n${body}` : body }]
+			};
+		}
+	);
+
+	// ---------------------------------------------------------------
+	// Tool 1.0: ドキュメントソース一覧 (list_doc_sources)
+	// ---------------------------------------------------------------
+	server.tool(
+		"list_doc_sources",
+		"List the registered documentation sources (data/sources.json plus any other data/*.json) with document counts, priority and tags. Use the names/tags to filter search_akashic_docs.",
+		{},
+		async () => {
+			return {
+				content: [{ type: "text", text: formatDocSourceReport(docState.sources) || "No doc sources registered." }]
+			};
+		}
+	);
+
+	// ---------------------------------------------------------------
+	// Tool 1.0.1: ドキュメントの再読み込み (reload_docs)
+	// ---------------------------------------------------------------
+	server.tool(
+		"reload_docs",
+		"Reload the documentation datasets in data/ (e.g. after re-running scripts/fetch-doc.js) and rebuild the search/API indexes without restarting the server. Reports pages added/removed/modified.",
+		{},
+		async () => {
+			try {
+				const diff = reloadDocState("reload_docs");
+				return {
+					content: [{ type: "text", text: `Reloaded doc sources:\n${formatDocSourceReport(docState.sources)}\n\n${formatDocStateDiff(diff)}` }]
+				};
+			} catch (error) {
+				return {
+					content: [{ type: "text", text: `Error: ${error.message}\nThe previously loaded docs are still in use.` }],
+					isError: true
+				};
+			}
+		}
+	);
+
+	// ---------------------------------------------------------------
+	// Tool 1.0.2: コード例検索 (search_akashic_code_examples)
+	// ---------------------------------------------------------------
+	server.tool(
+		"search_akashic_code_examples",
+		"Search fenced code blocks in the preloaded docs (mainly reverse-reference pages) by the APIs they use, and return the snippets in full with language tags, the surrounding heading and a link to the source section.",
+		{
+			query: z.string().describe("API names or keywords used in the code (e.g. 'g.FrameSprite', 'onPointMove', 'g.game.random')."),
+			maxResults: z.number().int().min(1).max(20).optional().describe("Maximum number of snippets (default: 5)."),
+			language: z.string().optional().describe("Restrict to a code block language (e.g. 'javascript', 'typescript', 'json')."),
+			version: z.enum([...DOC_VERSIONS, "any"]).optional().describe("Engine version inferred from the page URL. Default: prefer v3 and rank v1/v2 snippets lower."),
+			section: z.enum(DOC_SECTIONS).optional().describe("Official docs section (first URL path segment)."),
+		},
+		async ({ query, maxResults, language, version, section }) => {
+			const limit = typeof maxResults === "number" ? maxResults : 5;
+			const docFilter = buildDocFilter(docState.sources, { version, section });
+			const wantedLanguage = language ? normalizeCodeLanguage(language) : null;
+			const { hits } = searchIndex(docState.codeExampleIndex, query, limit, {
+				filter: (example) => (!docFilter || docFilter(example)) && (!wantedLanguage || example.language === wantedLanguage),
+				boost: buildDocVersionBoost(version),
+				// 同点なら短いスニペットを優先する
+				tieBreak: (example) => -example.content.length
+			});
+			const results = hits.map(({ doc, score, matchedTerms }) => formatCodeExample(doc, score, matchedTerms));
+
+			return {
+				content: [{ type: "text", text: results.join("\n\n---\n\n") || "No matching code examples found." }]
+			};
+		}
+	);
+
+	// ---------------------------------------------------------------
+	// Tool 1.1: API要約インデックス取得 (get_api_summary_index)
+	// ---------------------------------------------------------------
+	server.tool(
+		"get_api_summary_index",
+		"Get the preloaded lightweight API summary index. Use this first, then fetch details with search_akashic_docs.",
+		{},
+		async () => {
+			return {
+				content: [{ type: "text", text: docState.apiSummaryIndex }]
+			};
+		}
+	);
+
+	// ---------------------------------------------------------------
+	// Tool 1.1.1: API シンボル参照 (lookup_akashic_api)
+	// ---------------------------------------------------------------
+	server.tool(
+		"lookup_akashic_api",
+		"Look up an Akashic Engine API symbol parsed from the akashic-engine TypeScript sources: class/interface members, triggers, constructor parameters (with parameter object fields expanded), types and JSDoc.",
+		{
+			symbol: z.string().describe("Symbol or member (e.g. 'g.Sprite', 'g.Sprite#constructor', 'g.E#onPointDown', 'g.game.random', 'Collision.intersectAreas')."),
+			includeInherited: z.boolean().optional().describe("Include members inherited from parent classes/interfaces (default: true)."),
+			includeDeprecated: z.boolean().optional().describe("Include deprecated members such as v2-style triggers (default: false)."),
+		},
+		async ({ symbol, includeInherited, includeDeprecated }) => {
+			if (docState.apiSymbolIndex.size === 0) {
+				return { content: [{ type: "text", text: "Error: API symbol index is empty (akashic-engine.json not loaded)." }], isError: true };
+			}
+			const result = lookupApiSymbol(docState.apiSymbolIndex, symbol, {
+				includeInherited: includeInherited !== false,
+				includeDeprecated: includeDeprecated === true
+			});
+			if (!result.found) {
+				const suggestions = result.suggestions && result.suggestions.length > 0
+					? `\nDid you mean:\n${result.suggestions.map((item) => `- ${item}`).join("\n")}`
+					: "";
+				return { content: [{ type: "text", text: `${result.text}${suggestions}` }], isError: true };
+			}
+			return {
+				content: [{ type: "text", text: result.text }]
+			};
+		}
+	);
+
+	// ---------------------------------------------------------------
+	// Tool 1.2: ドキュメント全文取得 (get_akashic_doc)
+	// ---------------------------------------------------------------
+	server.tool(
+		"get_akashic_doc",
+		"Read a full Akashic document page (official docs or akashic-engine repo file) by URL or title, with offset/limit paging and a table of contents.",
+		{
+			url: z.string().optional().describe("Document URL or URL path (e.g. 'reverse-reference/v3/asset/read-asset.html'). A '#anchor' jumps to that section."),
+			title: z.string().optional().describe("Document title (e.g. 'src/entities/Sprite.ts'). Used when url is not given."),
+			source: z.string().optional().describe("Restrict lookup to a source (e.g. 'official-docs', 'akashic-engine-repo')."),
+			offset: z.number().int().min(0).optional().describe("Start position in characters (default: 0, or the section given by '#anchor')."),
+			limit: z.number().int().min(100).max(20000).optional().describe("Maximum characters to return (default: 8000)."),
+			includeToc: z.boolean().optional().describe("Include the table of contents of headings (default: true)."),
+		},
+		async ({ url, title, source, offset, limit, includeToc }) => {
+			if (!(url && url.trim()) && !(title && title.trim())) {
+				return { content: [{ type: "text", text: "Error: Specify url or title." }], isError: true };
+			}
+
+			const matches = findDocsByReference(docState.docs, { url, title, source });
+			if (matches.length === 0) {
+				return {
+					content: [{ type: "text", text: `Error: Document not found: ${url || title}. Use search_akashic_docs to find the exact URL or title.` }],
+					isError: true
+				};
+			}
+			if (matches.length > 1) {
+				const list = matches.slice(0, 20).map((doc) => `- [${doc.source}] ${doc.title || "(no title)"}${doc.url ? ` | ${doc.url}` : ""}`);
+				return {
+					content: [{ type: "text", text: [`Error: ${matches.length} documents matched. Specify url, title or source more precisely.`, ...list].join("\n") }],
+					isError: true
+				};
+			}
+
+			const doc = matches[0];
+			const content = doc.content || "";
+			const sections = splitDocSections(content).filter((section) => section.heading !== null);
+
+			let start = typeof offset === "number" ? offset : 0;
+			let fragment = url && url.includes("#") ? url.split("#")[1] : "";
+			try {
+				fragment = decodeURIComponent(fragment);
+			} catch {
+				// 不正なエスケープ (例: "%E3" だけ) はデコードせずにそのまま使う
+			}
+			if (typeof offset !== "number" && fragment) {
+				const section = sections.find((item) => item.anchor === fragment.toLowerCase());
+				if (section) start = section.offset;
+			}
+			if (start > content.length) {
+				return {
+					content: [{ type: "text", text: `Error: offset ${start} exceeds document length (${content.length}).` }],
+					isError: true
+				};
+			}
+			const pageSize = typeof limit === "number" ? limit : 8000;
+			const end = Math.min(content.length, start + pageSize);
+
+			const lines = [];
+			lines.push(`Source: ${doc.source}`);
+			lines.push(`Title: ${doc.title || "(no title)"}`);
+			lines.push(`URL: ${doc.url || "(no url)"}`);
+			lines.push(`Length: ${content.length} chars | Showing: ${start}-${end}`);
+			if (includeToc !== false && sections.length > 0) {
+				lines.push("");
+				lines.push("## Table of contents");
+				const maxTocItems = 100;
+				for (const section of sections.slice(0, maxTocItems)) {
+					const indent = "  ".repeat(Math.max(0, section.level - 1));
+					lines.push(`${indent}- ${section.heading} (#${section.anchor}, offset=${section.offset})`);
+				}
+				if (sections.length > maxTocItems) {
+					lines.push(`- ... (${sections.length - maxTocItems} more headings)`);
+				}
+			}
+			lines.push("");
+			lines.push("---");
+			lines.push("");
+			lines.push(content.slice(start, end) || "(no content)");
+			if (end < content.length) {
+				lines.push("");
+				lines.push(`[Truncated: ${content.length - end} chars remaining. Call again with offset=${end} to continue.]`);
+			}
+
+			return {
+				content: [{ type: "text", text: lines.join("\n") }]
+			};
+		}
+	);
+
+	// ---------------------------------------------------------------
+	// Tool 2: ファイル作成 (create_game_file)
+	// ---------------------------------------------------------------
+	server.tool(
+		"create_game_file",
+		"Create or overwrite a source file for the game (e.g., src/main.ts, game.json). Pass expectedHash (from read_project_files) to refuse the write if the file changed since it was read.",
+		{
+			directoryName: z.string().optional().describe("Project directory path (relative or absolute). Recommended."),
+			filePath: z.string().describe("File path inside the project directory (e.g., 'script/main.js' or 'game.json')."),
+			code: z.string().describe("The full content of the file."),
+			forbidGameJsonUpdate: z.boolean().optional().describe("When true, prevents writing to game.json."),
+			expectedHash: z.string().optional().describe("Hash of the file as returned by read_project_files. The write is refused (with a diff) if the current file differs."),
+			verify: z.boolean().optional().describe("When true, verify the written content: JS files (.js/.mjs/.cjs) get a syntax check, game.json gets schema and asset-existence validation. Diagnostics are included in the result."),
+			rejectOnNewErrors: z.boolean().optional().describe("When true (implies verify), do not write if the new content introduces errors that the current file does not have."),
+		},
+		async ({ directoryName, filePath, code, forbidGameJsonUpdate, expectedHash, verify, rejectOnNewErrors }) => {
+			try {
+				const resolved = resolveProjectFilePath({ directoryName, filePath, forbidGameJsonUpdate });
+				if (resolved.error) {
+					return {
+						content: [{ type: "text", text: resolved.error }],
+						isError: true
+					};
+				}
+				const { projectRoot, fullPath: resolvedFullPath, relativePath } = resolved;
+				const conflict = checkExpectedHash(resolvedFullPath, relativePath, expectedHash, { proposedContent: code });
+				if (conflict) {
+					return { content: [{ type: "text", text: conflict }], isError: true };
+				}
+				const verification = verify || rejectOnNewErrors
+					? await verifyProjectWrite(projectRoot, relativePath, resolvedFullPath, code)
+					: null;
+				if (rejectOnNewErrors && verification && verification.newErrors.length > 0) {
+					return {
+						content: [{ type: "text", text: `Error: ${relativePath} was not written because the new content introduces errors.${formatVerificationReport(verification)}` }],
+						isError: true
+					};
+				}
+				const dir = path.dirname(resolvedFullPath);
+				
+				if (!fs.existsSync(dir)) {
+					fs.mkdirSync(dir, { recursive: true });
+				}
+				
+				const checkpoint = beginCheckpoint(projectRoot, "create_game_file", `write ${relativePath}`);
+				checkpoint.track(resolvedFullPath);
+				fs.writeFileSync(resolvedFullPath, code);
+				const saved = checkpoint.commit();
+				return {
+					content: [{ type: "text", text: `Successfully wrote file to: ${relativePath}${formatCheckpointNote(saved)}${formatVerificationReport(verification)}` }]
+				};
+			} catch (err) {
+				return {
+					content: [{ type: "text", text: `Error writing file: ${err.message}` }],
+					isError: true,
+				};
+			}
+		}
+	);
+
+	// ---------------------------------------------------------------
+	// Tool 2.1: ファイルの部分編集 (edit_game_file)
 	// ---------------------------------------------------------------
 	server.tool(
-		"search_akashic_docs",
-		"Search and fetch detailed information from preloaded Akashic docs/repo references.",
+		"edit_game_file",
+		"Edit an existing project file without rewriting it: apply exact search/replace blocks or a unified diff. Nothing is written if any block/hunk fails to apply. Returns the resulting diff. Same path/game.json guards as create_game_file.",
 		{
-			query: z.string().describe("Search keyword (e.g. 'click event', 'g.Sprite', 'audio')."),
-			maxResults: z.number().int().min(1).max(10).optional().describe("Maximum number of hits (default: 3)."),
+			directoryName: z.string().optional().describe("Project directory path (relative or absolute). Recommended."),
+			filePath: z.string().describe("File path inside the project directory (e.g., 'script/main.js')."),
+			edits: z.array(z.object({
+				search: z.string().describe("Exact text to find (including indentation). Must match exactly one place unless replaceAll is set."),
+				replace: z.string().describe("Replacement text."),
+				replaceAll: z.boolean().optional().describe("Replace every occurrence instead of requiring a unique match."),
+			})).optional().describe("Search/replace blocks applied in order."),
+			diff: z.string().optional().describe("Unified diff for this file (hunks starting with '@@ -a,b +c,d @@'). Used when edits is not given."),
+			forbidGameJsonUpdate: z.boolean().optional().describe("When true, prevents editing game.json."),
+			expectedHash: z.string().optional().describe("Hash of the file as returned by read_project_files. The edit is refused (with the current content) if the file changed since it was read."),
+			dryRun: z.boolean().optional().describe("Only return the resulting diff without writing."),
+			verify: z.boolean().optional().describe("When true, verify the written content: JS files (.js/.mjs/.cjs) get a syntax check, game.json gets schema and asset-existence validation. Diagnostics are included in the result."),
+			rejectOnNewErrors: z.boolean().optional().describe("When true (implies verify), do not write if the new content introduces errors that the current file does not have."),
 		},
-		async ({ query, maxResults }) => {
-			const q = query.toLowerCase();
-			const limit = typeof maxResults === "number" ? maxResults : 3;
-			// タイトルまたは本文にキーワードが含まれるものを検索
-			const results = allDocsData
-				.filter((doc) =>
-					(doc.title && doc.title.toLowerCase().includes(q)) || 
-					(doc.content && doc.content.toLowerCase().includes(q))
-				)
-				.slice(0, limit)
-				.map((doc) => {
-					const excerpt = doc.content ? doc.content.substring(0, 700) : "";
-					return [
-						`Source: ${doc.source}`,
-						`Title: ${doc.title || "(no title)"}`,
-						`URL: ${doc.url || "(no url)"}`,
-						"",
-						excerpt ? `${excerpt}...` : "(no content)"
-					].join("\n");
-				});
+		async ({ directoryName, filePath, edits, diff, forbidGameJsonUpdate, expectedHash, dryRun, verify, rejectOnNewErrors }) => {
+			const hasEdits = Array.isArray(edits) && edits.length > 0;
+			if (!hasEdits && !(diff && diff.trim())) {
+				return { content: [{ type: "text", text: "Error: Specify edits (search/replace blocks) or diff." }], isError: true };
+			}
+			if (hasEdits && diff && diff.trim()) {
+				return { content: [{ type: "text", text: "Error: Specify either edits or diff, not both." }], isError: true };
+			}
+			try {
+				const resolved = resolveProjectFilePath({ directoryName, filePath, forbidGameJsonUpdate });
+				if (resolved.error) {
+					return { content: [{ type: "text", text: resolved.error }], isError: true };
+				}
+				const { projectRoot, fullPath, relativePath } = resolved;
+				if (!fs.existsSync(fullPath) || !fs.statSync(fullPath).isFile()) {
+					return {
+						content: [{ type: "text", text: `Error: ${relativePath} does not exist. Use create_game_file to create new files.` }],
+						isError: true
+					};
+				}
+				const conflict = checkExpectedHash(fullPath, relativePath, expectedHash);
+				if (conflict) {
+					return { content: [{ type: "text", text: conflict }], isError: true };
+				}
 
-			return {
-				content: [{ type: "text", text: results.join("\n\n---\n\n") || "No relevant documents found." }]
-			};
+				// 改行コードは LF に揃えて編集し、書き戻すときに元に戻す
+				const original = fs.readFileSync(fullPath, "utf-8");
+				const eol = original.includes("\r\n") ? "\r\n" : "\n";
+				const normalized = original.replace(/\r\n/g, "\n");
+				let updated;
+				try {
+					updated = hasEdits
+						? applySearchReplaceEdits(normalized, edits.map((edit) => ({
+							...edit,
+							search: edit.search.replace(/\r\n/g, "\n"),
+							replace: edit.replace.replace(/\r\n/g, "\n")
+						})))
+						: applyUnifiedDiff(normalized, diff);
+				} catch (error) {
+					return {
+						content: [{ type: "text", text: `Error: Patch did not apply to ${relativePath}; the file was not changed.\n${error.message}` }],
+						isError: true
+					};
+				}
+
+				const resultDiff = createUnifiedDiff(normalized, updated, { oldLabel: `a/${relativePath}`, newLabel: `b/${relativePath}` });
+				if (!resultDiff) {
+					return { content: [{ type: "text", text: `No changes: the edit leaves ${relativePath} unchanged.` }] };
+				}
+				const verification = verify || rejectOnNewErrors
+					? await verifyProjectWrite(projectRoot, relativePath, fullPath, updated)
+					: null;
+				if (rejectOnNewErrors && verification && verification.newErrors.length > 0) {
+					return {
+						content: [{ type: "text", text: `Error: ${relativePath} was not changed because the edit introduces errors.${formatVerificationReport(verification)}\n\n\`\`\`diff\n${resultDiff}\n\`\`\`` }],
+						isError: true
+					};
+				}
+				let saved = null;
+				if (!dryRun) {
+					const checkpoint = beginCheckpoint(projectRoot, "edit_game_file", `edit ${relativePath}`);
+					checkpoint.track(fullPath);
+					fs.writeFileSync(fullPath, eol === "\n" ? updated : updated.replace(/\n/g, eol));
+					saved = checkpoint.commit();
+				}
+				return {
+					content: [{ type: "text", text: `${dryRun ? "Dry run (not written)" : "Successfully edited"}: ${relativePath}${formatCheckpointNote(saved)}${formatVerificationReport(verification)}\n\n\`\`\`diff\n${resultDiff}\n\`\`\`` }]
+				};
+			} catch (err) {
+				return {
+					content: [{ type: "text", text: `Error editing file: ${err.message}` }],
+					isError: true,
+				};
+			}
 		}
 	);
 
 	// ---------------------------------------------------------------
-	// Tool 1.1: API要約インデックス取得 (get_api_summary_index)
+	// Tool 2.2: 変更履歴 (list_checkpoints / diff_checkpoint / restore_checkpoint)
 	// ---------------------------------------------------------------
+	// 書き込み系ツールが .mcp/history に残したチェックポイントを参照・復元する
+	const resolveHistoryTarget = (directoryName) => {
+		if (!path.isAbsolute(directoryName) && directoryName.includes("..")) {
+			return { error: "Error: Invalid directory name. Avoid '..' in relative paths." };
+		}
+		const targetPath = path.isAbsolute(directoryName)
+			? path.normalize(directoryName)
+			: path.resolve(process.cwd(), directoryName);
+		if (!fs.existsSync(targetPath) || !fs.statSync(targetPath).isDirectory()) {
+			return { error: `Error: Directory '${directoryName}' not found.` };
+		}
+		return { projectRoot: resolveHistoryRoot(targetPath) };
+	};
+	const normalizeHistoryFilePath = (filePath) => filePath ? path.normalize(filePath).replace(/\\/g, "/").replace(/^\.\//, "") : null;
+
 	server.tool(
-		"get_api_summary_index",
-		"Get the preloaded lightweight API summary index. Use this first, then fetch details with search_akashic_docs.",
-		{},
-		async () => {
-			return {
-				content: [{ type: "text", text: apiSummaryIndexForPrompt }]
-			};
+		"list_checkpoints",
+		"List the automatic checkpoints (newest first) that project-writing tools saved before changing files. Use diff_checkpoint/restore_checkpoint with the returned id.",
+		{
+			directoryName: z.string().describe("Project directory path (relative or absolute)."),
+			filePath: z.string().optional().describe("Only list checkpoints that touched this file (e.g., 'script/main.js')."),
+			limit: z.number().int().min(1).max(100).optional().describe("Maximum number of checkpoints (default 20).")
+		},
+		async ({ directoryName, filePath, limit = 20 }) => {
+			const target = resolveHistoryTarget(directoryName);
+			if (target.error) {
+				return { content: [{ type: "text", text: target.error }], isError: true };
+			}
+			const relPath = normalizeHistoryFilePath(filePath);
+			const checkpoints = listCheckpoints(target.projectRoot)
+				.filter((checkpoint) => !relPath || checkpoint.files.some((file) => file.path === relPath))
+				.slice(0, limit);
+			if (checkpoints.length === 0) {
+				return { content: [{ type: "text", text: "No checkpoints found." }] };
+			}
+			const text = checkpoints.map((checkpoint) => {
+				const files = checkpoint.files.map((file) => `  - ${file.path}${file.existed ? "" : " (new)"}`);
+				return [`${checkpoint.id}  [${checkpoint.tool}] ${checkpoint.createdAt}${checkpoint.description ? ` - ${checkpoint.description}` : ""}`, ...files].join("\n");
+			}).join("\n");
+			return { content: [{ type: "text", text }] };
 		}
 	);
 
-	// ---------------------------------------------------------------
-	// Tool 2: ファイル作成 (create_game_file)
-	// ---------------------------------------------------------------
 	server.tool(
-		"create_game_file",
-		"Create or overwrite a source file for the game (e.g., src/main.ts, game.json).",
+		"diff_checkpoint",
+		"Show a unified diff from a checkpoint's saved file contents to the current files. Binary files are reported by size.",
 		{
-			directoryName: z.string().optional().describe("Project directory path (relative or absolute). Recommended."),
-			filePath: z.string().describe("File path inside the project directory (e.g., 'script/main.js' or 'game.json')."),
-			code: z.string().describe("The full content of the file."),
-			forbidGameJsonUpdate: z.boolean().optional().describe("When true, prevents writing to game.json."),
+			directoryName: z.string().describe("Project directory path (relative or absolute)."),
+			checkpointId: z.string().describe("Checkpoint id (or unique prefix) from list_checkpoints."),
+			filePath: z.string().optional().describe("Only diff this file.")
 		},
-		async ({ directoryName, filePath, code, forbidGameJsonUpdate }) => {
-			if (directoryName && !path.isAbsolute(directoryName) && directoryName.includes('..')) {
+		async ({ directoryName, checkpointId, filePath }) => {
+			const target = resolveHistoryTarget(directoryName);
+			if (target.error) {
+				return { content: [{ type: "text", text: target.error }], isError: true };
+			}
+			const checkpoint = findCheckpoint(target.projectRoot, checkpointId);
+			if (!checkpoint) {
+				return { content: [{ type: "text", text: `Error: Checkpoint '${checkpointId}' not found.` }], isError: true };
+			}
+			const relPath = normalizeHistoryFilePath(filePath);
+			const entries = checkpoint.files.filter((file) => !relPath || file.path === relPath);
+			if (entries.length === 0) {
+				return { content: [{ type: "text", text: `Error: '${filePath}' is not part of checkpoint ${checkpoint.id}.` }], isError: true };
+			}
+			try {
+				const diffs = entries.map((entry) => diffCheckpointEntry(target.projectRoot, entry));
 				return {
-					content: [{ type: "text", text: "Error: Invalid directory name. Avoid '..' in relative paths." }],
-					isError: true
+					content: [{ type: "text", text: `Checkpoint ${checkpoint.id} -> current\n\n\`\`\`diff\n${diffs.join("\n")}\n\`\`\`` }]
 				};
+			} catch (err) {
+				return { content: [{ type: "text", text: `Error reading checkpoint: ${err.message}` }], isError: true };
 			}
+		}
+	);
 
-			if (!path.isAbsolute(filePath) && filePath.includes('..')) {
-				return { 
-					content: [{ type: "text", text: "Error: Invalid file path. Avoid '..' in relative paths." }], 
-					isError: true 
+	server.tool(
+		"restore_checkpoint",
+		"Restore files to their state before a checkpointed tool call (one file or the whole checkpoint). Files the tool created are deleted. The current state is checkpointed first, so a restore can itself be undone.",
+		{
+			directoryName: z.string().describe("Project directory path (relative or absolute)."),
+			checkpointId: z.string().describe("Checkpoint id (or unique prefix) from list_checkpoints."),
+			filePath: z.string().optional().describe("Only restore this file. Omit to restore every file in the checkpoint.")
+		},
+		async ({ directoryName, checkpointId, filePath }) => {
+			const target = resolveHistoryTarget(directoryName);
+			if (target.error) {
+				return { content: [{ type: "text", text: target.error }], isError: true };
+			}
+			const { projectRoot } = target;
+			const checkpoint = findCheckpoint(projectRoot, checkpointId);
+			if (!checkpoint) {
+				return { content: [{ type: "text", text: `Error: Checkpoint '${checkpointId}' not found.` }], isError: true };
+			}
+			const relPath = normalizeHistoryFilePath(filePath);
+			const entries = checkpoint.files.filter((file) => !relPath || file.path === relPath);
+			if (entries.length === 0) {
+				return { content: [{ type: "text", text: `Error: '${filePath}' is not part of checkpoint ${checkpoint.id}.` }], isError: true };
+			}
+			try {
+				// 1 つでも不正なエントリーがあれば何も復元しない
+				for (const entry of entries) {
+					resolveCheckpointEntry(projectRoot, entry);
+				}
+				const undo = beginCheckpoint(projectRoot, "restore_checkpoint", `restore ${checkpoint.id}${relPath ? ` (${relPath})` : ""}`);
+				for (const entry of entries) {
+					undo.track(path.resolve(projectRoot, entry.path));
+				}
+				const lines = entries.map((entry) => restoreCheckpointEntry(projectRoot, entry));
+				const saved = undo.commit();
+				return {
+					content: [{ type: "text", text: `Restored checkpoint ${checkpoint.id}:\n${lines.join("\n")}${formatCheckpointNote(saved)}` }]
 				};
+			} catch (err) {
+				return { content: [{ type: "text", text: `Error restoring checkpoint: ${err.message}` }], isError: true };
 			}
+		}
+	);
 
+	// ---------------------------------------------------------------
+	// Tool 2.3: 複数ファイルの一括変更 (apply_project_changes)
+	// ---------------------------------------------------------------
+	server.tool(
+		"apply_project_changes",
+		"Apply several file operations (create, overwrite, delete, move) to a project as one transaction: every path is validated with the create_game_file guards first, contents are staged, and either all operations are applied or none. Use this when a change spans multiple files (e.g., new scene script + main.js + game.json).",
+		{
+			directoryName: z.string().optional().describe("Project directory path (relative or absolute). Recommended."),
+			operations: z.array(z.object({
+				op: z.enum(["create", "overwrite", "delete", "move"]).describe("create: new file (fails if it exists). overwrite: replace an existing file. delete: remove a file. move: rename filePath to toPath."),
+				filePath: z.string().describe("File path inside the project directory."),
+				content: z.string().optional().describe("File content for create/overwrite."),
+				toPath: z.string().optional().describe("Destination path for move (must not exist)."),
+				expectedHash: z.string().optional().describe("For overwrite/delete/move: hash of filePath from read_project_files. The whole batch is refused if the file changed since it was read."),
+			})).min(1).describe("Operations applied in order. Later operations see the result of earlier ones."),
+			forbidGameJsonUpdate: z.boolean().optional().describe("When true, rejects any operation on game.json."),
+			dryRun: z.boolean().optional().describe("Only validate and list the planned operations without writing."),
+		},
+		async ({ directoryName, operations, forbidGameJsonUpdate, dryRun }) => {
 			try {
-				const fullPath = path.isAbsolute(filePath)
-					? path.normalize(filePath)
-					: null;
-				const inferProjectRoot = (startPath) => {
-					let currentDir = path.dirname(startPath);
-					for (let depth = 0; depth < 8; depth += 1) {
-						if (fs.existsSync(path.resolve(currentDir, "game.json"))) {
-							return currentDir;
-						}
-						const parentDir = path.dirname(currentDir);
-						if (parentDir === currentDir) {
-							break;
-						}
-						currentDir = parentDir;
-					}
-					return null;
+				const plan = planProjectChanges(operations, { directoryName, forbidGameJsonUpdate });
+				if (plan.error) {
+					return { content: [{ type: "text", text: `${plan.error}\nNo files were changed.` }], isError: true };
+				}
+				const summary = plan.steps.map((step) => `- ${formatProjectChangeStep(step)}`).join("\n");
+				if (dryRun) {
+					return { content: [{ type: "text", text: `Dry run (not written): ${plan.steps.length} operations\n${summary}` }] };
+				}
+				const saved = commitProjectChanges(plan.projectRoot, plan.steps, {
+					tool: "apply_project_changes",
+					description: `${plan.steps.length} operations`
+				});
+				return {
+					content: [{ type: "text", text: `Applied ${plan.steps.length} operations:\n${summary}${formatCheckpointNote(saved)}` }]
+				};
+			} catch (err) {
+				return {
+					content: [{ type: "text", text: `Error applying project changes: ${err.message}` }],
+					isError: true,
 				};
+			}
+		}
+	);
 
-				const targetPath = directoryName
-					? (path.isAbsolute(directoryName)
-						? path.normalize(directoryName)
-						: path.resolve(process.cwd(), directoryName))
-					: (fullPath ? inferProjectRoot(fullPath) : null);
-				if (!targetPath || !fs.existsSync(targetPath) || !fs.statSync(targetPath).isDirectory()) {
-					return {
-						content: [{ type: "text", text: "Error: Project directory could not be determined. Pass directoryName or use an absolute filePath inside a project." }],
-						isError: true
+	// ---------------------------------------------------------------
+	// Tool 3: プロジェクト初期化 (init_project)
+	// ---------------------------------------------------------------
+	// 動的にテンプレートリストを取得してからツールを定義
+	const templateList = await getAkashicTemplates();
+	// ZodのEnumを作るには少なくとも1つの要素が必要
+	const templateEnum = templateList.length > 0 ? [templateList[0], ...templateList.slice(1)] : ["javascript"];
+
+	server.tool(
+		"init_project",
+		"Initialize a new Akashic Engine project with a chosen template (runs 'akashic init' and 'npm install'). Detects the akashic CLI (local node_modules/.bin, global, npx) and falls back to the bundled local template closest to templateType when it is unavailable or fails; the result reports which path was taken and what is missing.",
+		{
+			directoryName: z.string().describe("The directory path for the new project (relative or absolute)."),
+			templateType: z.enum(templateEnum).describe(`Template type. Available: ${templateList.join(", ")}`),
+			skipNpmInstall: z.boolean().optional().describe("Skip running 'npm install' (useful for constrained environments)."),
+		},
+		async ({ directoryName, templateType, skipNpmInstall }) => {
+			if (!path.isAbsolute(directoryName) && directoryName.includes('..')) {
+				return { content: [{ type: "text", text: "Error: Invalid directory name. Avoid '..' in relative paths." }], isError: true };
+			}
+
+			const targetPath = path.isAbsolute(directoryName)
+				? path.normalize(directoryName)
+				: path.resolve(process.cwd(), directoryName);
+
+			// ディレクトリチェック
+			if (fs.existsSync(targetPath)) {
+				const files = fs.readdirSync(targetPath);
+				if (files.length > 0) {
+					return { 
+						content: [{ type: "text", text: `Error: Directory '${directoryName}' already exists and is not empty.` }],
+						isError: true 
 					};
 				}
+			} else {
+				fs.mkdirSync(targetPath, { recursive: true });
+			}
 
-				const resolvedFullPath = fullPath ?? path.resolve(targetPath, filePath);
-				if (!resolvedFullPath.startsWith(targetPath + path.sep) && resolvedFullPath !== targetPath) {
-					return {
-						content: [{ type: "text", text: "Error: filePath must be inside the project directory." }],
-						isError: true
-					};
+			const report = [];
+			const missing = [];
+			const attempts = [];
+			let dependencies = skipNpmInstall ? "skipped" : "not needed";
+			const installDependencies = async () => {
+				if (skipNpmInstall) {
+					if (fs.existsSync(path.resolve(targetPath, "package.json"))) {
+						missing.push("Dependencies are not installed (skipNpmInstall). Run 'npm install' in the project before building or linting.");
+					}
+					return;
+				}
+				if (!fs.existsSync(path.resolve(targetPath, "package.json"))) return;
+				try {
+					const installCommand = `cd "${targetPath}" && npm install --no-audit --no-fund --progress=false`;
+					await execAsync(installCommand);
+					dependencies = "installed";
+				} catch (error) {
+					const stderr = error && error.stderr ? error.stderr.trim().split("\n").slice(-3).join(" / ") : (error && error.message) || "Unknown error";
+					dependencies = "failed";
+					missing.push(`Dependencies could not be installed (npm install failed: ${stderr}). Run 'npm install' again when the network is available.`);
 				}
+			};
 
-				const relativePath = path.relative(targetPath, resolvedFullPath).replace(/\\/g, "/");
-				if (!relativePath || relativePath.startsWith("..")) {
-					return {
-						content: [{ type: "text", text: "Error: filePath must be inside the project directory." }],
-						isError: true
-					};
+			try {
+				console.error(`[Info] Initializing project in ${directoryName} with template ${templateType}...`);
+				const cli = await detectAkashicCli(process.cwd(), attempts);
+				let usedCli = false;
+				if (cli) {
+					try {
+						await execAsync(`cd "${targetPath}" && ${cli.command} init --type ${templateType} --force`);
+						usedCli = fs.existsSync(path.resolve(targetPath, "game.json"));
+						if (!usedCli) attempts.push("akashic init: game.json was not created");
+					} catch (error) {
+						const stderr = error && error.stderr ? error.stderr.trim().split("\n").slice(-3).join(" / ") : (error && error.message) || "Unknown error";
+						attempts.push(`akashic init via ${cli.kind}: failed (${stderr})`);
+					}
+					if (!usedCli) {
+						// 作りかけのファイルを消してからローカルテンプレートで作り直す (開始時点で空のディレクトリであることは確認済み)
+						for (const entry of fs.readdirSync(targetPath)) {
+							fs.rmSync(path.resolve(targetPath, entry), { recursive: true, force: true });
+						}
+					}
 				}
 
-				if (path.basename(resolvedFullPath).toLowerCase() === "game.json" && relativePath !== "game.json") {
-					return {
-						content: [{ type: "text", text: "Error: game.json must exist directly under the project directory." }],
-						isError: true,
-					};
+				if (usedCli) {
+					report.push(`Path: akashic init via ${cli.kind} CLI (${cli.version})`);
+					report.push(`Template: ${templateType}`);
+				} else {
+					const mapping = mapTemplateTypeToLocalTemplate(templateType);
+					const template = loadLocalTemplates().find((item) => item.name === mapping.name);
+					if (!template) {
+						return {
+							content: [{ type: "text", text: `Error during initialization: akashic CLI is unavailable and local template '${mapping.name}' was not found in template/.\n${attempts.map((line) => `- ${line}`).join("\n")}` }],
+							isError: true,
+						};
+					}
+					const { values } = resolveTemplateParameters(template, {});
+					scaffoldLocalTemplate(targetPath, template, values, { tool: "init_project" });
+					report.push(`Path: local template '${template.name}' (fallback; akashic CLI ${cli ? "failed" : "not available"})`);
+					report.push(`Template: ${templateType} -> ${template.name}${mapping.exact ? "" : " (closest match)"}`);
+					if (!mapping.exact) {
+						missing.push(`'${templateType}' has no exact local equivalent; '${template.name}' (${template.language}) was used instead.`);
+					}
+					if (!cli) {
+						missing.push("akashic CLI is not available: akashic_install_extension, akashic_serve and akashic_scan_asset with useCli will fail until it is installed (npm install -g @akashic/akashic-cli).");
+					}
 				}
-				if (forbidGameJsonUpdate && relativePath.toLowerCase() === "game.json") {
+
+				await installDependencies();
+
+				if (!fs.existsSync(path.resolve(targetPath, "game.json"))) {
 					return {
-						content: [{ type: "text", text: "Error: game.json updates are forbidden by option." }],
+						content: [{ type: "text", text: "Error during initialization: game.json was not created in the project root." }],
 						isError: true,
 					};
 				}
-				const dir = path.dirname(resolvedFullPath);
-				
-				if (!fs.existsSync(dir)) {
-					fs.mkdirSync(dir, { recursive: true });
+
+				const lines = [`Project initialized successfully in '${directoryName}'.`, ...report, `Dependencies: ${dependencies}`];
+				if (missing.length > 0) {
+					lines.push("", "Missing / limited:", ...missing.map((line) => `- ${line}`));
 				}
-				
-				fs.writeFileSync(resolvedFullPath, code);
+				lines.push("", "CLI detection:", ...attempts.map((line) => `- ${line}`));
 				return {
-					content: [{ type: "text", text: `Successfully wrote file to: ${relativePath}` }]
+					content: [{ type: "text", text: lines.join("\n") }]
 				};
-			} catch (err) {
+
+			} catch (error) {
+				const message = error && error.message ? error.message : "Unknown error";
+				const stdout = error && error.stdout ? `\nStdout: ${error.stdout}` : "";
+				const stderr = error && error.stderr ? `\nStderr: ${error.stderr}` : "";
 				return {
-					content: [{ type: "text", text: `Error writing file: ${err.message}` }],
+					content: [{ type: "text", text: `Error during initialization: ${message}${stdout}${stderr}` }],
+					isError: true,
+				};
+			}
+		}
+	);
+
+	// ---------------------------------------------------------------
+	// Tool 4: ローカルテンプレートで初期化 (init_local_template / init_minimal_template)
+	// ---------------------------------------------------------------
+	// akashic CLI やネットワークなしで template/<name> からプロジェクトを作る
+	const scaffoldProjectFromTemplate = (directoryName, templateName, params, tool) => {
+		if (!path.isAbsolute(directoryName) && directoryName.includes("..")) {
+			return { content: [{ type: "text", text: "Error: Invalid directory name. Avoid '..' in relative paths." }], isError: true };
+		}
+
+		const templates = loadLocalTemplates();
+		const template = templates.find((item) => item.name === templateName);
+		if (!template) {
+			return {
+				content: [{ type: "text", text: `Error: Local template '${templateName}' not found in template/. Available: ${templates.map((item) => item.name).join(", ") || "(none)"}` }],
+				isError: true,
+			};
+		}
+		const resolvedParams = resolveTemplateParameters(template, params || {});
+		if (resolvedParams.error) {
+			return { content: [{ type: "text", text: resolvedParams.error }], isError: true };
+		}
+
+		const targetPath = path.isAbsolute(directoryName)
+			? path.normalize(directoryName)
+			: path.resolve(process.cwd(), directoryName);
+
+		if (fs.existsSync(targetPath)) {
+			const files = fs.readdirSync(targetPath);
+			if (files.length > 0) {
+				return {
+					content: [{ type: "text", text: `Error: Directory '${directoryName}' already exists and is not empty.` }],
+					isError: true,
+				};
+			}
+		} else {
+			fs.mkdirSync(targetPath, { recursive: true });
+		}
+
+		try {
+			const files = scaffoldLocalTemplate(targetPath, template, resolvedParams.values, { tool });
+
+			if (!fs.existsSync(path.resolve(targetPath, "game.json"))) {
+				return {
+					content: [{ type: "text", text: "Error during template initialization: game.json was not created in the project root." }],
 					isError: true,
 				};
 			}
+
+			const paramText = Object.entries(resolvedParams.values).map(([key, value]) => `${key}=${JSON.stringify(value)}`).join(", ");
+			return {
+				content: [{
+					type: "text",
+					text: `Project initialized from template '${template.name}' in '${directoryName}'.\nParameters: ${paramText || "(none)"}\nFiles:\n${files.map((file) => `- ${file}`).join("\n")}${template.language === "typescript" ? "\nEdit src/ and run 'npm install && npm run build' to regenerate script/." : ""}`
+				}]
+			};
+		} catch (error) {
+			const message = error && error.message ? error.message : "Unknown error";
+			return {
+				content: [{ type: "text", text: `Error during template initialization: ${message}` }],
+				isError: true,
+			};
+		}
+	};
+
+	server.tool(
+		"list_local_templates",
+		"List the local project templates in template/ (usable offline with init_local_template) with their parameters and defaults.",
+		{},
+		async () => {
+			const templates = loadLocalTemplates();
+			if (templates.length === 0) {
+				return { content: [{ type: "text", text: "No local templates found in template/." }] };
+			}
+			return { content: [{ type: "text", text: templates.map(formatLocalTemplate).join("\n\n") }] };
 		}
 	);
 
+	server.tool(
+		"init_local_template",
+		"Initialize a project from a local template in template/ (no akashic CLI or network needed). Parameters such as width/height/fps/totalTimeLimit/title are substituted into game.json and scripts. See list_local_templates.",
+		{
+			directoryName: z.string().describe("The directory path for the new project (relative or absolute). Must be empty or not exist."),
+			template: z.string().optional().describe("Template name (e.g., minimal, ranking, multi, typescript). Default: minimal."),
+			params: z.record(z.union([z.string(), z.number()])).optional().describe("Template parameters (e.g., { \"width\": 1280, \"totalTimeLimit\": 80, \"title\": \"My Game\" }). Omitted ones use the template defaults."),
+		},
+		async ({ directoryName, template = "minimal", params }) => scaffoldProjectFromTemplate(directoryName, template, params, "init_local_template")
+	);
+
+	server.tool(
+		"init_minimal_template",
+		"Initialize a project by copying the minimal local template (template/minimal: game.json and script/main.js). Same as init_local_template with template 'minimal'.",
+		{
+			directoryName: z.string().describe("The directory path for the new project (relative or absolute)."),
+		},
+		async ({ directoryName }) => scaffoldProjectFromTemplate(directoryName, "minimal", {}, "init_minimal_template")
+	);
+
 	// ---------------------------------------------------------------
-	// Tool 3: プロジェクト初期化 (init_project)
+	// Tool 4.1: シーンの追加 (add_scene)
 	// ---------------------------------------------------------------
-	// 動的にテンプレートリストを取得してからツールを定義
-	const templateList = await getAkashicTemplates();
-	// ZodのEnumを作るには少なくとも1つの要素が必要
-	const templateEnum = templateList.length > 0 ? [templateList[0], ...templateList.slice(1)] : ["javascript"];
-
 	server.tool(
-		"init_project",
-		"Initialize a new Akashic Engine project with a chosen template (runs 'akashic init' and 'npm install').",
+		"add_scene",
+		"Generate script/scenes/<name>.js (a v3 g.Scene with onLoad/onUpdate and assetPaths computed from assets that exist in game.json), register it as a script asset in game.json, and add it to a scene registry in the entry point so scenes can switch with g.game.vars.goToScene(name, param). Works with ranking projects that start from script/_bootstrap.js. All files are written atomically.",
 		{
-			directoryName: z.string().describe("The directory path for the new project (relative or absolute)."),
-			templateType: z.enum(templateEnum).describe(`Template type. Available: ${templateList.join(", ")}`),
-			skipNpmInstall: z.boolean().optional().describe("Skip running 'npm install' (useful for constrained environments)."),
+			directoryName: z.string().describe("Project directory path (relative or absolute)."),
+			name: z.string().describe("Scene name (letters, digits, underscore; e.g., 'title', 'game', 'result')."),
+			assets: z.array(z.string()).optional().describe("Asset ids or paths from game.json to preload in this scene (non-script assets whose files exist)."),
+			nextScene: z.string().optional().describe("Scene to move to when the screen is tapped (adds an example transition)."),
+			initial: z.boolean().optional().describe("Start the game with this scene (replaces the g.game.pushScene(...) call of the entry point's main function; fails if there is not exactly one). TypeScript projects are not supported."),
+			overwrite: z.boolean().optional().describe("Overwrite script/scenes/<name>.js if it already exists."),
 		},
-		async ({ directoryName, templateType, skipNpmInstall }) => {
-			if (!path.isAbsolute(directoryName) && directoryName.includes('..')) {
+		async ({ directoryName, name, assets: requestedAssets, nextScene, initial, overwrite }) => {
+			if (!path.isAbsolute(directoryName) && directoryName.includes("..")) {
 				return { content: [{ type: "text", text: "Error: Invalid directory name. Avoid '..' in relative paths." }], isError: true };
 			}
-
 			const targetPath = path.isAbsolute(directoryName)
 				? path.normalize(directoryName)
 				: path.resolve(process.cwd(), directoryName);
-
-			// ディレクトリチェック
-			if (fs.existsSync(targetPath)) {
-				const files = fs.readdirSync(targetPath);
-				if (files.length > 0) {
-					return { 
-						content: [{ type: "text", text: `Error: Directory '${directoryName}' already exists and is not empty.` }],
-						isError: true 
-					};
+			const gameJsonPath = path.resolve(targetPath, "game.json");
+			if (!fs.existsSync(gameJsonPath)) {
+				return { content: [{ type: "text", text: `Error: game.json not found in '${directoryName}'.` }], isError: true };
+			}
+			for (const sceneName of [name, nextScene].filter((value) => value !== undefined)) {
+				if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(sceneName)) {
+					return { content: [{ type: "text", text: `Error: Invalid scene name '${sceneName}'. Use letters, digits and underscores, starting with a letter.` }], isError: true };
 				}
-			} else {
-				fs.mkdirSync(targetPath, { recursive: true });
 			}
 
 			try {
-				console.error(`[Info] Initializing project in ${directoryName} with template ${templateType}...`);
-				
-				// initコマンドとnpm installを連続実行
-				const initCommand = `cd "${targetPath}" && akashic init --type ${templateType} --force`;
-				await execAsync(initCommand);
+				const rawGameJson = fs.readFileSync(gameJsonPath, "utf-8");
+				const gameJson = JSON.parse(rawGameJson);
+				const assets = gameJson.assets && typeof gameJson.assets === "object" ? gameJson.assets : {};
 
-				if (!skipNpmInstall) {
-					const installCommand = `cd "${targetPath}" && npm install --no-audit --no-fund --progress=false`;
-					await execAsync(installCommand);
+				const entry = findGameEntryPoint(targetPath, gameJson);
+				if (entry.error) {
+					return { content: [{ type: "text", text: entry.error }], isError: true };
 				}
 
-				if (!fs.existsSync(path.resolve(targetPath, "game.json"))) {
+				const sceneRel = `script/scenes/${name}.js`;
+				const sceneExists = fs.existsSync(path.resolve(targetPath, sceneRel));
+				if (sceneExists && !overwrite) {
+					return { content: [{ type: "text", text: `Error: ${sceneRel} already exists. Pass overwrite: true to regenerate it.` }], isError: true };
+				}
+
+				const { assetPaths, problems } = resolveSceneAssetPaths(targetPath, assets, requestedAssets || []);
+				if (problems.length > 0) {
+					const available = Object.entries(assets).filter(([, asset]) => asset && asset.type !== "script").map(([id, asset]) => `${id} (${asset.path})`);
 					return {
-						content: [{ type: "text", text: "Error during initialization: game.json was not created in the project root." }],
-						isError: true,
+						content: [{ type: "text", text: `Error: Some assets cannot be preloaded:\n${problems.map((line) => `- ${line}`).join("\n")}\nAvailable assets: ${available.join(", ") || "(none)"}` }],
+						isError: true
 					};
 				}
 
-				return {
-					content: [{ 
-						type: "text", 
-						text: `Project initialized successfully in '${directoryName}'.\nTemplate: ${templateType}\nDependencies installed: ${skipNpmInstall ? "skipped" : "yes"}.` 
-					}]
-				};
+				// game.json に script アセットとして登録 (同じパスが登録済みならそのまま使う)
+				let assetId = Object.keys(assets).find((id) => assets[id] && typeof assets[id].path === "string" && assets[id].path.replace(/^\.?\//, "") === sceneRel);
+				if (!assetId) {
+					assetId = `scene_${name}`;
+					for (let suffix = 2; assetId in assets; suffix++) assetId = `scene_${name}_${suffix}`;
+					gameJson.assets = { ...assets, [assetId]: { type: "script", path: sceneRel, global: true } };
+				}
 
-			} catch (error) {
-				const message = error && error.message ? error.message : "Unknown error";
-				const stdout = error && error.stdout ? `\nStdout: ${error.stdout}` : "";
-				const stderr = error && error.stderr ? `\nStderr: ${error.stderr}` : "";
-				return {
-					content: [{ type: "text", text: `Error during initialization: ${message}${stdout}${stderr}` }],
-					isError: true,
-				};
+				const entrySource = fs.readFileSync(path.resolve(targetPath, entry.entryPath), "utf-8");
+				let requirePath = path.posix.relative(path.posix.dirname(entry.entryPath), sceneRel).replace(/\.js$/, "");
+				if (!requirePath.startsWith(".")) requirePath = `./${requirePath}`;
+				const wired = wireSceneIntoEntry(entrySource, { name, requirePath, initial });
+				if (wired.error) {
+					return { content: [{ type: "text", text: `${wired.error}\nNo files were changed.` }], isError: true };
+				}
+
+				const operations = [
+					{ op: sceneExists ? "overwrite" : "create", filePath: sceneRel, content: renderSceneModule({ name, assetPaths, nextScene }) },
+					{ op: "overwrite", filePath: entry.entryPath, content: wired.text }
+				];
+				const gameJsonText = `${JSON.stringify(gameJson, null, detectJsonIndent(rawGameJson))}${rawGameJson.endsWith("\n") ? "\n" : ""}`;
+				if (gameJsonText !== rawGameJson) {
+					operations.push({ op: "overwrite", filePath: "game.json", content: gameJsonText });
+				}
+				const plan = planProjectChanges(operations, { directoryName: targetPath });
+				if (plan.error) {
+					return { content: [{ type: "text", text: `${plan.error}\nNo files were changed.` }], isError: true };
+				}
+				const saved = commitProjectChanges(plan.projectRoot, plan.steps, { tool: "add_scene", description: `add scene ${name}` });
+
+				const lines = [
+					`Scene '${name}' added.`,
+					...plan.steps.map((step) => `- ${formatProjectChangeStep(step)}`),
+					`Asset id: ${assetId}`,
+					`assetPaths: ${assetPaths.length > 0 ? assetPaths.join(", ") : "(none)"}`,
+					`Entry point: ${entry.entryPath}${entry.bootstrapShape ? ` (called from _bootstrap.js via ${entry.bootstrapShape})` : ""}`,
+					`Switch scenes with g.game.vars.goToScene(${JSON.stringify(name)}, param).`,
+					...wired.notes
+				];
+				if (nextScene && !wired.text.includes(`"${nextScene}": require(`)) {
+					lines.push(`Note: scene '${nextScene}' is not registered yet; add it with add_scene.`);
+				}
+				return { content: [{ type: "text", text: `${lines.join("\n")}${formatCheckpointNote(saved)}` }] };
+			} catch (err) {
+				return { content: [{ type: "text", text: `Error adding scene: ${err.message}` }], isError: true };
 			}
 		}
 	);
 
 	// ---------------------------------------------------------------
-	// Tool 4: 最小テンプレートで初期化 (init_minimal_template)
+	// Tool 4.2: ランキングモード対応 (enable_ranking_mode)
 	// ---------------------------------------------------------------
 	server.tool(
-		"init_minimal_template",
-		"Initialize a project by copying template/game.json and template/script/main.js.",
+		"enable_ranking_mode",
+		"Analyze an existing JavaScript project and inject nicolive ranking-mode support: supportedModes/totalTimeLimit in game.json, session-parameter handling via script/_bootstrap.js, g.game.vars.gameState.score and a countdown that ends before the time limit (script/ranking.js). Only missing pieces are added; returns a report of what was modified. All files are written atomically.",
 		{
-			directoryName: z.string().describe("The directory path for the new project (relative or absolute)."),
+			directoryName: z.string().describe("Project directory path (relative or absolute)."),
+			totalTimeLimit: z.number().int().min(20).optional().describe("Default total time limit in seconds when not set in game.json or the session (default 80)."),
+			endMarginSeconds: z.number().int().min(0).optional().describe("End the game this many seconds before the time limit (default 10)."),
+			dryRun: z.boolean().optional().describe("Only analyze and report the planned changes without writing."),
 		},
-		async ({ directoryName }) => {
+		async ({ directoryName, totalTimeLimit = 80, endMarginSeconds = 10, dryRun }) => {
 			if (!path.isAbsolute(directoryName) && directoryName.includes("..")) {
 				return { content: [{ type: "text", text: "Error: Invalid directory name. Avoid '..' in relative paths." }], isError: true };
 			}
+			const targetPath = path.isAbsolute(directoryName)
+				? path.normalize(directoryName)
+				: path.resolve(process.cwd(), directoryName);
+			if (!fs.existsSync(path.resolve(targetPath, "game.json"))) {
+				return { content: [{ type: "text", text: `Error: game.json not found in '${directoryName}'.` }], isError: true };
+			}
 
-			const templateRoot = path.resolve(process.cwd(), "template");
-			const templateGameJson = path.resolve(templateRoot, "game.json");
-			const templateMain = path.resolve(templateRoot, "script", "main.js");
-
-			if (!fs.existsSync(templateGameJson) || !fs.existsSync(templateMain)) {
-				return {
-					content: [{ type: "text", text: "Error: template/game.json or template/script/main.js not found." }],
-					isError: true,
-				};
+			try {
+				const ranking = planRankingSupport(targetPath, { totalTimeLimit, endMarginSeconds });
+				if (ranking.error) {
+					return { content: [{ type: "text", text: `${ranking.error}\nNo files were changed.` }], isError: true };
+				}
+				const lines = [];
+				let saved = null;
+				if (ranking.operations.length === 0) {
+					lines.push("Ranking mode is already supported; nothing to change.");
+				} else {
+					const plan = planProjectChanges(ranking.operations, { directoryName: targetPath });
+					if (plan.error) {
+						return { content: [{ type: "text", text: `${plan.error}\nNo files were changed.` }], isError: true };
+					}
+					if (!dryRun) {
+						saved = commitProjectChanges(plan.projectRoot, plan.steps, { tool: "enable_ranking_mode", description: "enable ranking mode" });
+					}
+					lines.push(dryRun ? "Dry run (not written). Planned changes:" : "Ranking mode enabled. Files changed:");
+					lines.push(...plan.steps.map((step) => `- ${formatProjectChangeStep(step)}`));
+				}
+				lines.push("", "[Report]", ...ranking.report.map((line) => line.startsWith("  ") ? line : `- ${line}`));
+				if (ranking.warnings.length > 0) {
+					lines.push("", "[Next steps]", ...ranking.warnings.map((line) => `- ${line}`));
+				}
+				return { content: [{ type: "text", text: `${lines.join("\n")}${formatCheckpointNote(saved)}` }] };
+			} catch (err) {
+				return { content: [{ type: "text", text: `Error enabling ranking mode: ${err.message}` }], isError: true };
 			}
+		}
+	);
 
+	// ---------------------------------------------------------------
+	// Tool 4.3: マルチプレイの土台 (scaffold_multiplayer)
+	// ---------------------------------------------------------------
+	server.tool(
+		"scaffold_multiplayer",
+		"Scaffold multiplayer plumbing into an existing JavaScript project: join/leave handling (g.game.onJoin/onLeave/onPlayerInfo), message sending via g.game.raiseEvent and dispatch from scene.onMessage with a typed message registry (script/messages.js), per-player state keyed by player.id (script/multiplayer.js), and supportedModes: [\"multi\"] in game.json. setupMultiplayer is called at the top of the entry main function. Running it again adds new message types to script/messages.js. All files are written atomically.",
+		{
+			directoryName: z.string().describe("Project directory path (relative or absolute)."),
+			messages: z.array(z.object({
+				type: z.string().regex(/^[A-Za-z_][A-Za-z0-9_]*$/).describe("Message type name (e.g., 'tap')."),
+				fields: z.record(z.enum(MULTIPLAYER_FIELD_TYPES)).describe("Payload fields and their types (e.g., { x: 'number', y: 'number' })."),
+			})).optional().describe("Message types to register (default: tap with { x: number, y: number } when messages.js is created). When messages.js already exists, only types it does not define yet are added."),
+			dryRun: z.boolean().optional().describe("Only analyze and report the planned changes without writing."),
+		},
+		async ({ directoryName, messages, dryRun }) => {
+			if (!path.isAbsolute(directoryName) && directoryName.includes("..")) {
+				return { content: [{ type: "text", text: "Error: Invalid directory name. Avoid '..' in relative paths." }], isError: true };
+			}
 			const targetPath = path.isAbsolute(directoryName)
 				? path.normalize(directoryName)
 				: path.resolve(process.cwd(), directoryName);
-
-			if (fs.existsSync(targetPath)) {
-				const files = fs.readdirSync(targetPath);
-				if (files.length > 0) {
-					return {
-						content: [{ type: "text", text: `Error: Directory '${directoryName}' already exists and is not empty.` }],
-						isError: true,
-					};
-				}
-			} else {
-				fs.mkdirSync(targetPath, { recursive: true });
+			if (!fs.existsSync(path.resolve(targetPath, "game.json"))) {
+				return { content: [{ type: "text", text: `Error: game.json not found in '${directoryName}'.` }], isError: true };
+			}
+			const duplicateType = (messages || []).map((message) => message.type).find((type, index, types) => types.indexOf(type) !== index);
+			if ((messages && messages.length === 0) || duplicateType) {
+				return { content: [{ type: "text", text: messages.length === 0 ? "Error: At least one message type is required." : `Error: Duplicate message type '${duplicateType}'.` }], isError: true };
 			}
 
 			try {
-				const scriptDir = path.resolve(targetPath, "script");
-				fs.mkdirSync(scriptDir, { recursive: true });
-				fs.copyFileSync(templateGameJson, path.resolve(targetPath, "game.json"));
-				fs.copyFileSync(templateMain, path.resolve(scriptDir, "main.js"));
-
-				if (!fs.existsSync(path.resolve(targetPath, "game.json"))) {
-					return {
-						content: [{ type: "text", text: "Error during template initialization: game.json was not created in the project root." }],
-						isError: true,
-					};
+				const multiplayer = planMultiplayerScaffold(targetPath, { messages });
+				if (multiplayer.error) {
+					return { content: [{ type: "text", text: `${multiplayer.error}\nNo files were changed.` }], isError: true };
 				}
-
-				return {
-					content: [{
-						type: "text",
-						text: `Project initialized from template in '${directoryName}'.`
-					}]
-				};
-			} catch (error) {
-				const message = error && error.message ? error.message : "Unknown error";
-				return {
-					content: [{ type: "text", text: `Error during template initialization: ${message}` }],
-					isError: true,
-				};
+				const lines = [];
+				let saved = null;
+				if (multiplayer.operations.length === 0) {
+					lines.push("Multiplayer plumbing is already in place; nothing to change.");
+				} else {
+					const plan = planProjectChanges(multiplayer.operations, { directoryName: targetPath });
+					if (plan.error) {
+						return { content: [{ type: "text", text: `${plan.error}\nNo files were changed.` }], isError: true };
+					}
+					if (!dryRun) {
+						saved = commitProjectChanges(plan.projectRoot, plan.steps, { tool: "scaffold_multiplayer", description: "scaffold multiplayer" });
+					}
+					lines.push(dryRun ? "Dry run (not written). Planned changes:" : `${multiplayer.alreadySetUp ? "Multiplayer plumbing updated" : "Multiplayer plumbing added"}. Files changed:`);
+					lines.push(...plan.steps.map((step) => `- ${formatProjectChangeStep(step)}`));
+				}
+				lines.push("", "[Report]", ...multiplayer.report.map((line) => `- ${line}`));
+				if (multiplayer.warnings.length > 0) {
+					lines.push("", "[Next steps]", ...multiplayer.warnings.map((line) => `- ${line}`));
+				}
+				return { content: [{ type: "text", text: `${lines.join("\n")}${formatCheckpointNote(saved)}` }] };
+			} catch (err) {
+				return { content: [{ type: "text", text: `Error scaffolding multiplayer: ${err.message}` }], isError: true };
 			}
 		}
 	);
@@ -540,11 +4831,13 @@ async function createMcpServer() {
 	// ---------------------------------------------------------------
 	server.tool(
 		"akashic_scan_asset",
-		"Run 'akashic scan asset' in the specified project directory.",
+		"Scan image/, audio/, script/ and text/ in the project and update the assets in game.json (equivalent to 'akashic scan asset' without the akashic CLI). Image sizes and audio durations are read from the files, audio variants (.ogg/.m4a/.aac) are merged into one extension-less entry, existing IDs and flags such as global and systemId are preserved, and entries whose files are gone are removed. Returns a diff of game.json. Set useCli to run 'akashic scan asset' instead.",
 		{
 			directoryName: z.string().describe("Project directory path (relative or absolute)."),
+			useCli: z.boolean().optional().describe("Run 'akashic scan asset' with the akashic CLI instead of the built-in scanner."),
+			dryRun: z.boolean().optional().describe("Built-in scanner only: show the diff without writing game.json."),
 		},
-		async ({ directoryName }) => {
+		async ({ directoryName, useCli, dryRun }) => {
 			if (!path.isAbsolute(directoryName) && directoryName.includes("..")) {
 				return { content: [{ type: "text", text: "Error: Invalid directory name. Avoid '..' in relative paths." }], isError: true };
 			}
@@ -557,6 +4850,48 @@ async function createMcpServer() {
 				return { content: [{ type: "text", text: `Error: Directory '${directoryName}' not found.` }], isError: true };
 			}
 
+			if (!useCli) {
+				const gameJsonPath = path.resolve(targetPath, "game.json");
+				if (!fs.existsSync(gameJsonPath)) {
+					return { content: [{ type: "text", text: `Error: game.json not found in '${directoryName}'.` }], isError: true };
+				}
+				try {
+					const rawGameJson = fs.readFileSync(gameJsonPath, "utf-8");
+					const gameJson = JSON.parse(rawGameJson);
+					const scan = scanProjectAssets(targetPath, gameJson);
+					const gameJsonText = `${JSON.stringify(gameJson, null, detectJsonIndent(rawGameJson))}${rawGameJson.endsWith("\n") ? "\n" : ""}`;
+					const diff = createUnifiedDiff(rawGameJson, gameJsonText, { oldLabel: "a/game.json", newLabel: "b/game.json" });
+					let saved = null;
+					if (diff && !dryRun) {
+						const plan = planProjectChanges([{ op: "overwrite", filePath: "game.json", content: gameJsonText }], { directoryName: targetPath });
+						if (plan.error) {
+							return { content: [{ type: "text", text: `${plan.error}\nNo files were changed.` }], isError: true };
+						}
+						saved = commitProjectChanges(plan.projectRoot, plan.steps, { tool: "akashic_scan_asset", description: "scan assets" });
+					}
+					const lines = [
+						`Scanned ${SCAN_ASSET_DIRS.map((dir) => `${dir}/`).join(", ")} (built-in scanner).`,
+						`Added: ${scan.added.length}, Updated: ${scan.updated.length}, Removed: ${scan.removed.length}`
+					];
+					const section = (label, items) => {
+						if (items.length > 0) lines.push("", `[${label}]`, ...items.map((item) => `- ${item}`));
+					};
+					section("Added", scan.added);
+					section("Updated", scan.updated);
+					section("Removed", scan.removed);
+					section("Warnings", scan.warnings);
+					if (diff) {
+						lines.push("", dryRun ? "Dry run (game.json not written). Diff:" : "game.json updated. Diff:", diff.replace(/\n$/, ""));
+					} else {
+						lines.push("", "game.json assets are up to date.");
+					}
+					return { content: [{ type: "text", text: `${lines.join("\n")}${formatCheckpointNote(saved)}` }] };
+				} catch (error) {
+					const message = error && error.message ? error.message : "Unknown error";
+					return { content: [{ type: "text", text: `Error during asset scan: ${message}` }], isError: true };
+				}
+			}
+
 			try {
 				const command = `cd "${targetPath}" && akashic scan asset`;
 				const { stdout, stderr } = await execAsync(command);
@@ -633,7 +4968,7 @@ async function createMcpServer() {
 	// ---------------------------------------------------------------
 	server.tool(
 		"import_local_assets",
-		"Import local image/audio assets into the project.",
+		"Import local image/audio assets into the project. PNG/JPEG headers are parsed to verify the format and read width/height, and imported images are registered in game.json (existing asset IDs are kept; new IDs are derived from the file name). Warns on textures larger than 2048px. All assets are validated before any file is copied.",
 		{
 			directoryName: z.string().describe("Project directory path (relative or absolute)."),
 			assets: z.array(z.object({
@@ -734,11 +5069,9 @@ async function createMcpServer() {
 
 			const imageDir = path.resolve(targetPath, "image");
 			const audioDir = path.resolve(targetPath, "audio");
-			fs.mkdirSync(imageDir, { recursive: true });
-			fs.mkdirSync(audioDir, { recursive: true });
 
-			const creditLines = [];
-			const importedFiles = [];
+			// 1. 全アセットを検証する (1 つでも問題があれば、何もコピーせずにエラーを返す)
+			const copies = [];
 			for (let index = 0; index < assets.length; index++) {
 				const asset = assets[index];
 				const rawLocalPath = asset.localPath;
@@ -763,43 +5096,48 @@ async function createMcpServer() {
 					return { content: [{ type: "text", text: "Error: Unsupported audio format." }], isError: true };
 				}
 
+				const baseDir = asset.targetDir && asset.targetDir.trim()
+					? path.resolve(targetPath, asset.targetDir.trim())
+					: asset.type === "image" ? imageDir : audioDir;
+				if (!baseDir.startsWith(targetPath)) {
+					return { content: [{ type: "text", text: "Error: targetDir must be inside the project directory." }], isError: true };
+				}
+
+				let image = null;
 				if (asset.type === "image") {
-					const baseDir = asset.targetDir && asset.targetDir.trim()
-						? path.resolve(targetPath, asset.targetDir.trim())
-						: imageDir;
-					if (!baseDir.startsWith(targetPath)) {
-						return { content: [{ type: "text", text: "Error: targetDir must be inside the project directory." }], isError: true };
-					}
-					fs.mkdirSync(baseDir, { recursive: true });
-					const outPath = path.resolve(baseDir, fileName);
-					try {
-						fs.copyFileSync(resolvedLocalPath, outPath);
-						importedFiles.push(outPath);
-					} catch (error) {
-						const message = error && error.message ? error.message : "Unknown error";
-						return { content: [{ type: "text", text: `Error copying ${rawLocalPath}: ${message}` }], isError: true };
-					}
-				} else {
-					const baseDir = asset.targetDir && asset.targetDir.trim()
-						? path.resolve(targetPath, asset.targetDir.trim())
-						: audioDir;
-					if (!baseDir.startsWith(targetPath)) {
-						return { content: [{ type: "text", text: "Error: targetDir must be inside the project directory." }], isError: true };
-					}
-					fs.mkdirSync(baseDir, { recursive: true });
-					try {
-						const outPath = path.resolve(baseDir, fileName);
-						fs.copyFileSync(resolvedLocalPath, outPath);
-						importedFiles.push(outPath);
-					} catch (error) {
-						const message = error && error.message ? error.message : "Unknown error";
-						return { content: [{ type: "text", text: `Error copying ${rawLocalPath}: ${message}` }], isError: true };
+					// 拡張子だけでなくヘッダーを読んで形式とサイズを確かめる
+					image = inspectImageFile(fs.readFileSync(resolvedLocalPath), fileName);
+					if (image.error) {
+						return { content: [{ type: "text", text: `Error: ${rawLocalPath} is not a valid image: ${image.error}\nNo files were copied.` }], isError: true };
 					}
 				}
 
 				const credit = asset.credit;
 				if (!credit) {
-					return { content: [{ type: "text", text: `Error: Credit is required for ${rawLocalPath}` }], isError: true };
+					return { content: [{ type: "text", text: `Error: Credit is required for ${rawLocalPath}\nNo files were copied.` }], isError: true };
+				}
+				copies.push({ rawLocalPath, resolvedLocalPath, baseDir, outPath: path.resolve(baseDir, fileName), image, credit });
+			}
+
+			// 2. コピーする。途中でエラーになっても、それまでに書き込んだファイルは戻せるようにする
+			const creditLines = [];
+			const importedFiles = [];
+			const importedImages = [];
+			const checkpoint = beginCheckpoint(resolveHistoryRoot(targetPath), "import_local_assets", `import ${assets.length} assets`);
+			const withCheckpoint = (result) => {
+				checkpoint.commit();
+				return result;
+			};
+			for (const { rawLocalPath, resolvedLocalPath, baseDir, outPath, image, credit } of copies) {
+				try {
+					fs.mkdirSync(baseDir, { recursive: true });
+					checkpoint.track(outPath);
+					fs.copyFileSync(resolvedLocalPath, outPath);
+					importedFiles.push(outPath);
+					if (image) importedImages.push({ outPath, image });
+				} catch (error) {
+					const message = error && error.message ? error.message : "Unknown error";
+					return withCheckpoint({ content: [{ type: "text", text: `Error copying ${rawLocalPath}: ${message}` }], isError: true });
 				}
 				creditLines.push(`- ${credit.title} / ${credit.author} / ${credit.sourceUrl} / ${credit.license}`);
 			}
@@ -808,6 +5146,7 @@ async function createMcpServer() {
 				const readmePath = path.resolve(targetPath, "README.md");
 				const section = ["", "## Credits", ...creditLines, ""].join("\n");
 				try {
+					checkpoint.track(readmePath);
 					if (fs.existsSync(readmePath)) {
 						fs.appendFileSync(readmePath, `${section}\n`);
 					} else {
@@ -815,13 +5154,46 @@ async function createMcpServer() {
 					}
 				} catch (error) {
 					const message = error && error.message ? error.message : "Unknown error";
-					return { content: [{ type: "text", text: `Error writing README credits: ${message}` }], isError: true };
+					return withCheckpoint({ content: [{ type: "text", text: `Error writing README credits: ${message}` }], isError: true });
 				}
 			}
 
-	return {
-		content: [{ type: "text", text: `Imported ${importedFiles.length} assets.` }]
-	};
+			// 画像は akashic scan asset を使わずに game.json へ直接登録する
+			const imageLines = [];
+			if (importedImages.length > 0) {
+				const projectRoot = resolveHistoryRoot(targetPath);
+				const gameJsonPath = path.resolve(projectRoot, "game.json");
+				if (!fs.existsSync(gameJsonPath)) {
+					imageLines.push("game.json not found; images were copied but not registered.");
+				} else {
+					try {
+						const rawGameJson = fs.readFileSync(gameJsonPath, "utf-8");
+						const gameJson = JSON.parse(rawGameJson);
+						for (const { outPath, image } of importedImages) {
+							const assetPath = toAssetPath(projectRoot, outPath);
+							const { id, status } = registerImageAsset(gameJson, assetPath, image);
+							imageLines.push(`- ${assetPath}: ${image.format.toUpperCase()} ${image.width}x${image.height}, asset ID "${id}" (${status})`);
+							imageLines.push(...image.warnings.map((warning) => `  Warning: ${warning}`));
+						}
+						const gameJsonText = `${JSON.stringify(gameJson, null, detectJsonIndent(rawGameJson))}${rawGameJson.endsWith("\n") ? "\n" : ""}`;
+						if (gameJsonText !== rawGameJson) {
+							checkpoint.track(gameJsonPath);
+							fs.writeFileSync(gameJsonPath, gameJsonText);
+						}
+					} catch (error) {
+						const message = error && error.message ? error.message : "Unknown error";
+						return withCheckpoint({ content: [{ type: "text", text: `Error registering images in game.json: ${message}` }], isError: true });
+					}
+				}
+			}
+
+			const saved = checkpoint.commit();
+			const lines = [`Imported ${importedFiles.length} assets.`];
+			if (imageLines.length > 0) lines.push("", "[Images]", ...imageLines);
+			if (importedImages.length < importedFiles.length) lines.push("", "Audio files are not registered in game.json; run akashic_scan_asset to add them.");
+			return {
+				content: [{ type: "text", text: `${lines.join("\n")}${formatCheckpointNote(saved)}` }]
+			};
 }
 );
 
@@ -868,6 +5240,12 @@ async function createMcpServer() {
 				logLines.push(`Conversion targets: ${candidates.join(", ") || "(none)"}`);
 				console.error(`[info] Conversion targets: ${candidates.join(", ") || "(none)"}`);
 
+				// 変換で上書き・削除されうる既存ファイルを保存し、新しくできたファイルは後で「存在しなかった」として記録する
+				const checkpoint = beginCheckpoint(resolveHistoryRoot(targetPath), "run_complete_audio", `convert audio in ${directoryName}`);
+				for (const file of beforeFiles) {
+					checkpoint.track(path.resolve(targetPath, file));
+				}
+
 				for (const file of candidates) {
 					const filePath = path.resolve(targetPath, file);
 					const command = fs.existsSync(localBin)
@@ -900,6 +5278,12 @@ async function createMcpServer() {
 				}
 
 				logLines.push(`Cleanup: kept=${keptCount}, removed=${removedCount}`);
+				for (const file of fs.readdirSync(targetPath)) {
+					const filePath = path.resolve(targetPath, file);
+					if (!beforeFiles.includes(file) && fs.statSync(filePath).isFile()) checkpoint.track(filePath, { existed: false });
+				}
+				const saved = checkpoint.commit();
+				if (saved) logLines.push(formatCheckpointNote(saved).trim());
 
 				return {
 					content: [{ type: "text", text: logLines.join("\n") }]
@@ -1343,7 +5727,7 @@ async function createMcpServer() {
 	// ---------------------------------------------------------------
 	server.tool(
 		"read_project_files",
-		"Read text files from a project directory (skips images/audio/binary).",
+		"Read text files from a project directory (skips images/audio/binary). Each file includes a content hash to pass as expectedHash to create_game_file/edit_game_file/apply_project_changes.",
 		{
 			directoryName: z.string().describe("Project directory path (relative or absolute)."),
 			maxBytes: z.number().int().min(1).optional().describe("Maximum bytes per file (default: 200000)."),
@@ -1391,15 +5775,18 @@ async function createMcpServer() {
 				const ext = path.extname(relPath).toLowerCase();
 				if (skipExt.has(ext)) return;
 				const data = fs.readFileSync(fullPath);
+				// hash は書き込み系ツールの expectedHash にそのまま渡せる
+				const hash = hashBuffer(data);
 				if (data.length > options.maxBytes) {
 					files.push({
 						path: relPath,
 						content: "",
+						hash,
 						truncated: true
 					});
 					return;
 				}
-				files.push({ path: relPath, content: data.toString("utf-8") });
+				files.push({ path: relPath, content: data.toString("utf-8"), hash });
 			};
 
 			const walk = (dir, baseRel) => {
@@ -1495,9 +5882,12 @@ async function createMcpServer() {
 
 			try {
 				const readmePath = path.resolve(targetPath, "README.md");
+				const checkpoint = beginCheckpoint(resolveHistoryRoot(targetPath), "write_project_readme", "write README.md");
+				checkpoint.track(readmePath);
 				fs.writeFileSync(readmePath, `${lines.join("\n")}\n`);
+				const saved = checkpoint.commit();
 				return {
-					content: [{ type: "text", text: "README.md written successfully." }]
+					content: [{ type: "text", text: `README.md written successfully.${formatCheckpointNote(saved)}` }]
 				};
 			} catch (error) {
 				const message = error && error.message ? error.message : "Unknown error";
@@ -1557,102 +5947,10 @@ async function createMcpServer() {
 				return { content: [{ type: "text", text: `Error: Failed to parse game.json: ${message}` }], isError: true };
 			}
 
-			const requiredFields = ["width", "height", "fps", "main", "assets"];
-			for (const key of requiredFields) {
-				if (!(key in gameJson)) {
-					errors.push(`Missing required game.json field: ${key}`);
-				}
-			}
-
-			if (typeof gameJson.width !== "number" || gameJson.width <= 0) {
-				errors.push("Invalid width: must be a positive number.");
-			}
-			if (typeof gameJson.height !== "number" || gameJson.height <= 0) {
-				errors.push("Invalid height: must be a positive number.");
-			}
-			if (typeof gameJson.fps !== "number" || gameJson.fps <= 0) {
-				errors.push("Invalid fps: must be a positive number.");
-			}
-			if (typeof gameJson.main !== "string" || !gameJson.main.startsWith("./")) {
-				warnings.push("main should be a relative path starting with './'.");
-			}
-
-			const environment = gameJson.environment && typeof gameJson.environment === "object" ? gameJson.environment : null;
-			const nicolive = environment && environment.nicolive && typeof environment.nicolive === "object" ? environment.nicolive : null;
-			const supportedModes = nicolive && Array.isArray(nicolive.supportedModes) ? nicolive.supportedModes : null;
-
-			if (!environment) {
-				warnings.push("environment is missing.");
-			}
-			if (!nicolive) {
-				warnings.push("environment.nicolive is missing.");
-			}
-			if (!supportedModes || supportedModes.length === 0) {
-				warnings.push("environment.nicolive.supportedModes is missing or empty.");
-			} else {
-				infos.push(`supportedModes: ${supportedModes.join(", ")}`);
-				if (expectedMode && !supportedModes.includes(expectedMode)) {
-					errors.push(`expectedMode '${expectedMode}' is not included in supportedModes.`);
-				}
-			}
-
-			const rankingMode = (supportedModes && supportedModes.includes("ranking")) || expectedMode === "ranking";
-			if (rankingMode) {
-				const psp = nicolive && nicolive.preferredSessionParameters;
-				const ttl = psp && psp.totalTimeLimit;
-				if (typeof ttl !== "number" || ttl <= 0) {
-					warnings.push("ranking mode: preferredSessionParameters.totalTimeLimit is missing or invalid.");
-				}
-			}
-
-			const assets = gameJson.assets && typeof gameJson.assets === "object" ? gameJson.assets : null;
-			if (!assets) {
-				errors.push("assets is missing or invalid.");
-			} else {
-				const knownTypes = new Set(["image", "audio", "script", "text", "vector-image"]);
-				for (const [assetId, asset] of Object.entries(assets)) {
-					if (!asset || typeof asset !== "object") {
-						errors.push(`assets.${assetId} is not an object.`);
-						continue;
-					}
-					if (typeof asset.type !== "string") {
-						errors.push(`assets.${assetId}.type is missing.`);
-						continue;
-					}
-					if (!knownTypes.has(asset.type)) {
-						warnings.push(`assets.${assetId}.type '${asset.type}' is not in common known types.`);
-					}
-					if (typeof asset.path !== "string" || asset.path.length === 0) {
-						errors.push(`assets.${assetId}.path is missing.`);
-						continue;
-					}
-
-					const normalizedAssetPath = asset.path.startsWith("./") ? asset.path.slice(2) : asset.path;
-					const resolvedAssetPath = path.resolve(targetPath, normalizedAssetPath);
-					if (!resolvedAssetPath.startsWith(targetPath)) {
-						errors.push(`assets.${assetId}.path points outside project: ${asset.path}`);
-						continue;
-					}
-
-					if (asset.type === "audio") {
-						if (asset.systemId && !["sound", "music"].includes(asset.systemId)) {
-							warnings.push(`assets.${assetId}.systemId '${asset.systemId}' is unusual (common: sound/music).`);
-						}
-						const audioCandidates = [".ogg", ".m4a", ".aac"]
-							.map((ext) => `${resolvedAssetPath}${ext}`);
-						const audioExists = audioCandidates.some((filePath) => fs.existsSync(filePath));
-						if (!audioExists) {
-							warnings.push(`Audio source not found for assets.${assetId} (checked extension candidates from '${asset.path}').`);
-						}
-					} else if (!fs.existsSync(resolvedAssetPath)) {
-						errors.push(`Asset file not found: assets.${assetId}.path='${asset.path}'`);
-					}
-
-					if (asset.type === "script" && asset.global !== true) {
-						errors.push(`assets.${assetId} is script but global is not true.`);
-					}
-				}
-			}
+			const validation = validateGameJson(targetPath, gameJson, { expectedMode });
+			errors.push(...validation.errors);
+			warnings.push(...validation.warnings);
+			infos.push(...validation.infos);
 
 			const lines = [];
 			lines.push("Niconama compliance report");
@@ -1762,7 +6060,7 @@ ${genreInfo}
 							text: `あなたは**ニコ生ゲーム**の実装担当者です。以下のガイドラインに従ってください。
 ${genreInfo}
 
-${apiSummaryIndexForPrompt}
+${docState.apiSummaryIndex}
 
 ## 開発ガイドライン
 1. **まず調査**：実装に必要な最新の API 仕様（例：音声再生、当たり判定、乱数など）と、ニコ生ゲーム側の要件を確認するために、search_akashic_docs を使用すること。
@@ -1773,7 +6071,9 @@ ${apiSummaryIndexForPrompt}
      * マルチプレイ：javascript-multi
      * それ以外：javascript
    * プロジェクトが TypeScript の場合は skipNpmInstall を false、それ以外は true にする。
-   * init_project が失敗した場合は、代わりに init_minimal_template を実行する。
+   * akashic CLI が使えない環境では、init_project は自動的に template/ のローカルテンプレートで初期化する。結果の「Missing / limited」に書かれた制限 (未インストールの依存関係など) を確認すること。
+   * ローカルテンプレートを直接使う場合は init_local_template を実行する (akashic CLI やネットワークが不要)。
+     * template はゲーム形式に合わせて選ぶ (ランキング：ranking、マルチプレイ：multi、TypeScript：typescript、それ以外：minimal)。使えるテンプレートとパラメーターは list_local_templates で確認できる。
 4. **仕様／ルール／演出の定義**：ゲームの仕様・ルール・見せ方（演出）を要約する。未指定なら提案する。
    * **二段階生成**：Phase 1 では最小限の動くゲーム（MVP）のみ実装し、演出や追加機能は Phase 2 で明示的に依頼された場合のみ追加する。
    * 既存プロジェクトで生成履歴がない場合は、read_project_files を使ってソースコードや README から仕様を推測する。
@@ -1783,7 +6083,7 @@ ${apiSummaryIndexForPrompt}
      * audio：音声
      * text：テキスト
      * game.json
-   * 素材の入手元が指定されている場合は、import_local_assets を使ってプロジェクト内に配置する。
+   * 素材の入手元が指定されている場合は、import_local_assets を使ってプロジェクト内に配置する。画像は game.json に幅・高さ付きで登録されるので、画像のために akashic_scan_asset を実行する必要はない。
      * 新規プロジェクトの場合、画像は image ディレクトリ、音声は audio ディレクトリに配置する。
      * 既存プロジェクトの場合、game.json やディレクトリ構造を見て配置場所を推測すること
        * 画像や音声の配置場所がないときは、image ディレクトリや audioディレクトリを新規作成してそこに配置する
@@ -1792,6 +6092,12 @@ ${apiSummaryIndexForPrompt}
 5. **実装**：コードを書く際は create_game_file を使用する。
    * create_game_file の directoryName は必ず targetDir と同じ値を指定する。
    * create_game_file の filePath は project ルートからの相対パスだけを使う。
+   * 既存ファイルの一部だけを直す場合は、全文を書き直さずに edit_game_file (search/replace または unified diff) を使う。directoryName / filePath の規則は create_game_file と同じ。
+   * read_project_files で読んだファイルを書き換えるときは、返された hash を expectedHash に渡す。他の編集と衝突した場合は書き込まれずに現在の内容/差分が返るので、読み直してから変更し直す。
+   * 既存のゲームをランキング対応にする場合は enable_ranking_mode を使う (game.json の supportedModes/totalTimeLimit、セッションパラメーターの受け取り、g.game.vars.gameState.score、制限時間のカウントダウンを足りない分だけ追加する)。結果の「Next steps」に従ってスコア加算と終了処理をつなぐこと。
+   * マルチプレイのゲームでは scaffold_multiplayer で参加/離脱・メッセージの型定義 (script/messages.js)・プレイヤーごとの状態 (player.id がキー) を用意し、操作は multiplayer.send でメッセージとして全員に送り、状態の変更は messages.js の handle の中で行うこと。
+   * タイトル・ゲーム・リザルトなどのシーンは add_scene で追加する (script/scenes/<name>.js の生成、game.json への登録、エントリーポイントへの登録をまとめて行う)。シーンの切り替えは g.game.vars.goToScene("シーン名", param) を使う。
+   * シーン追加のように複数ファイル (新規スクリプト・main.js・game.json など) をまとめて変更する場合は apply_project_changes を使い、途中で失敗してもプロジェクトが中途半端な状態にならないようにする。
    * game.json を扱う場合、filePath は必ず game.json にする。subdir/game.json のようなネストは禁止。
    * ロジックは main.ts または main.js に実装する。
      * main.ts / main.js が 500 行を超える場合は、クラスや関数を別ファイルに分割する。
@@ -1804,6 +6110,7 @@ ${apiSummaryIndexForPrompt}
      * [読み込んだアセットを取得する | Akashic Engine](https://akashic-games.github.io/reverse-reference/v3/asset/get-asset.html )
    * ランキングゲームの場合は、[ランキングゲーム | Akashic Engine](https://akashic-games.github.io/shin-ichiba/ranking/）の要件に従う。
    * 変更した JavaScript ファイルに関しては check_js_syntax で構文エラーがないか確認すること。エラーが見つかった場合は修正すること。
+     * create_game_file / edit_game_file に rejectOnNewErrors: true を指定すると、書き込み時に構文チェック (game.json の場合はスキーマとアセット存在チェック) が行われ、新たなエラーを生む変更は書き込まれない。
    * API や要件の確認が必要なら適宜 search_akashic_docs を使う。
    * 明示的に必要と言われない限り game.json を変更しない。
 6. **game.json の更新**：アセット(画像・音声・スクリプト・テキスト)の新規追加・削除時のみ(画像や音声の場合は変更時も含む)、 akashic_scan_asset を使う。
@@ -1888,6 +6195,85 @@ ${apiSummaryIndexForPrompt}
 		}
 	);
 
+	// ---------------------------------------------------------------
+	// Resource: Akashic ドキュメント (akashic-doc://{source}/{path})
+	// ---------------------------------------------------------------
+	server.resource(
+		"akashic_doc",
+		new ResourceTemplate("akashic-doc://{source}/{+path}", {
+			list: async () => ({
+				resources: [...docState.resourceMap.entries()].map(([key, doc]) => {
+					const resourcePath = key.slice(doc.source.length + 1);
+					return {
+						uri: buildDocResourceUri(doc.source, resourcePath),
+						name: doc.title || resourcePath,
+						description: `[${doc.source}] ${doc.url || resourcePath}`,
+						mimeType: doc.source === "official-docs" ? "text/markdown" : guessMimeType(resourcePath)
+					};
+				})
+			}),
+			complete: {
+				source: (value) => [...new Set(docState.docs.map((doc) => doc.source))].filter((source) => source.startsWith(value)),
+				path: (value) => [...docState.resourceMap.keys()]
+					.map((key) => key.slice(key.indexOf("/") + 1))
+					.filter((resourcePath) => resourcePath.startsWith(value))
+					.slice(0, 100)
+			}
+		}),
+		{
+			description: "Akashic docs and akashic-engine repository files preloaded by this server (same data as search_akashic_docs).",
+		},
+		async (uri, { source, path: resourcePath }) => {
+			const key = `${decodeURIComponent(String(source))}/${decodeURIComponent(String(resourcePath))}`;
+			const doc = docState.resourceMap.get(key);
+			if (!doc) {
+				throw new Error(`Document resource not found: ${uri.href}`);
+			}
+			return {
+				contents: [{
+					uri: uri.href,
+					mimeType: doc.source === "official-docs" ? "text/markdown" : guessMimeType(key),
+					text: doc.content || ""
+				}]
+			};
+		}
+	);
+
+	// ---------------------------------------------------------------
+	// Resource: プロジェクトファイル (akashic-project://{path})
+	// ---------------------------------------------------------------
+	server.resource(
+		"akashic_project",
+		new ResourceTemplate("akashic-project://{+path}", {
+			list: async () => {
+				const projectRoot = getProjectResourceRoot();
+				return {
+					resources: listProjectResourceFiles(projectRoot).map((relPath) => ({
+						uri: `akashic-project://${relPath}`,
+						name: relPath,
+						description: `Project file in ${projectRoot}`,
+						mimeType: guessMimeType(relPath)
+					}))
+				};
+			}
+		}),
+		{
+			description: "game.json and script files of the current Akashic project (AKASHIC_PROJECT_DIR or the server working directory).",
+		},
+		async (uri, { path: resourcePath }) => {
+			const projectRoot = getProjectResourceRoot();
+			const relPath = decodeURIComponent(String(resourcePath));
+			const { mimeType, text } = readProjectResourceFile(projectRoot, relPath);
+			return {
+				contents: [{
+					uri: uri.href,
+					mimeType,
+					text
+				}]
+			};
+		}
+	);
+
 	return server;
 }
 
@@ -1964,6 +6350,7 @@ function sendJson(res, statusCode, payload) {
 
 async function main() {
 	warmupPlaywrightChromiumInBackground();
+	startDocsWatcher();
 
 	const port = Number(process.env.PORT || 8080);
 	const basePath = "/mcp";
@@ -1974,6 +6361,8 @@ async function main() {
 	const callPath = `${proxyBasePath}/call`;
 	const promptsPath = `${proxyBasePath}/prompts`;
 	const promptPath = `${proxyBasePath}/prompt`;
+	const resourcesPath = `${proxyBasePath}/resources`;
+	const resourcePath = `${proxyBasePath}/resource`;
 	const baseUrl = `http://localhost:${port}`;
 
 	const httpServer = http.createServer(async (req, res) => {
@@ -2054,6 +6443,26 @@ async function main() {
 				return sendJson(res, 200, prompt);
 			}
 
+			if (req.method === "GET" && pathname === resourcesPath) {
+				const client = await getProxyClient(baseUrl);
+				const resources = await client.listResources();
+				const templates = await client.listResourceTemplates();
+				return sendJson(res, 200, { ...resources, resourceTemplates: templates.resourceTemplates });
+			}
+
+			if (req.method === "POST" && pathname === resourcePath) {
+				const body = await readJsonBody(req);
+				if (body === undefined) {
+					return sendJson(res, 400, { error: "Invalid JSON body." });
+				}
+				if (!body || typeof body.uri !== "string") {
+					return sendJson(res, 400, { error: "Missing resource uri." });
+				}
+				const client = await getProxyClient(baseUrl);
+				const resource = await client.readResource({ uri: body.uri });
+				return sendJson(res, 200, resource);
+			}
+
 			if (req.method === "POST" && pathname === callPath) {
 				const body = await readJsonBody(req);
 				if (body === undefined) {
@@ -2084,12 +6493,61 @@ async function main() {
 		console.error(`Proxy tools endpoint: ${toolsPath}`);
 		console.error(`Proxy prompts endpoint: ${promptsPath}`);
 		console.error(`Proxy prompt endpoint: ${promptPath}`);
+		console.error(`Proxy resources endpoint: ${resourcesPath}`);
+		console.error(`Proxy resource endpoint: ${resourcePath}`);
 		console.error(`Proxy call endpoint: ${callPath}`);
 	});
 }
 
+// テストから関数を読み込んだときはサーバーを起動しない
+function isEntryPoint() {
+	try {
+		return fs.realpathSync(process.argv[1]) === fs.realpathSync(fileURLToPath(import.meta.url));
+	} catch {
+		return false;
+	}
+}
+
 // エラーハンドリング付きで実行
-main().catch((error) => {
-	console.error("Fatal error in main():", error);
-	process.exit(1);
-});
+if (isEntryPoint()) {
+	main().catch((error) => {
+		console.error("Fatal error in main():", error);
+		process.exit(1);
+	});
+}
+
+// テスト用 (test/*.test.mjs)
+export {
+	listProjectResourceFiles,
+	readProjectResourceFile,
+	tokenizeForSearch,
+	buildSearchIndex,
+	searchIndex,
+	findHighlightRanges,
+	buildHitExcerpt,
+	diffLines,
+	createUnifiedDiff,
+	parseUnifiedDiff,
+	applyUnifiedDiff,
+	applySearchReplaceEdits,
+	beginCheckpoint,
+	findCheckpoint,
+	diffCheckpointEntry,
+	restoreCheckpointEntry,
+	planProjectChanges,
+	commitProjectChanges,
+	checkExpectedHash,
+	checkScriptSyntax,
+	findGameEntryPoint,
+	renderSceneModule,
+	wireSceneIntoEntry,
+	planRankingSupport,
+	renderMultiplayerModule,
+	planMultiplayerScaffold,
+	readImageInfo,
+	inspectImageFile,
+	resolveAssetId,
+	upsertAsset,
+	readAudioDuration,
+	scanProjectAssets
+};
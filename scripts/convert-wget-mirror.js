@@ -2,17 +2,12 @@
 const fs = require("fs");
 const path = require("path");
 const cheerio = require("cheerio");
-const TurndownService = require("turndown");
+const { htmlToDoc, postprocessDocs, formatQualityReport } = require("./doc-postprocess");
 
 const MIRROR_DIR = process.env.WGET_MIRROR_DIR || "data/wget_mirror";
 const OUTPUT_FILE = process.env.OUTPUT_FILE || "data/akashic_docs.json";
 const BASE_URL = process.env.BASE_URL || "https://akashic-games.github.io/";
 
-const turndownService = new TurndownService({
-  headingStyle: "atx",
-  codeBlockStyle: "fenced"
-});
-
 function listHtmlFiles(dirPath) {
   const results = [];
   const entries = fs.readdirSync(dirPath, { withFileTypes: true });
@@ -39,17 +34,7 @@ function buildUrlFromFile(filePath, rootDir) {
 
 function extractDoc(filePath, rootDir) {
   const html = fs.readFileSync(filePath, "utf-8");
-  const $ = cheerio.load(html);
-  $("nav, footer, script, style, noscript, iframe, .site-header, .site-footer").remove();
-  const title = $("title").text().trim();
-  const htmlContent = $("body").html();
-  if (!htmlContent) return null;
-  const markdown = turndownService.turndown(htmlContent);
-  return {
-    url: buildUrlFromFile(filePath, rootDir),
-    title,
-    content: markdown
-  };
+  return htmlToDoc(cheerio.load(html), buildUrlFromFile(filePath, rootDir));
 }
 
 function main() {
@@ -65,9 +50,11 @@ function main() {
     if (doc) docs.push(doc);
   }
 
+  const { docs: cleanedDocs, report } = postprocessDocs(docs);
+  console.log(formatQualityReport(report));
   fs.mkdirSync(path.dirname(OUTPUT_FILE), { recursive: true });
-  fs.writeFileSync(OUTPUT_FILE, JSON.stringify(docs, null, 2), "utf-8");
-  console.log(`Saved ${docs.length} pages to ${OUTPUT_FILE}`);
+  fs.writeFileSync(OUTPUT_FILE, JSON.stringify(cleanedDocs, null, 2), "utf-8");
+  console.log(`Saved ${cleanedDocs.length} pages to ${OUTPUT_FILE}`);
 }
 
 main();
@@ -0,0 +1,211 @@
+// scripts/doc-postprocess.js
+// fetch-doc.js と convert-wget-mirror.js で共通の HTML → Markdown 変換と、
+// 収集したドキュメント全体の後処理 (URL 正規化・重複除去・定型ブロック除去・品質レポート)
+const crypto = require("crypto");
+const TurndownService = require("turndown");
+
+const REMOVE_SELECTORS = "nav, footer, script, style, noscript, iframe, .site-header, .site-footer";
+// サイト全体で共通の <title> (ページ固有の情報を含まない) とみなす値
+const GENERIC_TITLES = new Set(["", "akashic engine", "akashic games", "akashic-games", "index", "untitled"]);
+// 全ページのこの割合以上 (かつ MIN_BOILERPLATE_PAGES ページ以上) に現れるブロックを定型文として除去する
+const BOILERPLATE_RATIO = 0.5;
+const MIN_BOILERPLATE_PAGES = 3;
+// 同じ <title> がこのページ数以上で使われていれば、h1 の見出しをタイトルにする
+const MIN_SHARED_TITLE_PAGES = 3;
+const MIN_CONTENT_CHARS = 20;
+const SHORT_CONTENT_CHARS = 200;
+const HEADING_PATTERN = /^#{1,6}\s/;
+
+const turndownService = new TurndownService({
+  headingStyle: "atx",
+  codeBlockStyle: "fenced"
+});
+
+function hashContent(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+// 同じページを指す URL (index.html の有無、フラグメント、ホスト名の大文字小文字など) を 1 つにまとめる
+function canonicalizeDocUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = "";
+    parsed.hostname = parsed.hostname.toLowerCase();
+    parsed.pathname = parsed.pathname.replace(/\/{2,}/g, "/").replace(/\/index\.html?$/i, "/");
+    return parsed.href;
+  } catch {
+    return url;
+  }
+}
+
+function isGenericTitle(title) {
+  return GENERIC_TITLES.has(String(title || "").trim().toLowerCase());
+}
+
+// cheerio で読み込んだページから { url, title, content } を作る
+// <title> が汎用的な場合は最初の h1 をタイトルにする
+function htmlToDoc($, url) {
+  $(REMOVE_SELECTORS).remove();
+  const pageTitle = $("title").text().trim();
+  const h1 = $("h1").first().text().trim();
+  const htmlContent = $("body").html();
+  if (!htmlContent) return null;
+  return {
+    url: canonicalizeDocUrl(url),
+    title: isGenericTitle(pageTitle) && h1 ? h1 : pageTitle,
+    content: turndownService.turndown(htmlContent)
+  };
+}
+
+// 空行区切りのブロックに分ける (コードブロックは途中で分割しない)
+function splitBlocks(content) {
+  const blocks = [];
+  let current = [];
+  let inFence = false;
+  for (const line of String(content).split("\n")) {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    if (!inFence && !line.trim()) {
+      if (current.length > 0) blocks.push(current.join("\n"));
+      current = [];
+      continue;
+    }
+    current.push(line);
+  }
+  if (current.length > 0) blocks.push(current.join("\n"));
+  return blocks;
+}
+
+function firstMarkdownHeading(content) {
+  const match = /^#\s+(.+?)\s*#*\s*$/m.exec(String(content));
+  return match ? match[1].trim() : "";
+}
+
+function countVisibleChars(content) {
+  return String(content).replace(/\s+/g, "").length;
+}
+
+function postprocessDocs(inputDocs) {
+  const report = {
+    inputCount: inputDocs.length,
+    urlsCanonicalized: 0,
+    duplicateUrls: [],
+    duplicateContents: [],
+    boilerplateBlocks: [],
+    titlesFromHeading: [],
+    emptyPages: [],
+    shortPages: [],
+    untitledPages: [],
+    outputCount: 0
+  };
+
+  // 1. URL を正規化し、同じ URL のページは本文の長い方を残す
+  const byUrl = new Map();
+  const originalUrls = new Map();
+  for (const doc of inputDocs) {
+    if (!doc || !doc.url) continue;
+    const url = canonicalizeDocUrl(doc.url);
+    if (url !== doc.url) report.urlsCanonicalized++;
+    const normalized = { url, title: String(doc.title || "").trim(), content: String(doc.content || "") };
+    const existing = byUrl.get(url);
+    if (existing) {
+      report.duplicateUrls.push({ duplicate: doc.url, original: originalUrls.get(url) });
+      if (normalized.content.length > existing.content.length) byUrl.set(url, normalized);
+      continue;
+    }
+    byUrl.set(url, normalized);
+    originalUrls.set(url, doc.url);
+  }
+  let docs = [...byUrl.values()].sort((a, b) => a.url.localeCompare(b.url));
+
+  // 2. 多くのページに繰り返し現れるブロック (ナビゲーション等の残り) を除去する
+  if (docs.length >= MIN_BOILERPLATE_PAGES) {
+    const blockPageCounts = new Map();
+    for (const doc of docs) {
+      for (const block of new Set(splitBlocks(doc.content).map((item) => item.trim()))) {
+        blockPageCounts.set(block, (blockPageCounts.get(block) || 0) + 1);
+      }
+    }
+    const threshold = Math.max(MIN_BOILERPLATE_PAGES, Math.ceil(docs.length * BOILERPLATE_RATIO));
+    const boilerplate = new Set();
+    for (const [block, count] of blockPageCounts) {
+      // コードブロックと見出しは共通でも残す (見出しを消すとセクション分割とアンカーが壊れる)
+      if (count >= threshold && !/^\s*(```|~~~)/.test(block) && !HEADING_PATTERN.test(block)) {
+        boilerplate.add(block);
+        report.boilerplateBlocks.push({ block, pages: count });
+      }
+    }
+    if (boilerplate.size > 0) {
+      docs = docs.map((doc) => ({
+        ...doc,
+        content: splitBlocks(doc.content).filter((block) => !boilerplate.has(block.trim())).join("\n\n")
+      }));
+    }
+    report.boilerplateBlocks.sort((a, b) => b.pages - a.pages);
+  }
+
+  // 3. 多くのページで共通の <title> は、本文の最初の h1 見出しで置き換える
+  const titleCounts = new Map();
+  for (const doc of docs) titleCounts.set(doc.title, (titleCounts.get(doc.title) || 0) + 1);
+  docs = docs.map((doc) => {
+    if (!isGenericTitle(doc.title) && titleCounts.get(doc.title) < MIN_SHARED_TITLE_PAGES) return doc;
+    const heading = firstMarkdownHeading(doc.content);
+    if (!heading || heading === doc.title) return doc;
+    report.titlesFromHeading.push({ url: doc.url, from: doc.title, to: heading });
+    return { ...doc, title: heading };
+  });
+
+  // 4. 本文が空のページを除き、同じ本文のページは URL の短い方を残す
+  const byHash = new Map();
+  const output = [];
+  const byUrlLength = [...docs].sort((a, b) => (a.url.length - b.url.length) || a.url.localeCompare(b.url));
+  for (const doc of byUrlLength) {
+    const chars = countVisibleChars(doc.content);
+    if (chars < MIN_CONTENT_CHARS) {
+      report.emptyPages.push(doc.url);
+      continue;
+    }
+    const hash = hashContent(doc.content.trim());
+    const kept = byHash.get(hash);
+    if (kept) {
+      report.duplicateContents.push({ url: doc.url, duplicateOf: kept.url });
+      continue;
+    }
+    byHash.set(hash, doc);
+    output.push(doc);
+    if (chars < SHORT_CONTENT_CHARS) report.shortPages.push(doc.url);
+    if (!doc.title) report.untitledPages.push(doc.url);
+  }
+
+  output.sort((a, b) => a.url.localeCompare(b.url));
+  report.outputCount = output.length;
+  return { docs: output, report };
+}
+
+function formatQualityReport(report, maxItems = 10) {
+  const lines = [
+    "=== Dataset quality report ===",
+    `Pages: ${report.inputCount} -> ${report.outputCount}`,
+    `Canonicalized URLs: ${report.urlsCanonicalized}`
+  ];
+  const section = (label, items, format) => {
+    lines.push(`${label}: ${items.length}`);
+    for (const item of items.slice(0, maxItems)) lines.push(`  - ${format(item)}`);
+    if (items.length > maxItems) lines.push(`  - ... and ${items.length - maxItems} more`);
+  };
+  section("Duplicate URLs merged", report.duplicateUrls, (item) => `${item.duplicate} (same page as ${item.original})`);
+  section("Duplicate contents dropped", report.duplicateContents, (item) => `${item.url} (same as ${item.duplicateOf})`);
+  section("Boilerplate blocks stripped", report.boilerplateBlocks, (item) => `[${item.pages} pages] ${item.block.replace(/\s+/g, " ").slice(0, 80)}`);
+  section("Titles taken from h1", report.titlesFromHeading, (item) => `${item.url}: "${item.from}" -> "${item.to}"`);
+  section("Empty pages dropped", report.emptyPages, (url) => url);
+  section(`Short pages (< ${SHORT_CONTENT_CHARS} chars)`, report.shortPages, (url) => url);
+  section("Pages without title", report.untitledPages, (url) => url);
+  return lines.join("\n");
+}
+
+module.exports = {
+  canonicalizeDocUrl,
+  hashContent,
+  htmlToDoc,
+  postprocessDocs,
+  formatQualityReport
+};
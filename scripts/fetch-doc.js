@@ -1,30 +1,35 @@
 // scripts/fetch-doc.js
 const axios = require("axios");
 const cheerio = require("cheerio");
-const TurndownService = require("turndown");
 const fs = require("fs");
 const path = require("path");
 const { exec } = require("child_process");
 const util = require("util");
 const zlib = require("zlib");
+const { canonicalizeDocUrl, hashContent, htmlToDoc, postprocessDocs, formatQualityReport } = require("./doc-postprocess");
 
-const BASE_URL = "https://akashic-games.github.io/";
+// DOCS_BASE_URL にローカルの HTTP サーバーを指定すればフィクスチャのサイトでも動作を確認できる
+const BASE_URL = new URL(process.env.DOCS_BASE_URL || "https://akashic-games.github.io/").href;
 const SITEMAP_URL = `${BASE_URL}sitemap.xml`;
 const SEED_URLS = [BASE_URL];
-const OUTPUT_FILE = "data/akashic_docs.json";
-const DELAY_MS = 500;
+const OUTPUT_FILE = process.env.DOCS_OUTPUT_FILE || "data/akashic_docs.json";
+const DELAY_MS = Number(process.env.CRAWL_DELAY_MS ?? 500);
 const USE_WGET = process.env.USE_WGET === "1";
 const WGET_MIRROR_DIR = process.env.WGET_MIRROR_DIR || "data/wget_mirror";
+// クロール状態 (訪問済み URL・キュー・各ページの ETag/Last-Modified/ハッシュ) と変更履歴の保存先
+// data/ 直下の *.json はサーバーがドキュメントとして読み込むため、サブディレクトリに置く
+const STATE_DIR = process.env.CRAWL_STATE_DIR || "data/crawl-state";
+const STATE_FILE = path.join(STATE_DIR, `${path.basename(OUTPUT_FILE, ".json")}.state.json`);
+// 後処理 (重複除去・定型文除去) 前のページ。差分の判定と再開にはこちらを使う
+const RAW_PAGES_FILE = path.join(STATE_DIR, `${path.basename(OUTPUT_FILE, ".json")}.pages.json`);
+const CHANGELOG_FILE = path.join(STATE_DIR, `${path.basename(OUTPUT_FILE, ".json")}.changelog.jsonl`);
+const CHECKPOINT_INTERVAL = 10;
+// CRAWL_FULL=1 で保存済みの状態を使わずに全ページを取得し直す
+const FULL_CRAWL = process.env.CRAWL_FULL === "1";
+const USER_AGENT = "AkashicMCP-Bot/1.0";
 
 const execAsync = util.promisify(exec);
 
-const turndownService = new TurndownService({
-  headingStyle: "atx",
-  codeBlockStyle: "fenced"
-});
-
-const visited = new Set();
-const queue = [...SEED_URLS];
 const docs = [];
 
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
@@ -34,8 +39,7 @@ function normalizeUrl(link, currentUrl) {
     if (!link || link.startsWith("mailto:") || link.startsWith("javascript:")) {
       return null;
     }
-    const absoluteUrl = new URL(link, currentUrl).href;
-    return absoluteUrl.split("#")[0];
+    return canonicalizeDocUrl(new URL(link, currentUrl).href);
   } catch {
     return null;
   }
@@ -67,7 +71,7 @@ function buildUrlFromFile(filePath, rootDir) {
 
 async function fetchSitemapXml(url) {
   const response = await axios.get(url, {
-    headers: { "User-Agent": "AkashicMCP-Bot/1.0" },
+    headers: { "User-Agent": USER_AGENT },
     responseType: "arraybuffer"
   });
   const contentType = response.headers["content-type"] || "";
@@ -124,7 +128,7 @@ async function crawlWithWget() {
     "--convert-links",
     "--no-parent",
     "--domains",
-    "akashic-games.github.io",
+    new URL(BASE_URL).hostname,
     "--no-host-directories",
     "--directory-prefix",
     `"${mirrorDir}"`,
@@ -139,42 +143,137 @@ async function crawlWithWget() {
 
   for (const filePath of htmlFiles) {
     const html = fs.readFileSync(filePath, "utf-8");
-    const $ = cheerio.load(html);
-    $("nav, footer, script, style, noscript, iframe, .site-header, .site-footer").remove();
-
-    const title = $("title").text().trim();
-    const htmlContent = $("body").html();
-    if (!htmlContent) continue;
-
-    const markdown = turndownService.turndown(htmlContent);
-    docs.push({
-      url: buildUrlFromFile(filePath, mirrorDir),
-      title,
-      content: markdown
-    });
+    const doc = htmlToDoc(cheerio.load(html), buildUrlFromFile(filePath, mirrorDir));
+    if (doc) docs.push(doc);
   }
 
-  console.log(`\nCompleted! Saving ${docs.length} pages to ${OUTPUT_FILE}...`);
+  const { docs: cleanedDocs, report } = postprocessDocs(docs);
+  console.log(formatQualityReport(report));
+  console.log(`\nCompleted! Saving ${cleanedDocs.length} pages to ${OUTPUT_FILE}...`);
   fs.mkdirSync(path.dirname(OUTPUT_FILE), { recursive: true });
-  fs.writeFileSync(OUTPUT_FILE, JSON.stringify(docs, null, 2), "utf-8");
+  fs.writeFileSync(OUTPUT_FILE, JSON.stringify(cleanedDocs, null, 2), "utf-8");
   console.log("Done.");
 }
 
+// 途中で中断されても壊れたファイルが残らないよう、一時ファイルに書いてから置き換える
+function writeJsonAtomic(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), "utf-8");
+  fs.renameSync(tmpPath, filePath);
+}
+
+function readJsonFile(filePath, fallback) {
+  try {
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, "utf-8")) : fallback;
+  } catch (error) {
+    console.error(`Failed to read ${filePath}: ${error.message}`);
+    return fallback;
+  }
+}
+
+function createRunState() {
+  return {
+    startedAt: new Date().toISOString(),
+    visited: [],
+    queue: [...SEED_URLS],
+    seen: [],
+    added: [],
+    updated: [],
+    unchanged: 0,
+    failed: []
+  };
+}
+
+// pages には前回までに取得したページのメタデータ、run には実行中のクロールの進捗を保存する
+// run が残っていれば前回のクロールは中断されているので、そこから再開する
+function loadCrawlState() {
+  const state = FULL_CRAWL ? null : readJsonFile(STATE_FILE, null);
+  if (!state || state.baseUrl !== BASE_URL) {
+    return { baseUrl: BASE_URL, pages: {}, run: null };
+  }
+  return { baseUrl: BASE_URL, pages: state.pages || {}, run: state.run || null };
+}
+
+// 後処理前のページが無ければ (旧バージョンで取得した場合など) 出力ファイルを前回の結果として使う
+// 別の BASE_URL で取得したページは前回の結果とみなさない (全ページが "Removed" と報告されないように)
+function loadPreviousDocs() {
+  const saved = readJsonFile(RAW_PAGES_FILE, null);
+  if (saved && !Array.isArray(saved)) {
+    return new Map(saved.baseUrl === BASE_URL && Array.isArray(saved.pages) ? saved.pages.map((doc) => [doc.url, doc]) : []);
+  }
+  const previous = saved || readJsonFile(OUTPUT_FILE, []);
+  return new Map((Array.isArray(previous) ? previous : [])
+    .filter((doc) => doc && typeof doc.url === "string" && doc.url.startsWith(BASE_URL))
+    .map((doc) => [doc.url, doc]));
+}
+
+function extractPage(html, currentUrl) {
+  const $ = cheerio.load(html);
+  const links = [];
+  $("a").each((_, element) => {
+    const nextUrl = normalizeUrl($(element).attr("href"), currentUrl);
+    if (nextUrl && nextUrl.startsWith(BASE_URL)) {
+      links.push(nextUrl);
+    }
+  });
+  const doc = htmlToDoc($, currentUrl);
+  return { title: doc ? doc.title : "", content: doc ? doc.content : null, links: [...new Set(links)] };
+}
+
+async function fetchPage(url, previousPage) {
+  const headers = { "User-Agent": USER_AGENT };
+  if (previousPage && previousPage.etag) headers["If-None-Match"] = previousPage.etag;
+  if (previousPage && previousPage.lastModified) headers["If-Modified-Since"] = previousPage.lastModified;
+  return axios.get(url, {
+    headers,
+    responseType: "text",
+    validateStatus: (status) => (status >= 200 && status < 300) || status === 304
+  });
+}
+
+function saveCheckpoint(state, docsByUrl) {
+  const pages = [...docsByUrl.values()].sort((a, b) => a.url.localeCompare(b.url));
+  writeJsonAtomic(RAW_PAGES_FILE, { baseUrl: BASE_URL, pages });
+  writeJsonAtomic(STATE_FILE, state);
+}
+
 async function crawl() {
   if (USE_WGET) {
     await crawlWithWget();
     return;
   }
 
-  const sitemapSeeds = await loadSitemapSeeds();
-  for (const seed of sitemapSeeds) {
-    if (!visited.has(seed)) {
-      queue.push(seed);
-    }
+  const state = loadCrawlState();
+  const docsByUrl = loadPreviousDocs();
+  const previousUrls = new Set(docsByUrl.keys());
+  const resumed = Boolean(state.run);
+  if (!state.run) {
+    state.run = createRunState();
+    const sitemapSeeds = await loadSitemapSeeds();
+    state.run.queue.push(...sitemapSeeds);
+    console.log(`Crawler started. Seed count: ${SEED_URLS.length + sitemapSeeds.length}`);
+  } else {
+    console.log(`Resuming crawl started at ${state.run.startedAt}. Visited: ${state.run.visited.length}, Queue: ${state.run.queue.length}`);
   }
-  console.log(`Crawler started. Seed count: ${SEED_URLS.length + sitemapSeeds.length}`);
 
-  while (queue.length > 0) {
+  const run = state.run;
+  const visited = new Set(run.visited);
+  const seen = new Set(run.seen);
+  const queue = run.queue;
+  const syncRunState = () => {
+    run.visited = [...visited];
+    run.seen = [...seen];
+  };
+
+  let interrupted = false;
+  process.once("SIGINT", () => {
+    interrupted = true;
+    console.log("\nInterrupted. Saving crawl state (run again to resume)...");
+  });
+
+  let processed = 0;
+  while (queue.length > 0 && !interrupted) {
     const currentUrl = queue.shift();
     if (!currentUrl || visited.has(currentUrl)) continue;
     visited.add(currentUrl);
@@ -182,47 +281,110 @@ async function crawl() {
     if (!currentUrl.startsWith(BASE_URL)) continue;
     if (currentUrl.match(/\.(png|jpg|jpeg|gif|zip|pdf)$/i)) continue;
 
+    const previousPage = state.pages[currentUrl];
     try {
       console.log(`Fetching: ${currentUrl} (Queue: ${queue.length})`);
-      const response = await axios.get(currentUrl, {
-        headers: { "User-Agent": "AkashicMCP-Bot/1.0" }
-      });
-
-      const contentType = response.headers["content-type"];
-      if (!contentType || !contentType.includes("text/html")) continue;
-
-      const $ = cheerio.load(response.data);
-      $("nav, footer, script, style, noscript, iframe, .site-header, .site-footer").remove();
-
-      const title = $("title").text().trim();
-      const htmlContent = $("body").html();
+      let response = await fetchPage(currentUrl, previousPage);
+      if (response.status === 304 && !docsByUrl.has(currentUrl)) {
+        // 手元に前回の内容が無い (pages.json を消した場合など) ので、条件なしで取り直す
+        response = await fetchPage(currentUrl, null);
+      }
 
-      if (htmlContent) {
-        const markdown = turndownService.turndown(htmlContent);
-        docs.push({
-          url: currentUrl,
-          title,
-          content: markdown
-        });
+      // HTML 以外は取り込まずにリンクなしで扱い、ループ末尾のチェックポイントと待ち時間は必ず通す
+      let links = [];
+      const contentType = response.headers["content-type"] || "";
+      if (response.status === 304 && docsByUrl.has(currentUrl)) {
+        // 更新されていないページは前回の内容とリンクをそのまま使う
+        links = (previousPage && previousPage.links) || [];
+        seen.add(currentUrl);
+        run.unchanged++;
+      } else if (response.status !== 304 && contentType.includes("text/html")) {
+        const page = extractPage(response.data, currentUrl);
+        links = page.links;
+        if (page.content) {
+          const hash = hashContent(page.content);
+          const previousDoc = docsByUrl.get(currentUrl);
+          if (!previousUrls.has(currentUrl)) {
+            run.added.push(currentUrl);
+          } else if (!previousDoc || hashContent(previousDoc.content || "") !== hash) {
+            run.updated.push(currentUrl);
+          } else {
+            run.unchanged++;
+          }
+          docsByUrl.set(currentUrl, { url: currentUrl, title: page.title, content: page.content });
+          seen.add(currentUrl);
+          state.pages[currentUrl] = {
+            etag: response.headers["etag"] || null,
+            lastModified: response.headers["last-modified"] || null,
+            hash,
+            links,
+            fetchedAt: new Date().toISOString()
+          };
+        }
       }
 
-      $("a").each((_, element) => {
-        const href = $(element).attr("href");
-        const nextUrl = normalizeUrl(href, currentUrl);
-        if (nextUrl && !visited.has(nextUrl) && nextUrl.startsWith(BASE_URL)) {
+      for (const nextUrl of links) {
+        if (!visited.has(nextUrl)) {
           queue.push(nextUrl);
         }
-      });
-
-      await sleep(DELAY_MS);
+      }
     } catch (error) {
       console.error(`Error fetching ${currentUrl}: ${error.message}`);
+      // 一時的なエラーで既存のページを消さないよう、404/410 以外は前回の内容を残す
+      const status = error.response && error.response.status;
+      if (status !== 404 && status !== 410 && docsByUrl.has(currentUrl)) {
+        seen.add(currentUrl);
+        for (const nextUrl of (previousPage && previousPage.links) || []) {
+          if (!visited.has(nextUrl)) queue.push(nextUrl);
+        }
+      }
+      run.failed.push({ url: currentUrl, status: status || null, message: error.message });
+    }
+
+    processed++;
+    if (processed % CHECKPOINT_INTERVAL === 0) {
+      syncRunState();
+      saveCheckpoint(state, docsByUrl);
     }
+    await sleep(DELAY_MS);
   }
 
-  console.log(`\nCompleted! Saving ${docs.length} pages to ${OUTPUT_FILE}...`);
-  fs.mkdirSync(path.dirname(OUTPUT_FILE), { recursive: true });
-  fs.writeFileSync(OUTPUT_FILE, JSON.stringify(docs, null, 2), "utf-8");
+  syncRunState();
+  if (interrupted) {
+    saveCheckpoint(state, docsByUrl);
+    process.exit(130);
+  }
+
+  // 今回のクロールで到達できなかったページは削除されたものとみなす
+  const removed = [...docsByUrl.keys()].filter((url) => !seen.has(url));
+  for (const url of removed) {
+    docsByUrl.delete(url);
+    delete state.pages[url];
+  }
+
+  const entry = {
+    startedAt: run.startedAt,
+    finishedAt: new Date().toISOString(),
+    resumed,
+    baseUrl: BASE_URL,
+    added: run.added,
+    updated: run.updated,
+    removed,
+    unchanged: run.unchanged,
+    failed: run.failed
+  };
+  state.run = null;
+  state.lastRun = { startedAt: entry.startedAt, finishedAt: entry.finishedAt };
+
+  saveCheckpoint(state, docsByUrl);
+  const { docs: cleanedDocs, report } = postprocessDocs([...docsByUrl.values()]);
+  console.log(formatQualityReport(report));
+  console.log(`\nCompleted! Saving ${cleanedDocs.length} pages to ${OUTPUT_FILE}...`);
+  writeJsonAtomic(OUTPUT_FILE, cleanedDocs);
+  fs.mkdirSync(path.dirname(CHANGELOG_FILE), { recursive: true });
+  fs.appendFileSync(CHANGELOG_FILE, `${JSON.stringify(entry)}\n`, "utf-8");
+  console.log(`Added: ${entry.added.length}, Updated: ${entry.updated.length}, Removed: ${entry.removed.length}, Unchanged: ${entry.unchanged}, Failed: ${entry.failed.length}`);
+  console.log(`Changelog appended to ${CHANGELOG_FILE}`);
   console.log("Done.");
 }
 
@@ -3,11 +3,19 @@
 
 const fs = require("node:fs");
 const path = require("node:path");
+const AdmZip = require("adm-zip");
 
 /**
  * Usage:
  *   node repo_to_json.cjs --repo-dir ./REPO-main --out ./repo_for_llm.json \
  *     --base-url https://github.com/OWNER/REPO --branch main
+ *
+ *   # GitHub の "Download ZIP" をそのまま読み込む (先頭の REPO-main/ は取り除かれる)
+ *   node repo_to_json.cjs --zip ./REPO-main.zip --out ./repo_for_llm.json \
+ *     --include "src/**,README.md" --exclude "src/__tests__/**"
+ *
+ *   # マニフェストに書いた複数のリポジトリをまとめて変換する (リポジトリごとに 1 ファイル出力)
+ *   node repo_to_json.cjs --manifest ./scripts/repos.example.json
  */
 
 const DEFAULT_EXCLUDE_DIRS = new Set([
@@ -61,6 +69,14 @@ function looksBinary(buffer) {
   return (weird / Math.max(1, n)) > 0.02;
 }
 
+function decodeTextIfOk(buf) {
+  if (looksBinary(buf)) return null;
+
+  // UTF-8 decode (invalid bytes are replaced)
+  // Buffer#toString('utf8') is fine here.
+  return buf.toString("utf8");
+}
+
 async function readTextIfOk(filePath, maxBytes) {
   let st;
   try {
@@ -77,11 +93,7 @@ async function readTextIfOk(filePath, maxBytes) {
   } catch {
     return null;
   }
-  if (looksBinary(buf)) return null;
-
-  // UTF-8 decode (invalid bytes are replaced)
-  // Buffer#toString('utf8') is fine here.
-  return buf.toString("utf8");
+  return decodeTextIfOk(buf);
 }
 
 async function walkFiles(rootDir, extraExcludeDirs) {
@@ -111,50 +123,212 @@ async function walkFiles(rootDir, extraExcludeDirs) {
   return files;
 }
 
-async function main() {
-  const args = parseArgs(process.argv);
-
-  const repoDir = args["repo-dir"];
-  if (!repoDir) {
-    console.error("ERROR: --repo-dir is required");
-    process.exit(1);
+// "src/**/*.ts" のような glob を正規表現に変換する (**, *, ?, {a,b} に対応)
+function globToRegExp(glob) {
+  let re = "";
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === "*") {
+      if (glob[i + 1] === "*") {
+        // "**/" は 0 個以上のディレクトリ、末尾の "**" は残り全て
+        if (glob[i + 2] === "/") {
+          re += "(?:.*/)?";
+          i += 2;
+        } else {
+          re += ".*";
+          i += 1;
+        }
+      } else {
+        re += "[^/]*";
+      }
+    } else if (c === "?") {
+      re += "[^/]";
+    } else if (c === "{") {
+      const end = glob.indexOf("}", i);
+      if (end < 0) {
+        re += "\\{";
+        continue;
+      }
+      re += `(?:${glob.slice(i + 1, end).split(",").map((part) => globToRegExp(part).source.slice(1, -1)).join("|")})`;
+      i = end;
+    } else {
+      re += c.replace(/[.+^$()|[\]\\]/g, "\\$&");
+    }
   }
+  return new RegExp(`^${re}$`);
+}
+
+function toGlobList(value) {
+  if (!value) return [];
+  // {a,b} の中のカンマでは分割しない
+  const list = Array.isArray(value) ? value : String(value).split(/,(?![^{]*\})/);
+  return list.map((s) => String(s).trim()).filter(Boolean);
+}
 
-  const outPath = args["out"] || "repo.json";
-  const baseUrl = args["base-url"] || "";
-  const branch = args["branch"] || "";
-  const maxFileBytes = Number(args["max-file-bytes"] || 800_000);
+// include が空なら全ファイルを対象にし、exclude に一致したものを除く
+function createPathFilter(includeGlobs, excludeGlobs) {
+  const includes = toGlobList(includeGlobs).map(globToRegExp);
+  const excludes = toGlobList(excludeGlobs).map(globToRegExp);
+  return (relPosix) => (includes.length === 0 || includes.some((re) => re.test(relPosix)))
+    && !excludes.some((re) => re.test(relPosix));
+}
 
-  const extraExcludeDirs = new Set(
-    String(args["exclude-dirs"] || "")
-      .split(",")
-      .map((s) => s.trim())
-      .filter(Boolean)
-  );
+function isExcludedPath(relPosix, extraExcludeDirs) {
+  const parts = relPosix.split("/");
+  if (DEFAULT_EXCLUDE_FILES.has(parts[parts.length - 1])) return true;
+  return parts.slice(0, -1).some((dir) => DEFAULT_EXCLUDE_DIRS.has(dir) || extraExcludeDirs.has(dir));
+}
 
+async function collectDirItems(repoDir, options) {
   const absRepoDir = path.resolve(repoDir);
-  const files = await walkFiles(absRepoDir, extraExcludeDirs);
+  const files = await walkFiles(absRepoDir, options.extraExcludeDirs);
 
   const items = [];
   for (const file of files) {
-    const baseName = path.basename(file);
-    if (DEFAULT_EXCLUDE_FILES.has(baseName)) continue;
-
     const rel = path.relative(absRepoDir, file);
     const relPosix = rel.split(path.sep).join("/");
+    if (isExcludedPath(relPosix, options.extraExcludeDirs)) continue;
+    if (!options.filter(relPosix)) continue;
+
+    const content = await readTextIfOk(file, options.maxFileBytes);
+    if (content == null) continue;
+
+    items.push({
+      url: buildUrl(options.baseUrl, options.branch, relPosix),
+      title: relPosix,
+      content,
+    });
+  }
+  return items;
+}
+
+// GitHub の ZIP は全体が "REPO-branch/" の下に入っているので、共通の先頭ディレクトリを取り除く
+function detectZipRoot(entryNames) {
+  const firstParts = new Set(entryNames.map((name) => name.split("/")[0]));
+  if (firstParts.size !== 1) return "";
+  const root = [...firstParts][0];
+  return entryNames.every((name) => name.startsWith(`${root}/`)) ? `${root}/` : "";
+}
+
+function collectZipItems(zipPath, options) {
+  if (!fs.existsSync(zipPath)) {
+    throw new Error(`zip not found: ${zipPath}`);
+  }
+  const zip = new AdmZip(path.resolve(zipPath));
+  const entries = zip.getEntries().filter((entry) => !entry.isDirectory);
+  const root = options.stripRoot === false ? "" : detectZipRoot(entries.map((entry) => entry.entryName));
 
-    const content = await readTextIfOk(file, maxFileBytes);
+  const items = [];
+  for (const entry of entries) {
+    const relPosix = entry.entryName.slice(root.length);
+    if (!relPosix) continue;
+    if (isExcludedPath(relPosix, options.extraExcludeDirs)) continue;
+    if (!options.filter(relPosix)) continue;
+    if (entry.header.size > options.maxFileBytes) continue;
+
+    const content = decodeTextIfOk(entry.getData());
     if (content == null) continue;
 
     items.push({
-      url: buildUrl(baseUrl, branch, relPosix),
+      url: buildUrl(options.baseUrl, options.branch, relPosix),
       title: relPosix,
       content,
     });
   }
+  return items.sort((a, b) => a.title.localeCompare(b.title));
+}
+
+async function convertRepo(spec) {
+  const options = {
+    baseUrl: spec.baseUrl || "",
+    branch: spec.branch || "",
+    maxFileBytes: Number(spec.maxFileBytes || 800_000),
+    extraExcludeDirs: new Set(toGlobList(spec.excludeDirs)),
+    filter: createPathFilter(spec.include, spec.exclude),
+    stripRoot: spec.stripRoot,
+  };
+
+  let items;
+  if (spec.zip) {
+    items = collectZipItems(spec.zip, options);
+  } else if (spec.repoDir) {
+    items = await collectDirItems(spec.repoDir, options);
+  } else {
+    throw new Error(`${spec.name || spec.out}: either "zip" or "repoDir" is required (--zip / --repo-dir on the command line)`);
+  }
+
+  await fs.promises.mkdir(path.dirname(path.resolve(spec.out)), { recursive: true });
+  await fs.promises.writeFile(spec.out, JSON.stringify(items, null, 2), "utf8");
+  console.log(`Wrote ${items.length} items to: ${spec.out}`);
+  return items.length;
+}
+
+// マニフェスト内の相対パスはマニフェストファイルのあるディレクトリを基準にする
+function loadManifestSpecs(manifestPath, onlyNames) {
+  const absManifest = path.resolve(manifestPath);
+  const baseDir = path.dirname(absManifest);
+  const manifest = JSON.parse(fs.readFileSync(absManifest, "utf8"));
+  const repos = Array.isArray(manifest) ? manifest : manifest.repos;
+  if (!Array.isArray(repos)) {
+    throw new Error(`${manifestPath}: "repos" must be an array`);
+  }
+  const outDir = path.resolve(baseDir, manifest.outDir || ".");
+  const resolve = (p) => (p ? path.resolve(baseDir, p) : "");
+
+  return repos
+    .filter((repo) => onlyNames.size === 0 || onlyNames.has(repo.name))
+    .map((repo) => {
+      if (!repo.name) throw new Error(`${manifestPath}: every repo needs a "name"`);
+      return {
+        ...repo,
+        zip: resolve(repo.zip),
+        // "dir" は以前のマニフェストとの互換用
+        repoDir: resolve(repo.repoDir || repo.dir),
+        out: path.resolve(outDir, repo.out || `${repo.name}.json`),
+      };
+    });
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+
+  if (args["manifest"]) {
+    const onlyNames = new Set(toGlobList(args["only"]));
+    const specs = loadManifestSpecs(args["manifest"], onlyNames);
+    let failed = 0;
+    for (const spec of specs) {
+      // 1 つのリポジトリが失敗しても残りは変換する
+      try {
+        console.log(`[${spec.name}] ${spec.zip || spec.repoDir}`);
+        await convertRepo(spec);
+      } catch (e) {
+        failed++;
+        console.error(`[${spec.name}] ERROR: ${e && e.message ? e.message : e}`);
+      }
+    }
+    if (failed > 0) process.exit(1);
+    return;
+  }
+
+  const repoDir = args["repo-dir"];
+  const zip = args["zip"];
+  if (!repoDir && !zip) {
+    console.error("ERROR: --repo-dir, --zip or --manifest is required");
+    process.exit(1);
+  }
 
-  await fs.promises.writeFile(outPath, JSON.stringify(items, null, 2), "utf8");
-  console.log(`Wrote ${items.length} items to: ${outPath}`);
+  await convertRepo({
+    repoDir,
+    zip,
+    out: args["out"] || "repo.json",
+    baseUrl: args["base-url"] || "",
+    branch: args["branch"] || "",
+    maxFileBytes: args["max-file-bytes"],
+    excludeDirs: args["exclude-dirs"],
+    include: args["include"],
+    exclude: args["exclude"],
+    stripRoot: args["keep-zip-root"] ? false : undefined,
+  });
 }
 
 main().catch((e) => {
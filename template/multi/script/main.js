@@ -0,0 +1,53 @@
+function main(param) {
+	var scene = new g.Scene({ game: g.game });
+	// 参加者ごとのタップ数 (player.id をキーにする)。全員の画面で同じ操作が同じ順に処理されるため、状態は自然に同期されます
+	var tapCounts = {};
+
+	scene.onLoad.add(function () {
+		var font = new g.DynamicFont({
+			game: g.game,
+			fontFamily: "sans-serif",
+			size: 48
+		});
+		var titleLabel = new g.Label({
+			scene: scene,
+			font: font,
+			text: "{{title}}",
+			fontSize: 32,
+			x: 10,
+			y: 10
+		});
+		scene.append(titleLabel);
+		var countLabel = new g.Label({
+			scene: scene,
+			font: font,
+			text: "PLAYERS: 0 / TAPS: 0",
+			fontSize: 32,
+			x: 10,
+			y: 50
+		});
+		scene.append(countLabel);
+
+		// 以下にゲームのロジックを記述します。(例: 誰かが画面をタップするとその位置に四角を置く)
+		scene.onPointDownCapture.add(function (ev) {
+			if (!ev.player) return;
+			tapCounts[ev.player.id] = (tapCounts[ev.player.id] || 0) + 1;
+			var rect = new g.FilledRect({
+				scene: scene,
+				cssColor: "#ff0000",
+				width: 32,
+				height: 32,
+				x: ev.point.x - 16,
+				y: ev.point.y - 16
+			});
+			scene.append(rect);
+
+			var players = Object.keys(tapCounts);
+			var taps = players.reduce(function (sum, id) { return sum + tapCounts[id]; }, 0);
+			countLabel.text = "PLAYERS: " + players.length + " / TAPS: " + taps;
+			countLabel.invalidate();
+		});
+	});
+	g.game.pushScene(scene);
+}
+module.exports = main;
@@ -0,0 +1,40 @@
+// 通常このファイルを編集する必要はありません。ゲームの処理は main.js に記述してください。
+// ニコ生ゲーム (ランキング) では、ゲーム開始時にセッションパラメーター (制限時間・乱数シードなど) が
+// メッセージイベントで送られてくるため、それを受け取ってから main.js を呼び出します。
+var main = require("./main");
+
+module.exports = function (originalParam) {
+	var param = {};
+	Object.keys(originalParam).forEach(function (key) {
+		param[key] = originalParam[key];
+	});
+	param.sessionParameter = {};
+	param.random = g.game.random;
+
+	// セッションパラメーターが届くまでに待つ tick 数
+	var limitTickToWait = 3;
+
+	var scene = new g.Scene({ game: g.game });
+	scene.onMessage.add(function (msg) {
+		if (msg.data && msg.data.type === "start" && msg.data.parameters) {
+			param.sessionParameter = msg.data.parameters;
+			if (msg.data.parameters.randomSeed != null) {
+				param.random = new g.XorshiftRandomGenerator(msg.data.parameters.randomSeed);
+			}
+			g.game.popScene();
+			main(param);
+		}
+	});
+	scene.onLoad.add(function () {
+		var currentTickCount = 0;
+		scene.onUpdate.add(function () {
+			currentTickCount++;
+			// 待機時間を超えた場合は、セッションパラメーターなしでゲームを開始します
+			if (currentTickCount > limitTickToWait) {
+				g.game.popScene();
+				main(param);
+			}
+		});
+	});
+	g.game.pushScene(scene);
+};
@@ -0,0 +1,80 @@
+function main(param) {
+	// ランキングのスコアは g.game.vars.gameState.score に設定します
+	g.game.vars.gameState = { score: 0 };
+
+	var scene = new g.Scene({ game: g.game });
+	// 制限時間 (秒)。セッションパラメーターで指定されなかった場合は game.json の値から余裕を引いた値を使います
+	var timeLimit = {{totalTimeLimit}} - 10;
+	if (param.sessionParameter.totalTimeLimit) {
+		timeLimit = param.sessionParameter.totalTimeLimit - 10;
+	}
+
+	scene.onLoad.add(function () {
+		var font = new g.DynamicFont({
+			game: g.game,
+			fontFamily: "sans-serif",
+			size: 48
+		});
+		var titleLabel = new g.Label({
+			scene: scene,
+			font: font,
+			text: "{{title}}",
+			fontSize: 32,
+			x: 10,
+			y: 10
+		});
+		scene.append(titleLabel);
+		var scoreLabel = new g.Label({
+			scene: scene,
+			font: font,
+			text: "SCORE: 0",
+			fontSize: 32,
+			x: 10,
+			y: 50
+		});
+		scene.append(scoreLabel);
+		var timeLabel = new g.Label({
+			scene: scene,
+			font: font,
+			text: "TIME: " + Math.ceil(timeLimit),
+			fontSize: 32,
+			x: g.game.width - 200,
+			y: 10
+		});
+		scene.append(timeLabel);
+
+		// 以下にゲームのロジックを記述します。(例: 四角をタップするとスコアが増える)
+		var rect = new g.FilledRect({
+			scene: scene,
+			cssColor: "#ff0000",
+			width: 64,
+			height: 64,
+			x: (g.game.width - 64) / 2,
+			y: (g.game.height - 64) / 2,
+			touchable: true
+		});
+		rect.onPointDown.add(function () {
+			if (timeLimit <= 0) return;
+			g.game.vars.gameState.score += 10;
+			scoreLabel.text = "SCORE: " + g.game.vars.gameState.score;
+			scoreLabel.invalidate();
+			rect.x = param.random.generate() * (g.game.width - rect.width);
+			rect.y = param.random.generate() * (g.game.height - rect.height);
+			rect.modified();
+		});
+		scene.append(rect);
+
+		scene.onUpdate.add(function () {
+			if (timeLimit <= 0) return;
+			timeLimit -= 1 / g.game.fps;
+			if (timeLimit <= 0) {
+				timeLimit = 0;
+				// ゲーム終了時の処理をここに記述します
+			}
+			timeLabel.text = "TIME: " + Math.ceil(timeLimit);
+			timeLabel.invalidate();
+		});
+	});
+	g.game.pushScene(scene);
+}
+module.exports = main;
@@ -0,0 +1,38 @@
+"use strict";
+function main(_param) {
+    const scene = new g.Scene({ game: g.game });
+    scene.onLoad.add(() => {
+        const font = new g.DynamicFont({
+            game: g.game,
+            fontFamily: "sans-serif",
+            size: 48
+        });
+        const titleLabel = new g.Label({
+            scene,
+            font,
+            text: "{{title}}",
+            fontSize: 32,
+            x: 10,
+            y: 10
+        });
+        scene.append(titleLabel);
+        // 以下にゲームのロジックを記述します。
+        const rect = new g.FilledRect({
+            scene,
+            cssColor: "#ff0000",
+            width: 32,
+            height: 32
+        });
+        rect.onUpdate.add(() => {
+            // 以下のコードは毎フレーム実行されます。
+            rect.x++;
+            if (rect.x > g.game.width) {
+                rect.x = 0;
+            }
+            rect.modified();
+        });
+        scene.append(rect);
+    });
+    g.game.pushScene(scene);
+}
+module.exports = main;
@@ -0,0 +1,132 @@
+// test/diff.test.mjs
+// edit_game_file / diff_checkpoint / expectedHash の衝突表示で使う差分エンジン
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffLines, createUnifiedDiff, applyUnifiedDiff, applySearchReplaceEdits } from "../index.js";
+
+// 再現性のある乱数 (mulberry32)
+function createRandom(seed) {
+	return () => {
+		seed = (seed + 0x6d2b79f5) | 0;
+		let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+		t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+function randomLines(random, length, alphabet) {
+	return Array.from({ length }, () => `line ${Math.floor(random() * alphabet)}`);
+}
+
+function lcsLength(a, b) {
+	const row = new Array(b.length + 1).fill(0);
+	for (let i = 1; i <= a.length; i++) {
+		let previous = 0;
+		for (let j = 1; j <= b.length; j++) {
+			const current = row[j];
+			row[j] = a[i - 1] === b[j - 1] ? previous + 1 : Math.max(row[j], row[j - 1]);
+			previous = current;
+		}
+	}
+	return row[b.length];
+}
+
+function sides(ops) {
+	return {
+		old: ops.filter((op) => op.type !== "insert").map((op) => op.line),
+		new: ops.filter((op) => op.type !== "delete").map((op) => op.line)
+	};
+}
+
+test("diffLines returns equal/delete/insert operations", () => {
+	assert.deepEqual(diffLines(["a", "b", "c"], ["a", "x", "c"]), [
+		{ type: "equal", line: "a" },
+		{ type: "delete", line: "b" },
+		{ type: "insert", line: "x" },
+		{ type: "equal", line: "c" }
+	]);
+	assert.deepEqual(diffLines([], ["a"]), [{ type: "insert", line: "a" }]);
+	assert.deepEqual(diffLines(["a"], []), [{ type: "delete", line: "a" }]);
+	assert.deepEqual(diffLines([], []), []);
+});
+
+test("diffLines reproduces both sides with a minimal number of edits", () => {
+	const random = createRandom(42);
+	for (let round = 0; round < 200; round++) {
+		const a = randomLines(random, Math.floor(random() * 40), 6);
+		const b = random() < 0.5 ? randomLines(random, Math.floor(random() * 40), 6) : a.filter(() => random() < 0.8).concat(randomLines(random, 3, 6));
+		const ops = diffLines(a, b);
+		assert.deepEqual(sides(ops), { old: a, new: b });
+		const equal = ops.filter((op) => op.type === "equal").length;
+		assert.equal(equal, lcsLength(a, b), `round ${round}`);
+	}
+});
+
+test("diffLines handles large inputs in linear memory", () => {
+	const oldLines = Array.from({ length: 3000 }, (_, i) => `line ${i}`);
+	const newLines = oldLines.map((line, i) => `${line} changed`).reverse();
+	const before = process.memoryUsage().heapUsed;
+	const ops = diffLines(oldLines, newLines);
+	const growth = process.memoryUsage().heapUsed - before;
+	assert.deepEqual(sides(ops), { old: oldLines, new: newLines });
+	assert.ok(growth < 100 * 1024 * 1024, `heap grew by ${Math.round(growth / 1024 / 1024)} MB`);
+});
+
+test("diffLines falls back to one replace block beyond the size cap", () => {
+	const oldLines = ["head", ...Array.from({ length: 6000 }, (_, i) => `old ${i}`), "tail"];
+	const newLines = ["head", ...Array.from({ length: 6000 }, (_, i) => (i % 2 ? `old ${i}` : `new ${i}`)), "tail"];
+	const ops = diffLines(oldLines, newLines);
+	assert.deepEqual(sides(ops), { old: oldLines, new: newLines });
+	assert.deepEqual(ops.map((op) => op.type).filter((type, i, types) => type !== types[i - 1]), ["equal", "delete", "insert", "equal"]);
+
+	const diff = createUnifiedDiff(oldLines.join("\n"), newLines.join("\n"));
+	assert.equal(diff.split("\n").filter((line) => line.startsWith("@@")).length, 1);
+	assert.equal(applyUnifiedDiff(`${oldLines.join("\n")}\n`, diff), `${newLines.join("\n")}\n`);
+});
+
+test("createUnifiedDiff writes hunk headers with context", () => {
+	assert.equal(createUnifiedDiff("a\nb\n", "a\nb\n"), "");
+	assert.equal(createUnifiedDiff("", "x\ny\n", { oldLabel: "a/f.js", newLabel: "b/f.js" }), "--- a/f.js\n+++ b/f.js\n@@ -0,0 +1,2 @@\n+x\n+y");
+	const oldText = Array.from({ length: 20 }, (_, i) => `${i}`).join("\n");
+	const newText = oldText.replace("2\n", "two\n").replace("17\n", "seventeen\n");
+	const diff = createUnifiedDiff(oldText, newText);
+	assert.deepEqual(diff.split("\n").filter((line) => line.startsWith("@@")), ["@@ -1,6 +1,6 @@", "@@ -15,6 +15,6 @@"]);
+	assert.equal(createUnifiedDiff("a\r\nb\r\n", "a\nb\n"), "");
+});
+
+test("applyUnifiedDiff round-trips createUnifiedDiff output", () => {
+	const random = createRandom(7);
+	for (let round = 0; round < 100; round++) {
+		const a = randomLines(random, 1 + Math.floor(random() * 30), 8);
+		const b = a.map((line) => (random() < 0.2 ? `${line}!` : line)).filter(() => random() < 0.9);
+		const oldText = `${a.join("\n")}\n`;
+		const newText = b.length > 0 ? `${b.join("\n")}\n` : "";
+		const diff = createUnifiedDiff(oldText, newText);
+		assert.equal(diff ? applyUnifiedDiff(oldText, diff) : oldText, newText || oldText, `round ${round}`);
+	}
+});
+
+test("applyUnifiedDiff tolerates shifted line numbers and reports failing hunks", () => {
+	const diff = "@@ -2,2 +2,2 @@\n b\n-c\n+C\n";
+	assert.equal(applyUnifiedDiff("new\nlines\na\nb\nc\n", diff), "new\nlines\na\nb\nC\n");
+	assert.throws(() => applyUnifiedDiff("a\nb\nx\n", diff), /Hunk #1 \(@@ -2\) failed to apply/);
+	assert.throws(() => applyUnifiedDiff("a\n", "not a diff"), /No hunks found/);
+});
+
+test("applyUnifiedDiff keeps '--- '/'+++ ' lines inside a hunk as changes", () => {
+	assert.equal(applyUnifiedDiff("a\nb\n-- c\n", "@@ -1,3 +1,1 @@\n a\n-b\n--- c\n"), "a\n");
+	assert.equal(applyUnifiedDiff("a\n", "@@ -1,1 +1,2 @@\n a\n+++ x\n"), "a\n++ x\n");
+	assert.equal(createUnifiedDiff("-- c\n", "++ c\n"), "--- a\n+++ b\n@@ -1,1 +1,1 @@\n--- c\n+++ c");
+	assert.equal(applyUnifiedDiff("-- c\n", createUnifiedDiff("-- c\n", "++ c\n")), "++ c\n");
+	// ハンクの外の "--- a/file" "+++ b/file" はファイルのヘッダーとして読み飛ばす
+	const twoHunks = "--- a/f.js\n+++ b/f.js\n@@ -1,2 +1,2 @@\n a\n-b\n+B\n@@ -4,1 +4,1 @@\n-d\n+D\n";
+	assert.equal(applyUnifiedDiff("a\nb\nc\nd\n", twoHunks), "a\nB\nc\nD\n");
+});
+
+test("applySearchReplaceEdits requires unique matches unless replaceAll is set", () => {
+	assert.equal(applySearchReplaceEdits("a = 1;\nb = 2;\n", [{ search: "a = 1", replace: "a = 3" }, { search: "b", replace: "c" }]), "a = 3;\nc = 2;\n");
+	assert.throws(() => applySearchReplaceEdits("x x", [{ search: "x", replace: "y" }]), /Edit #1: search text matches multiple places/);
+	assert.equal(applySearchReplaceEdits("x x", [{ search: "x", replace: "y", replaceAll: true }]), "y y");
+	assert.throws(() => applySearchReplaceEdits("abc", [{ search: "z", replace: "y" }]), /Edit #1: search text not found/);
+	assert.throws(() => applySearchReplaceEdits("abc", [{ search: "", replace: "y" }]), /must not be empty/);
+});
@@ -0,0 +1,78 @@
+// test/doc-postprocess.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const cheerio = require("cheerio");
+const { canonicalizeDocUrl, htmlToDoc, postprocessDocs, formatQualityReport } = require("../scripts/doc-postprocess");
+
+const BODY = "本文のテキストです。ページごとに異なる説明が続きます。".repeat(2);
+
+function page(name, content, title = `${name} | Akashic Engine`) {
+  return { url: `https://example.com/${name}.html`, title, content };
+}
+
+test("canonicalizeDocUrl merges index.html, fragments, host case and duplicate slashes", () => {
+  assert.equal(canonicalizeDocUrl("https://Example.com/guide/index.html#top"), "https://example.com/guide/");
+  assert.equal(canonicalizeDocUrl("https://example.com//guide//scene.html"), "https://example.com/guide/scene.html");
+  assert.equal(canonicalizeDocUrl("not a url"), "not a url");
+});
+
+test("htmlToDoc strips navigation and takes the h1 when <title> is generic", () => {
+  const $ = cheerio.load("<html><head><title>Akashic Engine</title></head><body><nav>menu</nav><h1>シーン</h1><p>説明</p></body></html>");
+  const doc = htmlToDoc($, "https://example.com/scene/index.html");
+  assert.equal(doc.url, "https://example.com/scene/");
+  assert.equal(doc.title, "シーン");
+  assert.ok(!doc.content.includes("menu"));
+});
+
+test("strips repeated blocks but keeps shared headings and code blocks", () => {
+  const nav = "ホーム | ガイド | リファレンス";
+  const code = "```js\ng.game.pushScene(scene);\n```";
+  const docs = ["a", "b", "c"].map((name) => page(name, [
+    nav,
+    `# ${name} のページ`,
+    `${name}: ${BODY}`,
+    "## 使い方",
+    code,
+    "## 関連項目"
+  ].join("\n\n")));
+
+  const { docs: output, report } = postprocessDocs(docs);
+  assert.equal(output.length, 3);
+  for (const doc of output) {
+    assert.ok(!doc.content.includes(nav));
+    assert.ok(doc.content.includes("## 使い方"));
+    assert.ok(doc.content.includes("## 関連項目"));
+    assert.ok(doc.content.includes(code));
+  }
+  assert.deepEqual(report.boilerplateBlocks.map((item) => item.block), [nav]);
+});
+
+test("replaces a shared <title> with the first h1, not an h2", () => {
+  const docs = [
+    page("a", `## シーンの概要\n\n# シーン\n\n${BODY}`, "Docs"),
+    page("b", `## スプライトの概要\n\n# スプライト\n\n${BODY}b`, "Docs"),
+    page("c", `## 音声の概要\n\n${BODY}c`, "Docs")
+  ];
+  const { docs: output, report } = postprocessDocs(docs);
+  assert.deepEqual(output.map((doc) => doc.title), ["シーン", "スプライト", "Docs"]);
+  assert.equal(report.titlesFromHeading.length, 2);
+});
+
+test("merges duplicate URLs and contents and drops empty pages", () => {
+  const docs = [
+    { url: "https://example.com/a/index.html", title: "A", content: `短い ${BODY}` },
+    { url: "https://example.com/a/", title: "A", content: `長い方の本文 ${BODY}` },
+    { url: "https://example.com/copy/of/a.html", title: "A", content: `長い方の本文 ${BODY}` },
+    { url: "https://example.com/empty.html", title: "Empty", content: " \n " }
+  ];
+  const { docs: output, report } = postprocessDocs(docs);
+  assert.deepEqual(output.map((doc) => doc.url), ["https://example.com/a/"]);
+  assert.ok(output[0].content.startsWith("長い方の本文"));
+  assert.equal(report.duplicateUrls.length, 1);
+  assert.deepEqual(report.duplicateContents, [{ url: "https://example.com/copy/of/a.html", duplicateOf: "https://example.com/a/" }]);
+  assert.deepEqual(report.emptyPages, ["https://example.com/empty.html"]);
+
+  const text = formatQualityReport(report);
+  assert.match(text, /Pages: 4 -> 1/);
+  assert.match(text, /Empty pages dropped: 1/);
+});
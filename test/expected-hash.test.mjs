@@ -0,0 +1,60 @@
+// test/expected-hash.test.mjs
+// read_project_files の hash を使った楽観的排他制御 (expectedHash)
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { checkExpectedHash } from "../index.js";
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "expected-hash-test-"));
+
+function sha1(data) {
+	return crypto.createHash("sha1").update(data).digest("hex");
+}
+
+function writeFile(name, data) {
+	const fullPath = path.join(workDir, name);
+	fs.writeFileSync(fullPath, data);
+	return fullPath;
+}
+
+after(() => {
+	fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test("accepts a missing or matching hash", () => {
+	const fullPath = writeFile("main.js", "a\nb\n");
+	assert.equal(checkExpectedHash(fullPath, "script/main.js", undefined), null);
+	assert.equal(checkExpectedHash(fullPath, "script/main.js", sha1("a\nb\n")), null);
+	assert.equal(checkExpectedHash(fullPath, "script/main.js", ` ${sha1("a\nb\n").toUpperCase()} `), null);
+});
+
+test("rejects a deleted file", () => {
+	const message = checkExpectedHash(path.join(workDir, "none.js"), "script/none.js", sha1("x"));
+	assert.match(message, /^Error: script\/none\.js no longer exists/);
+});
+
+test("shows the diff to the proposed content on a conflict", () => {
+	const fullPath = writeFile("conflict.js", "a\nchanged by someone\nc\n");
+	const message = checkExpectedHash(fullPath, "script/conflict.js", sha1("a\nb\nc\n"), { proposedContent: "a\nb\nc\nd\n" });
+	assert.match(message, /^Error: script\/conflict\.js was changed since it was read/);
+	assert.match(message, new RegExp(`current hash ${sha1("a\nchanged by someone\nc\n")}`));
+	assert.ok(message.includes("--- current/script/conflict.js\n+++ proposed/script/conflict.js"));
+	assert.ok(message.includes("-changed by someone\n+b"));
+	assert.ok(message.includes("+d"));
+});
+
+test("shows the current content, truncated, when no content is proposed", () => {
+	const fullPath = writeFile("large.txt", "x".repeat(25000));
+	const message = checkExpectedHash(fullPath, "text/large.txt", sha1("old"));
+	assert.match(message, /Current content:\n```\nx+\n```\n\(truncated at 20000 chars\)$/);
+	assert.equal(message.match(/x+/g).pop().length, 20000);
+});
+
+test("does not print binary content", () => {
+	const fullPath = writeFile("image.png", Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x01, 0x02]));
+	const message = checkExpectedHash(fullPath, "image/image.png", sha1("old"));
+	assert.match(message, /Current file is binary \(7 bytes\)\.$/);
+});
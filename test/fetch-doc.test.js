@@ -0,0 +1,175 @@
+// test/fetch-doc.test.js
+// scripts/fetch-doc.js をローカルの HTTP サーバー (test/fixtures/doc-site) に向けて実行し、
+// 差分クロール・中断からの再開・ページ削除・BASE_URL の切り替えを確認する
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+
+const CRAWLER = path.resolve(__dirname, "../scripts/fetch-doc.js");
+const FIXTURE_SITE = path.resolve(__dirname, "fixtures/doc-site");
+
+let workDir;
+let siteDir;
+let server;
+let baseUrl;
+
+// ETag 付きで静的ファイルを返す (If-None-Match が一致すれば 304)
+function startSiteServer(rootDir) {
+  return new Promise((resolve) => {
+    const siteServer = http.createServer((req, res) => {
+      const pathname = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+      const filePath = path.join(rootDir, pathname.endsWith("/") ? `${pathname}index.html` : pathname);
+      if (!filePath.startsWith(rootDir) || !fs.existsSync(filePath)) {
+        res.statusCode = 404;
+        res.end("Not Found");
+        return;
+      }
+      const address = `http://127.0.0.1:${siteServer.address().port}/`;
+      const body = fs.readFileSync(filePath, "utf-8").replace(/\{\{BASE_URL\}\}/g, address);
+      const etag = `"${crypto.createHash("sha1").update(body).digest("hex")}"`;
+      if (req.headers["if-none-match"] === etag) {
+        res.statusCode = 304;
+        res.end();
+        return;
+      }
+      res.setHeader("Content-Type", filePath.endsWith(".xml") ? "application/xml" : "text/html; charset=utf-8");
+      res.setHeader("ETag", etag);
+      res.end(body);
+    });
+    siteServer.listen(0, "127.0.0.1", () => resolve(siteServer));
+  });
+}
+
+function runCrawler({ url = baseUrl, interruptAfterFetches } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [CRAWLER], {
+      cwd: workDir,
+      env: {
+        ...process.env,
+        DOCS_BASE_URL: url,
+        DOCS_OUTPUT_FILE: path.join(workDir, "docs.json"),
+        CRAWL_STATE_DIR: path.join(workDir, "state"),
+        CRAWL_DELAY_MS: interruptAfterFetches ? "200" : "0"
+      }
+    });
+    let stdout = "";
+    let stderr = "";
+    let interrupted = false;
+    child.stdout.on("data", (chunk) => {
+      stdout += chunk;
+      const fetches = stdout.split("Fetching:").length - 1;
+      if (interruptAfterFetches && !interrupted && fetches >= interruptAfterFetches) {
+        interrupted = true;
+        child.kill("SIGINT");
+      }
+    });
+    child.stderr.on("data", (chunk) => {
+      stderr += chunk;
+    });
+    child.on("error", reject);
+    child.on("close", (code) => resolve({ code, stdout, stderr }));
+  });
+}
+
+function readLastChangelog() {
+  const lines = fs.readFileSync(path.join(workDir, "state", "docs.changelog.jsonl"), "utf-8").trim().split("\n");
+  return JSON.parse(lines[lines.length - 1]);
+}
+
+function pageUrls(urls) {
+  return urls.map((url) => url.slice(baseUrl.length)).sort();
+}
+
+before(async () => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), "fetch-doc-test-"));
+  siteDir = path.join(workDir, "site");
+  fs.cpSync(FIXTURE_SITE, siteDir, { recursive: true });
+  server = await startSiteServer(siteDir);
+  baseUrl = `http://127.0.0.1:${server.address().port}/`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test("resumes an interrupted crawl from the saved state", async () => {
+  const first = await runCrawler({ interruptAfterFetches: 1 });
+  assert.equal(first.code, 130, first.stderr);
+  const state = JSON.parse(fs.readFileSync(path.join(workDir, "state", "docs.state.json"), "utf-8"));
+  assert.ok(state.run, "run state is kept after the interruption");
+  assert.ok(state.run.queue.length > 0);
+
+  const resumed = await runCrawler();
+  assert.equal(resumed.code, 0, resumed.stderr);
+  assert.match(resumed.stdout, /Resuming crawl/);
+  const entry = readLastChangelog();
+  assert.equal(entry.resumed, true);
+  assert.deepEqual(pageUrls(entry.added), ["", "guide/scene.html", "guide/sprite.html"]);
+  assert.deepEqual(entry.removed, []);
+  const docs = JSON.parse(fs.readFileSync(path.join(workDir, "docs.json"), "utf-8"));
+  assert.equal(docs.length, 3);
+});
+
+test("uses conditional requests and reports unchanged pages", async () => {
+  const result = await runCrawler();
+  assert.equal(result.code, 0, result.stderr);
+  const entry = readLastChangelog();
+  assert.equal(entry.resumed, false);
+  assert.deepEqual(entry.added, []);
+  assert.deepEqual(entry.updated, []);
+  assert.equal(entry.unchanged, 3);
+});
+
+test("reports updated pages", async () => {
+  const scenePath = path.join(siteDir, "guide", "scene.html");
+  fs.writeFileSync(scenePath, fs.readFileSync(scenePath, "utf-8").replace("で開始します。", "で開始します。g.game.replaceScene() で切り替えます。"));
+  const result = await runCrawler();
+  assert.equal(result.code, 0, result.stderr);
+  const entry = readLastChangelog();
+  assert.deepEqual(pageUrls(entry.updated), ["guide/scene.html"]);
+  assert.equal(entry.unchanged, 2);
+});
+
+test("removes pages that return 404", async () => {
+  fs.rmSync(path.join(siteDir, "guide", "sprite.html"));
+  const result = await runCrawler();
+  assert.equal(result.code, 0, result.stderr);
+  const entry = readLastChangelog();
+  assert.deepEqual(pageUrls(entry.removed), ["guide/sprite.html"]);
+  assert.deepEqual(entry.failed.map((item) => item.status), [404]);
+  const docs = JSON.parse(fs.readFileSync(path.join(workDir, "docs.json"), "utf-8"));
+  assert.deepEqual(pageUrls(docs.map((doc) => doc.url)), ["", "guide/scene.html"]);
+});
+
+test("re-requests pages that return 304 without a local copy", async () => {
+  // ETag は state に残したまま、前回取得したページだけを消す
+  fs.rmSync(path.join(workDir, "state", "docs.pages.json"));
+  fs.rmSync(path.join(workDir, "docs.json"));
+  const result = await runCrawler();
+  assert.equal(result.code, 0, result.stderr);
+  const entry = readLastChangelog();
+  assert.deepEqual(pageUrls(entry.added), ["", "guide/scene.html"]);
+  const docs = JSON.parse(fs.readFileSync(path.join(workDir, "docs.json"), "utf-8"));
+  assert.deepEqual(pageUrls(docs.map((doc) => doc.url)), ["", "guide/scene.html"]);
+});
+
+test("does not report pages of another base URL as removed", async () => {
+  const otherServer = await startSiteServer(siteDir);
+  try {
+    const otherUrl = `http://127.0.0.1:${otherServer.address().port}/`;
+    const result = await runCrawler({ url: otherUrl });
+    assert.equal(result.code, 0, result.stderr);
+    const entry = readLastChangelog();
+    assert.equal(entry.baseUrl, otherUrl);
+    assert.equal(entry.added.length, 2);
+    assert.deepEqual(entry.removed, []);
+  } finally {
+    otherServer.close();
+  }
+});
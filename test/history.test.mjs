@@ -0,0 +1,61 @@
+// test/history.test.mjs
+// .mcp/history のチェックポイント (保存・差分・復元) と、改ざんされたチェックポイントの拒否
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { beginCheckpoint, findCheckpoint, diffCheckpointEntry, restoreCheckpointEntry } from "../index.js";
+
+let workDir;
+let projectRoot;
+
+before(() => {
+	workDir = fs.mkdtempSync(path.join(os.tmpdir(), "history-test-"));
+	projectRoot = path.join(workDir, "game");
+	fs.mkdirSync(path.join(projectRoot, "script"), { recursive: true });
+	fs.writeFileSync(path.join(projectRoot, "game.json"), "{}\n");
+});
+
+after(() => {
+	fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test("restores modified files and removes files created after the checkpoint", () => {
+	const mainPath = path.join(projectRoot, "script", "main.js");
+	const newPath = path.join(projectRoot, "script", "new.js");
+	fs.writeFileSync(mainPath, "var a = 1;\n");
+	const checkpoint = beginCheckpoint(projectRoot, "create_game_file", "test");
+	checkpoint.track(mainPath);
+	checkpoint.track(newPath);
+	checkpoint.track(path.join(projectRoot, ".mcp", "tmp", "ignored"));
+	const saved = checkpoint.commit();
+	assert.deepEqual(saved.files.map((file) => [file.path, file.existed]), [["script/main.js", true], ["script/new.js", false]]);
+
+	fs.writeFileSync(mainPath, "var a = 2;\n");
+	fs.writeFileSync(newPath, "new\n");
+	const found = findCheckpoint(projectRoot, saved.id.slice(0, 20));
+	assert.equal(found.id, saved.id);
+	assert.match(diffCheckpointEntry(projectRoot, found.files[0]), /-var a = 1;\n\+var a = 2;/);
+
+	assert.equal(restoreCheckpointEntry(projectRoot, found.files[0]), "script/main.js: restored");
+	assert.equal(restoreCheckpointEntry(projectRoot, found.files[1]), "script/new.js: removed (did not exist at checkpoint)");
+	assert.equal(fs.readFileSync(mainPath, "utf-8"), "var a = 1;\n");
+	assert.ok(!fs.existsSync(newPath));
+});
+
+test("rejects checkpoint entries that point outside the project", () => {
+	const outside = path.join(workDir, "outside.txt");
+	fs.writeFileSync(outside, "keep me\n");
+	const entries = [
+		{ path: "../outside.txt", existed: false, blob: null },
+		{ path: outside, existed: false, blob: null },
+		{ path: ".mcp/history/checkpoints/x.json", existed: false, blob: null },
+		{ path: "script/main.js", existed: true, blob: "../../../outside.txt" }
+	];
+	for (const entry of entries) {
+		assert.throws(() => restoreCheckpointEntry(projectRoot, entry), /Invalid (path|blob) in checkpoint/);
+		assert.throws(() => diffCheckpointEntry(projectRoot, entry), /Invalid (path|blob) in checkpoint/);
+	}
+	assert.equal(fs.readFileSync(outside, "utf-8"), "keep me\n");
+});
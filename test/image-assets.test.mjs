@@ -0,0 +1,91 @@
+// test/image-assets.test.mjs
+// import_local_assets の画像ヘッダー検証と game.json へのアセット登録
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readImageInfo, inspectImageFile, resolveAssetId, upsertAsset } from "../index.js";
+
+function pngChunk(type, data) {
+	const length = Buffer.alloc(4);
+	length.writeUInt32BE(data.length);
+	// CRC は検証しないので 0 で埋める
+	return Buffer.concat([length, Buffer.from(type, "latin1"), data, Buffer.alloc(4)]);
+}
+
+function createPng(width, height) {
+	const ihdr = Buffer.alloc(13);
+	ihdr.writeUInt32BE(width, 0);
+	ihdr.writeUInt32BE(height, 4);
+	ihdr[8] = 8; // bit depth
+	ihdr[9] = 6; // RGBA
+	return Buffer.concat([
+		Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+		pngChunk("IHDR", ihdr),
+		pngChunk("IDAT", Buffer.from([0x78, 0x9c, 0x63, 0x00, 0x00])),
+		pngChunk("IEND", Buffer.alloc(0))
+	]);
+}
+
+function jpegSegment(marker, data) {
+	const length = Buffer.alloc(2);
+	length.writeUInt16BE(data.length + 2);
+	return Buffer.concat([Buffer.from([0xff, marker]), length, data]);
+}
+
+function createJpeg(width, height, { sofMarker = 0xc0 } = {}) {
+	const sof = Buffer.from([8, height >> 8, height & 0xff, width >> 8, width & 0xff, 1, 1, 0x11, 0]);
+	return Buffer.concat([
+		Buffer.from([0xff, 0xd8]),
+		jpegSegment(0xe0, Buffer.from("JFIF\0\x01\x01\0\0\x01\0\x01\0\0", "latin1")),
+		// DHT (FF C4) は SOF ではないので読み飛ばす
+		jpegSegment(0xc4, Buffer.alloc(20)),
+		Buffer.from([0xff, 0xff]),
+		jpegSegment(sofMarker, sof),
+		jpegSegment(0xda, Buffer.from([1, 1, 0, 0, 0x3f, 0])),
+		Buffer.from([0x12, 0x34, 0xff, 0xd9])
+	]);
+}
+
+test("reads the size of PNG and JPEG files", () => {
+	assert.deepEqual(readImageInfo(createPng(320, 240)), { format: "png", width: 320, height: 240 });
+	assert.deepEqual(readImageInfo(createJpeg(640, 480)), { format: "jpeg", width: 640, height: 480 });
+	assert.deepEqual(readImageInfo(createJpeg(100, 50, { sofMarker: 0xc2 })), { format: "jpeg", width: 100, height: 50 });
+});
+
+test("rejects truncated, broken and unknown images", () => {
+	const png = createPng(32, 32);
+	assert.match(readImageInfo(png.subarray(0, 20)).error, /PNG header is truncated/);
+	assert.match(readImageInfo(png.subarray(0, png.length - 12)).error, /no IEND chunk/);
+	assert.match(readImageInfo(createPng(0, 32)).error, /PNG has invalid size 0x32/);
+
+	const jpeg = createJpeg(32, 32);
+	assert.match(readImageInfo(jpeg.subarray(0, 30)).error, /JPEG is truncated or has no frame header/);
+	assert.match(readImageInfo(jpeg.subarray(0, jpeg.length - 2)).error, /no EOI marker/);
+	const broken = Buffer.from(jpeg);
+	broken[20] = 0x00;
+	assert.match(readImageInfo(broken).error, /JPEG has a broken marker at byte 20/);
+
+	assert.match(readImageInfo(Buffer.from("GIF89a")).error, /not a PNG or JPEG file/);
+	assert.match(readImageInfo(Buffer.alloc(0)).error, /not a PNG or JPEG file/);
+});
+
+test("checks the extension against the content and warns on large textures", () => {
+	assert.deepEqual(inspectImageFile(createPng(64, 64), "player.PNG"), { format: "png", width: 64, height: 64, warnings: [] });
+	assert.match(inspectImageFile(createJpeg(64, 64), "player.png").error, /the file is JPEG but has the \.png extension; use \.jpg/);
+	assert.match(inspectImageFile(createPng(4096, 64), "bg.png").warnings[0], /4096x64 exceeds 2048px/);
+});
+
+test("keeps asset IDs stable and avoids collisions", () => {
+	const assets = {
+		player: { type: "image", path: "image/player.png", width: 32, height: 32, global: true },
+		enemy: { type: "script", path: "script/enemy.js", global: true }
+	};
+	assert.equal(resolveAssetId(assets, "image/player.png"), "player");
+	assert.equal(resolveAssetId(assets, "image/enemy.png"), "image_enemy");
+	assert.equal(resolveAssetId({ ...assets, image_enemy: {} }, "image/enemy.png"), "image_enemy_2");
+	assert.equal(resolveAssetId(assets, "image/効果.png"), "asset");
+
+	assert.deepEqual(upsertAsset(assets, "image/player.png", { type: "image", width: 32, height: 32 }), { id: "player", status: "unchanged" });
+	assert.deepEqual(upsertAsset(assets, "image/player.png", { type: "image", width: 64, height: 32 }), { id: "player", status: "updated" });
+	assert.deepEqual(assets.player, { type: "image", path: "image/player.png", width: 64, height: 32, global: true });
+	assert.deepEqual(upsertAsset(assets, "image/enemy.png", { type: "image", width: 16, height: 16 }), { id: "image_enemy", status: "added" });
+});
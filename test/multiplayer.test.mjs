@@ -0,0 +1,141 @@
+// test/multiplayer.test.mjs
+// scaffold_multiplayer が生成するスクリプトと、再実行時のメッセージ型の追加
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import vm from "vm";
+import { planMultiplayerScaffold, renderMultiplayerModule, planProjectChanges, commitProjectChanges } from "../index.js";
+
+const TEMPLATE_DIR = path.resolve(import.meta.dirname, "../template");
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "multiplayer-test-"));
+
+function createProject(name) {
+	const projectRoot = path.join(workDir, name);
+	fs.cpSync(path.join(TEMPLATE_DIR, "minimal"), projectRoot, { recursive: true });
+	fs.writeFileSync(path.join(projectRoot, "game.json"), fs.readFileSync(path.join(projectRoot, "game.json"), "utf-8").replace(/\{\{\w+\}\}/g, "30"));
+	return projectRoot;
+}
+
+function applyScaffold(projectRoot, messages) {
+	const scaffold = planMultiplayerScaffold(projectRoot, { messages });
+	assert.equal(scaffold.error, undefined);
+	if (scaffold.operations.length > 0) {
+		const plan = planProjectChanges(scaffold.operations, { directoryName: projectRoot });
+		assert.equal(plan.error, undefined);
+		commitProjectChanges(plan.projectRoot, plan.steps, { tool: "scaffold_multiplayer", description: "test" });
+	}
+	return scaffold;
+}
+
+function readProjectFile(projectRoot, relativePath) {
+	return fs.readFileSync(path.join(projectRoot, relativePath), "utf-8");
+}
+
+function assertValidSyntax(source, name) {
+	const filePath = path.join(workDir, `${name}.js`);
+	fs.writeFileSync(filePath, source);
+	execFileSync(process.execPath, ["--check", filePath], { stdio: "pipe" });
+}
+
+function loadModule(source, g) {
+	const module = { exports: {} };
+	vm.runInNewContext(source, { g, module, exports: module.exports });
+	return module.exports;
+}
+
+// setupMultiplayer が使う g.game のトリガーと、raiseEvent したメッセージを現在のシーンへ届ける部分だけを持つ
+function createGameMock() {
+	class Trigger {
+		constructor() {
+			this.handlers = [];
+		}
+		add(handler) {
+			this.handlers.push(handler);
+		}
+		fire(arg) {
+			this.handlers.forEach((handler) => handler(arg));
+		}
+	}
+	const scene = { onMessage: new Trigger() };
+	const g = {
+		Trigger,
+		MessageEvent: function (data) {
+			this.data = data;
+		},
+		game: {
+			vars: {},
+			onJoin: new Trigger(),
+			onLeave: new Trigger(),
+			onPlayerInfo: new Trigger(),
+			onSceneChange: new Trigger(),
+			scene: () => scene,
+			raiseEvent: (event) => scene.onMessage.fire({ data: event.data, player: { id: "p1", name: "Alice" } })
+		}
+	};
+	return g;
+}
+
+after(() => {
+	fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test("scaffolds a project and quotes field names that are not identifiers", () => {
+	const projectRoot = createProject("quoted");
+	applyScaffold(projectRoot, [{ type: "move", fields: { "pos-x": "number", "pos y": "number", label: "string" } }]);
+	const messagesSource = readProjectFile(projectRoot, "script/messages.js");
+	assert.match(messagesSource, /fields: \{ "pos-x": "number", "pos y": "number", "label": "string" \}/);
+	assertValidSyntax(messagesSource, "messages");
+	assertValidSyntax(readProjectFile(projectRoot, "script/multiplayer.js"), "multiplayer");
+	assertValidSyntax(readProjectFile(projectRoot, "script/main.js"), "main");
+	const gameJson = JSON.parse(readProjectFile(projectRoot, "game.json"));
+	assert.deepEqual(gameJson.environment.nicolive.supportedModes, ["multi"]);
+	assert.equal(gameJson.assets.messages.path, "script/messages.js");
+});
+
+test("sends typed messages and dispatches them to the handlers", () => {
+	const projectRoot = createProject("runtime");
+	applyScaffold(projectRoot, [{ type: "move", fields: { "pos-x": "number", "pos y": "number", label: "string" } }]);
+	const g = createGameMock();
+	const messages = loadModule(readProjectFile(projectRoot, "script/messages.js"), g);
+	const received = [];
+	messages.move.handle = (payload, player) => {
+		player.state.score += payload["pos-x"];
+		received.push([player.id, payload.label]);
+	};
+	const multiplayer = loadModule(renderMultiplayerModule(), g).setupMultiplayer(messages);
+	assert.equal(g.game.vars.multiplayer, multiplayer);
+
+	multiplayer.send("move", { "pos-x": 3, "pos y": 4, label: "a" });
+	assert.deepEqual(received, [["p1", "a"]]);
+	assert.deepEqual(Array.from(multiplayer.playerIds), ["p1"]);
+	assert.equal(multiplayer.players.p1.state.score, 3);
+	assert.throws(() => multiplayer.send("move", { "pos-x": "3", "pos y": 4, label: "a" }), /pos-x must be number/);
+	assert.throws(() => multiplayer.send("jump", {}), /Unknown message type: jump/);
+
+	g.game.onLeave.fire({ player: { id: "p1" } });
+	assert.equal(multiplayer.playerIds.length, 0);
+});
+
+test("adds only new message types when run again", () => {
+	const projectRoot = createProject("rerun");
+	applyScaffold(projectRoot, undefined);
+	const messagesPath = path.join(projectRoot, "script", "messages.js");
+	// 利用者が handle を書き足したファイルは、既存の定義をそのまま残す
+	const edited = readProjectFile(projectRoot, "script/messages.js").replace(/\/\/ "tap" を受け取ったときの処理.*/, "player.state.score += 1;");
+	fs.writeFileSync(messagesPath, edited);
+
+	const rerun = applyScaffold(projectRoot, [{ type: "tap", fields: { x: "number" } }, { type: "chat", fields: { text: "string" } }]);
+	assert.ok(rerun.report.includes("script/messages.js: added message types chat"));
+	assert.ok(rerun.report.includes("script/messages.js: tap already defined (left as is; edit their fields by hand)"));
+	const merged = readProjectFile(projectRoot, "script/messages.js");
+	assert.ok(merged.startsWith(edited.slice(0, edited.lastIndexOf("\n};"))));
+	assertValidSyntax(merged, "merged");
+	assert.deepEqual(Object.keys(loadModule(merged, createGameMock())), ["tap", "chat"]);
+	assert.equal(readProjectFile(projectRoot, "script/main.js").match(/setupMultiplayer/g).length, 1);
+
+	assert.deepEqual(applyScaffold(projectRoot, undefined).operations, []);
+	assert.deepEqual(applyScaffold(projectRoot, [{ type: "chat", fields: { text: "string" } }]).operations, []);
+});
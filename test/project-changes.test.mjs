@@ -0,0 +1,89 @@
+// test/project-changes.test.mjs
+// apply_project_changes などで使う一括書き込み (計画 → 全部反映 or 全部戻す)
+import { test, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { planProjectChanges, commitProjectChanges } from "../index.js";
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "project-changes-test-"));
+let projectRoot;
+
+function read(relPath) {
+	return fs.readFileSync(path.join(projectRoot, relPath), "utf-8");
+}
+
+beforeEach(() => {
+	projectRoot = fs.mkdtempSync(path.join(workDir, "game-"));
+	fs.mkdirSync(path.join(projectRoot, "script"));
+	fs.writeFileSync(path.join(projectRoot, "game.json"), "{}\n");
+	fs.writeFileSync(path.join(projectRoot, "script", "main.js"), "main\n");
+	fs.writeFileSync(path.join(projectRoot, "script", "old.js"), "old\n");
+});
+
+after(() => {
+	fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test("plans operations against the state left by earlier operations", () => {
+	const plan = planProjectChanges([
+		{ op: "create", filePath: "script/scene.js", content: "scene\n" },
+		{ op: "move", filePath: "script/scene.js", toPath: "script/scenes/title.js" },
+		{ op: "delete", filePath: "script/old.js" },
+		{ op: "create", filePath: "script/old.js", content: "new old\n" }
+	], { directoryName: projectRoot });
+	assert.equal(plan.error, undefined);
+	assert.equal(plan.projectRoot, projectRoot);
+	assert.deepEqual(plan.steps.map((step) => step.op), ["create", "move", "delete", "create"]);
+});
+
+test("rejects invalid operations before writing anything", () => {
+	const cases = [
+		[[{ op: "create", filePath: "script/main.js", content: "x" }], /already exists \(use overwrite\)/],
+		[[{ op: "overwrite", filePath: "script/none.js", content: "x" }], /does not exist \(use create\)/],
+		[[{ op: "delete", filePath: "script/none.js" }], /does not exist/],
+		[[{ op: "move", filePath: "script/main.js", toPath: "script/old.js" }], /move destination script\/old\.js already exists/],
+		[[{ op: "create", filePath: "../outside.js", content: "x" }], /Avoid '\.\.'/],
+		[[{ op: "create", filePath: ".mcp/tmp/x", content: "x" }], /managed by the server/],
+		[[{ op: "create", filePath: "script", content: "x" }], /is a directory/],
+		[[{ op: "rename", filePath: "script/main.js" }], /unknown op 'rename'/],
+		[[{ op: "create", filePath: "script/a.js", content: "a" }, { op: "overwrite", filePath: "script/main.js", content: "x", expectedHash: "0".repeat(40) }], /was changed since it was read/]
+	];
+	for (const [operations, pattern] of cases) {
+		const plan = planProjectChanges(operations, { directoryName: projectRoot });
+		assert.match(plan.error, pattern);
+	}
+	assert.ok(!fs.existsSync(path.join(projectRoot, "script", "a.js")));
+});
+
+test("commits every step, records a checkpoint and leaves no staging directory", () => {
+	const plan = planProjectChanges([
+		{ op: "overwrite", filePath: "script/main.js", content: "main v2\n" },
+		{ op: "move", filePath: "script/old.js", toPath: "script/legacy/old.js" },
+		{ op: "create", filePath: "text/data.json", content: "{}\n" }
+	], { directoryName: projectRoot });
+	const checkpoint = commitProjectChanges(plan.projectRoot, plan.steps, { tool: "apply_project_changes", description: "test" });
+	assert.equal(read("script/main.js"), "main v2\n");
+	assert.equal(read("script/legacy/old.js"), "old\n");
+	assert.ok(!fs.existsSync(path.join(projectRoot, "script", "old.js")));
+	assert.equal(read("text/data.json"), "{}\n");
+	assert.deepEqual(checkpoint.files.map((file) => file.path).sort(), ["script/legacy/old.js", "script/main.js", "script/old.js", "text/data.json"]);
+	assert.ok(!fs.existsSync(path.join(projectRoot, ".mcp", "tmp")));
+});
+
+test("rolls back applied steps when a later step fails", () => {
+	// "blocker" がファイルなので blocker/a.js のディレクトリを作れず、2 つ目の操作で失敗する
+	fs.writeFileSync(path.join(projectRoot, "blocker"), "file\n");
+	const plan = planProjectChanges([
+		{ op: "overwrite", filePath: "script/main.js", content: "main v2\n" },
+		{ op: "create", filePath: "blocker/a.js", content: "a\n" }
+	], { directoryName: projectRoot });
+	assert.equal(plan.error, undefined);
+	assert.throws(
+		() => commitProjectChanges(plan.projectRoot, plan.steps, { tool: "apply_project_changes", description: "test" }),
+		/All changes were rolled back/
+	);
+	assert.equal(read("script/main.js"), "main\n");
+	assert.ok(!fs.existsSync(path.join(projectRoot, ".mcp", "tmp")));
+});
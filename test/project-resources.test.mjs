@@ -0,0 +1,53 @@
+// test/project-resources.test.mjs
+// akashic-project:// リソース (game.json と script/ src/ のスクリプトだけを公開する)
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { listProjectResourceFiles, readProjectResourceFile } from "../index.js";
+
+const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), "project-resources-test-"));
+for (const [relPath, content] of Object.entries({
+	"game.json": "{}\n",
+	"script/main.js": "module.exports = function () {};\n",
+	"src/main.ts": "export function main() {}\n",
+	"script/node_modules/dep.js": "dep\n",
+	".env": "SECRET=1\n",
+	".git/config": "[core]\n",
+	".mcp/history/blobs/0123456789abcdef0123456789abcdef01234567": "old\n",
+	"node_modules/pkg/index.js": "pkg\n",
+	"README.md": "# readme\n"
+})) {
+	fs.mkdirSync(path.dirname(path.join(projectRoot, relPath)), { recursive: true });
+	fs.writeFileSync(path.join(projectRoot, relPath), content);
+}
+
+after(() => {
+	fs.rmSync(projectRoot, { recursive: true, force: true });
+});
+
+test("lists game.json and the scripts only", () => {
+	assert.deepEqual(listProjectResourceFiles(projectRoot).sort(), ["game.json", "script/main.js", "src/main.ts"]);
+});
+
+test("reads listed files", () => {
+	assert.deepEqual(readProjectResourceFile(projectRoot, "script/main.js"), { mimeType: "text/javascript", text: "module.exports = function () {};\n" });
+	assert.equal(readProjectResourceFile(projectRoot, "./game.json").mimeType, "application/json");
+});
+
+test("refuses files that are not listed, such as .env", () => {
+	for (const relPath of [
+		".env",
+		".git/config",
+		".mcp/history/blobs/0123456789abcdef0123456789abcdef01234567",
+		"node_modules/pkg/index.js",
+		"script/node_modules/dep.js",
+		"README.md",
+		"script/../.env",
+		"../outside.js",
+		"script/missing.js"
+	]) {
+		assert.throws(() => readProjectResourceFile(projectRoot, relPath), /Not a project resource/, relPath);
+	}
+});
@@ -0,0 +1,106 @@
+// test/ranking.test.mjs
+// enable_ranking_mode の解析と生成するスクリプト
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { planRankingSupport } from "../index.js";
+
+const TEMPLATE_DIR = path.resolve(import.meta.dirname, "../template");
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "ranking-test-"));
+const OPTIONS = { totalTimeLimit: 80, endMarginSeconds: 10 };
+
+// template/minimal から JavaScript のプロジェクトを作る
+function createProject(name, { mainSource, extraScripts = {} } = {}) {
+	const projectRoot = path.join(workDir, name);
+	fs.cpSync(path.join(TEMPLATE_DIR, "minimal"), projectRoot, { recursive: true });
+	const gameJson = JSON.parse(fs.readFileSync(path.join(projectRoot, "game.json"), "utf-8").replace(/\{\{\w+\}\}/g, "30"));
+	gameJson.environment.nicolive.supportedModes = [];
+	for (const [scriptPath, source] of Object.entries(extraScripts)) {
+		fs.mkdirSync(path.dirname(path.join(projectRoot, scriptPath)), { recursive: true });
+		fs.writeFileSync(path.join(projectRoot, scriptPath), source);
+		gameJson.assets[path.basename(scriptPath, ".js")] = { type: "script", path: scriptPath, global: true };
+	}
+	fs.writeFileSync(path.join(projectRoot, "game.json"), `${JSON.stringify(gameJson, null, 2)}\n`);
+	if (mainSource) fs.writeFileSync(path.join(projectRoot, "script", "main.js"), mainSource);
+	return projectRoot;
+}
+
+function findOperation(plan, filePath) {
+	return plan.operations.find((operation) => operation.filePath === filePath);
+}
+
+function assertValidSyntax(source, name) {
+	const filePath = path.join(workDir, `${name}.js`);
+	fs.writeFileSync(filePath, source);
+	execFileSync(process.execPath, ["--check", filePath], { stdio: "pipe" });
+}
+
+after(() => {
+	fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test("adds the bootstrap, the ranking module and the game.json settings to a plain project", () => {
+	const plan = planRankingSupport(createProject("plain"), OPTIONS);
+	assert.equal(plan.error, undefined);
+	assert.deepEqual(plan.operations.map((operation) => `${operation.op} ${operation.filePath}`), [
+		"create script/_bootstrap.js",
+		"create script/ranking.js",
+		"overwrite script/main.js",
+		"overwrite game.json"
+	]);
+	const bootstrap = findOperation(plan, "script/_bootstrap.js").content;
+	const main = findOperation(plan, "script/main.js").content;
+	assert.match(bootstrap, /var main = require\("\.\/main"\);/);
+	assert.match(main, /^function main\(param\) \{\n\tvar ranking = require\("\.\/ranking"\)\.setupRanking\(param\);/);
+	assertValidSyntax(bootstrap, "bootstrap");
+	assertValidSyntax(findOperation(plan, "script/ranking.js").content, "ranking");
+	assertValidSyntax(main, "main");
+
+	const gameJson = JSON.parse(findOperation(plan, "game.json").content);
+	assert.equal(gameJson.main, "./script/_bootstrap.js");
+	assert.deepEqual(gameJson.environment.nicolive.supportedModes, ["ranking"]);
+	assert.equal(gameJson.environment.nicolive.preferredSessionParameters.totalTimeLimit, 80);
+	assert.deepEqual(gameJson.assets.ranking, { type: "script", path: "script/ranking.js", global: true });
+	assert.ok(plan.warnings.some((warning) => warning.includes("ranking.addScore(points)")));
+});
+
+test("does not shadow an existing ranking variable in the entry point", () => {
+	const mainSource = [
+		"var ranking = [];",
+		"function main(param) {",
+		"\tvar ranking2 = ranking.length;",
+		"\tg.game.pushScene(new g.Scene({ game: g.game }));",
+		"}",
+		"module.exports = main;",
+		""
+	].join("\n");
+	const plan = planRankingSupport(createProject("existing-name", { mainSource }), OPTIONS);
+	const main = findOperation(plan, "script/main.js").content;
+	assert.match(main, /\tvar ranking3 = require\("\.\/ranking"\)\.setupRanking\(param\);/);
+	assertValidSyntax(main, "existing-name");
+	assert.ok(plan.warnings.some((warning) => warning.includes("ranking3.remainingTime")));
+});
+
+test("finds score and time limit handling in other script assets", () => {
+	const scene = [
+		"module.exports.create = function (param) {",
+		"\tg.game.vars.gameState = { score: 0 };",
+		"\tvar timeLimit = param.sessionParameter.totalTimeLimit || 60;",
+		"};",
+		""
+	].join("\n");
+	const plan = planRankingSupport(createProject("scene-setup", { extraScripts: { "script/scenes/game.js": scene } }), OPTIONS);
+	assert.equal(findOperation(plan, "script/ranking.js"), undefined);
+	assert.equal(findOperation(plan, "script/main.js"), undefined);
+	assert.ok(plan.report.includes("score/countdown: the project scripts already use g.game.vars.gameState and sessionParameter.totalTimeLimit"));
+});
+
+test("refuses TypeScript projects", () => {
+	const projectRoot = path.join(workDir, "typescript");
+	fs.cpSync(path.join(TEMPLATE_DIR, "typescript"), projectRoot, { recursive: true });
+	fs.writeFileSync(path.join(projectRoot, "game.json"), fs.readFileSync(path.join(projectRoot, "game.json"), "utf-8").replace(/\{\{\w+\}\}/g, "30"));
+	assert.match(planRankingSupport(projectRoot, OPTIONS).error, /TypeScript project/);
+});
@@ -0,0 +1,172 @@
+// test/scan-assets.test.mjs
+// akashic_scan_asset の音声の長さの読み取り (Ogg/MP4/ADTS) と game.json の assets の作り直し
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { readAudioDuration, scanProjectAssets } from "../index.js";
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "scan-assets-test-"));
+
+function oggPage(granule, packet) {
+	const header = Buffer.alloc(27);
+	header.write("OggS", 0, "latin1");
+	header.writeBigInt64LE(BigInt(granule), 6);
+	header[26] = 1;
+	return Buffer.concat([header, Buffer.from([packet.length]), packet]);
+}
+
+function createVorbis(sampleRate, totalSamples) {
+	const identification = Buffer.alloc(30);
+	identification[0] = 1;
+	identification.write("vorbis", 1, "latin1");
+	identification[11] = 2;
+	identification.writeUInt32LE(sampleRate, 12);
+	return Buffer.concat([oggPage(0, identification), oggPage(totalSamples / 2, Buffer.alloc(10)), oggPage(totalSamples, Buffer.alloc(10))]);
+}
+
+function createOpus(preSkip, totalSamples) {
+	const head = Buffer.alloc(19);
+	head.write("OpusHead", 0, "latin1");
+	head[8] = 1;
+	head[9] = 2;
+	head.writeUInt16LE(preSkip, 10);
+	head.writeUInt32LE(44100, 12); // 入力のサンプルレート。granule は常に 48kHz
+	return Buffer.concat([oggPage(0, head), oggPage(preSkip + totalSamples, Buffer.alloc(10))]);
+}
+
+function box(type, ...payloads) {
+	const payload = Buffer.concat(payloads);
+	const header = Buffer.alloc(8);
+	header.writeUInt32BE(payload.length + 8);
+	header.write(type, 4, "latin1");
+	return Buffer.concat([header, payload]);
+}
+
+function createMp4(timescale, duration, { version = 0 } = {}) {
+	const mvhd = Buffer.alloc(version === 1 ? 112 : 100);
+	mvhd[0] = version;
+	if (version === 1) {
+		mvhd.writeUInt32BE(timescale, 20);
+		mvhd.writeBigUInt64BE(BigInt(duration), 24);
+	} else {
+		mvhd.writeUInt32BE(timescale, 12);
+		mvhd.writeUInt32BE(duration, 16);
+	}
+	return Buffer.concat([box("ftyp", Buffer.from("M4A \0\0\0\0", "latin1")), box("free", Buffer.alloc(16)), box("moov", box("mvhd", mvhd), box("trak"))]);
+}
+
+function adtsFrame(sampleRateIndex, frameLength, blocks = 1) {
+	const frame = Buffer.alloc(frameLength);
+	frame[0] = 0xff;
+	frame[1] = 0xf1;
+	frame[2] = (1 << 6) | (sampleRateIndex << 2);
+	frame[3] = (2 << 6) | ((frameLength >> 11) & 0x03);
+	frame[4] = (frameLength >> 3) & 0xff;
+	frame[5] = ((frameLength & 0x07) << 5) | 0x1f;
+	frame[6] = 0xfc | (blocks - 1);
+	return frame;
+}
+
+function createAdts(frames, { id3 = false } = {}) {
+	// 44100Hz (index 4)
+	const data = Buffer.concat(Array.from({ length: frames }, () => adtsFrame(4, 200)));
+	if (!id3) return data;
+	const tag = Buffer.from([0x49, 0x44, 0x33, 4, 0, 0, 0, 0, 0x01, 0x00]); // ID3v2、サイズ 128 (syncsafe)
+	return Buffer.concat([tag, Buffer.alloc(128), data]);
+}
+
+function createPng(width, height) {
+	const png = Buffer.alloc(57);
+	Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(png);
+	png.writeUInt32BE(13, 8);
+	png.write("IHDR", 12, "latin1");
+	png.writeUInt32BE(width, 16);
+	png.writeUInt32BE(height, 20);
+	png.write("IEND", 37, "latin1");
+	return png;
+}
+
+function writeProjectFile(projectRoot, relativePath, data) {
+	const fullPath = path.join(projectRoot, relativePath);
+	fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+	fs.writeFileSync(fullPath, data);
+}
+
+after(() => {
+	fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test("reads the duration of Ogg Vorbis and Opus files", () => {
+	assert.equal(readAudioDuration(createVorbis(44100, 88200), ".ogg"), 2);
+	assert.equal(readAudioDuration(createOpus(312, 72000), ".ogg"), 1.5);
+	assert.equal(readAudioDuration(oggPage(100, Buffer.from("\x01unknown", "latin1")), ".ogg"), null);
+	assert.equal(readAudioDuration(Buffer.from("RIFF"), ".ogg"), null);
+});
+
+test("reads the duration of MP4/M4A files from mvhd", () => {
+	assert.equal(readAudioDuration(createMp4(1000, 2500), ".m4a"), 2.5);
+	assert.equal(readAudioDuration(createMp4(48000, 96000, { version: 1 }), ".m4a"), 2);
+	assert.equal(readAudioDuration(box("ftyp", Buffer.alloc(8)), ".m4a"), null);
+	assert.equal(readAudioDuration(createMp4(0, 100), ".m4a"), null);
+});
+
+test("counts ADTS frames and falls back to MP4 for .aac", () => {
+	assert.equal(readAudioDuration(createAdts(43), ".aac"), (43 * 1024) / 44100);
+	assert.equal(readAudioDuration(createAdts(43, { id3: true }), ".aac"), (43 * 1024) / 44100);
+	assert.equal(readAudioDuration(createMp4(1000, 750), ".aac"), 0.75);
+	assert.equal(readAudioDuration(Buffer.alloc(16), ".aac"), null);
+	assert.equal(readAudioDuration(createAdts(1), ".wav"), null);
+});
+
+test("rebuilds game.json assets from the project files", () => {
+	const projectRoot = path.join(workDir, "game");
+	writeProjectFile(projectRoot, "image/player.png", createPng(64, 32));
+	writeProjectFile(projectRoot, "image/ui/button.png", createPng(4096, 16));
+	writeProjectFile(projectRoot, "image/broken.png", Buffer.from("not an image"));
+	writeProjectFile(projectRoot, "image/readme.txt", "ignored");
+	writeProjectFile(projectRoot, "audio/bgm.ogg", createVorbis(44100, 44100 * 3));
+	writeProjectFile(projectRoot, "audio/bgm.m4a", createMp4(1000, 3020));
+	writeProjectFile(projectRoot, "audio/se.aac", createAdts(10));
+	writeProjectFile(projectRoot, "audio/noise.ogg", Buffer.from("OggS"));
+	writeProjectFile(projectRoot, "script/main.js", "module.exports = function () {};\n");
+	writeProjectFile(projectRoot, "text/stage.json", "{}\n");
+	writeProjectFile(projectRoot, "text/.hidden", "ignored");
+
+	const gameJson = {
+		main: "./script/main.js",
+		assets: {
+			hero: { type: "image", path: "image/player.png", width: 1, height: 1, global: true },
+			broken: { type: "image", path: "image/broken.png", width: 8, height: 8 },
+			old_bgm: { type: "audio", path: "audio/old", systemId: "music", duration: 1000 },
+			font: { type: "bitmapfont", path: "font/font.png" }
+		}
+	};
+	const result = scanProjectAssets(projectRoot, gameJson);
+
+	assert.deepEqual(gameJson.assets.hero, { type: "image", path: "image/player.png", width: 64, height: 32, global: true });
+	assert.deepEqual(gameJson.assets.broken, { type: "image", path: "image/broken.png", width: 8, height: 8 });
+	assert.deepEqual(gameJson.assets.button, { type: "image", path: "image/ui/button.png", width: 4096, height: 16 });
+	assert.deepEqual(gameJson.assets.bgm, { type: "audio", path: "audio/bgm", duration: 3020, systemId: "sound" });
+	assert.deepEqual(gameJson.assets.se, { type: "audio", path: "audio/se", duration: 233, systemId: "sound" });
+	assert.deepEqual(gameJson.assets.main, { type: "script", path: "script/main.js", global: true });
+	assert.deepEqual(gameJson.assets.stage, { type: "text", path: "text/stage.json" });
+	assert.deepEqual(gameJson.assets.font, { type: "bitmapfont", path: "font/font.png" });
+	assert.equal(gameJson.assets.old_bgm, undefined);
+	assert.equal(gameJson.assets.noise, undefined);
+
+	assert.deepEqual(result.added.sort(), ["bgm (audio/bgm)", "button (image/ui/button.png)", "main (script/main.js)", "se (audio/se)", "stage (text/stage.json)"]);
+	assert.deepEqual(result.updated, ["hero (image/player.png)"]);
+	assert.deepEqual(result.removed, ["old_bgm (audio/old)"]);
+	assert.deepEqual(result.warnings, [
+		"image/broken.png: skipped (not a PNG or JPEG file (unknown header))",
+		"image/ui/button.png: 4096x16 exceeds 2048px; some devices cannot load textures this large. Consider resizing or splitting it.",
+		"audio/noise: skipped (could not read the duration of audio/noise.ogg)",
+		"audio/se: no .ogg/.m4a variant; some browsers cannot play it (run_complete_audio can convert)"
+	]);
+
+	// 2 回目は何も変わらない
+	const again = scanProjectAssets(projectRoot, gameJson);
+	assert.deepEqual([again.added, again.updated, again.removed], [[], [], []]);
+});
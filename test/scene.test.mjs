@@ -0,0 +1,127 @@
+// test/scene.test.mjs
+// add_scene が生成するシーンのスクリプトと、エントリーポイントへのシーン登録表・最初のシーンへの遷移
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import vm from "vm";
+import { findGameEntryPoint, renderSceneModule, wireSceneIntoEntry } from "../index.js";
+
+const TEMPLATE_DIR = path.resolve(import.meta.dirname, "../template");
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "scene-test-"));
+
+function readTemplate(relativePath) {
+	return fs.readFileSync(path.join(TEMPLATE_DIR, relativePath), "utf-8")
+		.replace(/\{\{totalTimeLimit\}\}/g, "60")
+		.replace(/\{\{\w+\}\}/g, "1");
+}
+
+function assertValidSyntax(source, name) {
+	const filePath = path.join(workDir, `${name}.js`);
+	fs.writeFileSync(filePath, source);
+	execFileSync(process.execPath, ["--check", filePath], { stdio: "pipe" });
+}
+
+// g.game と require を差し替えて main(param) を実行し、pushScene されたシーンを返す
+function runEntryPoint(source, param) {
+	const pushed = [];
+	const trigger = () => ({ add() {} });
+	const g = {
+		game: { vars: {}, width: 640, height: 360, fps: 30, pushScene: (scene) => pushed.push(scene), replaceScene() {} },
+		Scene: function (options) {
+			this.name = options.name || "(main)";
+			this.onLoad = trigger();
+			this.onUpdate = trigger();
+		}
+	};
+	const module = { exports: {} };
+	const require = (requirePath) => ({ create: (sceneParam) => new g.Scene({ name: requirePath, param: sceneParam }) });
+	vm.runInNewContext(source, { g, module, exports: module.exports, require });
+	module.exports(param);
+	return { pushed: pushed.map((scene) => scene.name), vars: g.game.vars };
+}
+
+after(() => {
+	fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test("renderSceneModule generates a valid v3 scene script", () => {
+	const withTransition = renderSceneModule({ name: "title", assetPaths: ["/image/player.png", "/audio/bgm"], nextScene: "game" });
+	assertValidSyntax(withTransition, "title");
+	assert.match(withTransition, /function createTitleScene\(param\)/);
+	assert.match(withTransition, /assetPaths: \[\n\t\t\t"\/image\/player\.png",\n\t\t\t"\/audio\/bgm"\n\t\t\]/);
+	assert.match(withTransition, /g\.game\.vars\.goToScene\("game", param\)/);
+	assertValidSyntax(renderSceneModule({ name: "game_over", assetPaths: [], nextScene: undefined }), "game_over");
+});
+
+test("registers scenes and starts a plain entry point with the initial scene", () => {
+	const source = readTemplate("minimal/script/main.js");
+	const first = wireSceneIntoEntry(source, { name: "title", requirePath: "./scenes/title", initial: true });
+	const second = wireSceneIntoEntry(first.text, { name: "game", requirePath: "./scenes/game", initial: false });
+	assertValidSyntax(second.text, "minimal-main");
+	assert.equal(second.text.match(/--- add_scene: scene registry/g).length, 1);
+	assert.match(second.text, /"title": require\("\.\/scenes\/title"\)\.create,\n\t"game": require\("\.\/scenes\/game"\)\.create/);
+	assert.match(second.text, /\n\tg\.game\.pushScene\(sceneFactories\["title"\]\(param\)\); \/\/ add_scene: initial scene \(was: g\.game\.pushScene\(scene\)\)\n\}/);
+	assert.ok(!second.text.includes("return;"));
+	assert.deepEqual(runEntryPoint(second.text, {}).pushed, ["./scenes/title"]);
+});
+
+test("replaces the pushScene call of the ranking template and keeps its setup values", () => {
+	const source = readTemplate("ranking/script/main.js");
+	const { text, notes } = wireSceneIntoEntry(source, { name: "title", requirePath: "./scenes/title", initial: true });
+	assertValidSyntax(text, "ranking-main");
+	assert.ok(!text.includes("return; //"));
+	// 元の処理 (カウントダウンなど) はそのまま残り、最後の pushScene だけが変わる
+	assert.equal(text.slice(text.indexOf("function main")).replace(/\n\tg\.game\.vars\.timeLimit = .*/, "").replace(/g\.game\.pushScene\(sceneFactories.*/, "g.game.pushScene(scene);"), source);
+	assert.match(text, /\tg\.game\.vars\.timeLimit = timeLimit; \/\/ add_scene: initial scene \(for scenes\)\n\tg\.game\.pushScene\(sceneFactories\["title"\]\(param\)\);/);
+	assert.match(notes[0], /now pushes the 'title' scene instead of scene/);
+	assert.match(notes[1], /timeLimit is also stored in g\.game\.vars/);
+	const result = runEntryPoint(text, { sessionParameter: { totalTimeLimit: 80 } });
+	assert.deepEqual(result.pushed, ["./scenes/title"]);
+	assert.equal(result.vars.gameState.score, 0);
+	assert.equal(result.vars.timeLimit, 70);
+});
+
+test("changes the initial scene on later runs", () => {
+	const source = [
+		"function main(param) {",
+		"\tvar ranking = require(\"./ranking\").setupRanking(param); // enable_ranking_mode: score state and countdown",
+		"\tvar scene = new g.Scene({ game: g.game });",
+		"\tg.game.pushScene(scene);",
+		"}",
+		"module.exports = main;",
+		""
+	].join("\r\n");
+	const first = wireSceneIntoEntry(source, { name: "title", requirePath: "./scenes/title", initial: true });
+	const { text, notes } = wireSceneIntoEntry(first.text, { name: "game", requirePath: "./scenes/game", initial: true });
+	assert.ok(!text.replace(/\r\n/g, "").includes("\n"), "keeps CRLF line endings");
+	const lines = text.split("\r\n");
+	const mainIndex = lines.indexOf("function main(param) {");
+	assert.match(lines[mainIndex + 1], /setupRanking\(param\)/);
+	assert.match(lines[mainIndex + 3], /^\tg\.game\.pushScene\(sceneFactories\["game"\]\(param\)\); \/\/ add_scene: initial scene \(was: g\.game\.pushScene\(scene\)\)$/);
+	assert.equal(text.match(/add_scene: initial scene/g).length, 1);
+	assert.deepEqual(notes, ["The entry point now starts with the 'game' scene."]);
+	assertValidSyntax(text, "ranking-mode-main");
+});
+
+test("refuses to pick the initial scene when main() does not push exactly one scene", () => {
+	const none = "function main(param) {\n\tg.game.vars.goToScene(\"title\", param);\n}\nmodule.exports = main;\n";
+	assert.match(wireSceneIntoEntry(none, { name: "title", requirePath: "./scenes/title", initial: true }).error, /main\(\) has no top-level g\.game\.pushScene/);
+	const two = "function main(param) {\n\tg.game.pushScene(a);\n\tg.game.pushScene(b);\n}\nmodule.exports = main;\n";
+	assert.match(wireSceneIntoEntry(two, { name: "title", requirePath: "./scenes/title", initial: true }).error, /has more than one top-level g\.game\.pushScene/);
+	assert.equal(wireSceneIntoEntry(two, { name: "title", requirePath: "./scenes/title", initial: false }).error, undefined);
+});
+
+test("findGameEntryPoint follows _bootstrap.js and refuses TypeScript projects", () => {
+	const ranking = path.join(workDir, "ranking");
+	fs.cpSync(path.join(TEMPLATE_DIR, "ranking"), ranking, { recursive: true });
+	assert.deepEqual(findGameEntryPoint(ranking, { main: "./script/_bootstrap.js" }), { entryPath: "script/main.js", bootstrapShape: "module.exports" });
+
+	const typescript = path.join(workDir, "typescript");
+	fs.cpSync(path.join(TEMPLATE_DIR, "typescript"), typescript, { recursive: true });
+	assert.match(findGameEntryPoint(typescript, { main: "./script/main.js" }).error, /TypeScript project \(tsconfig\.json found\)/);
+	fs.rmSync(path.join(typescript, "tsconfig.json"));
+	assert.match(findGameEntryPoint(typescript, { main: "./script/main.js" }).error, /TypeScript project \(src\/\*\.ts found\)/);
+});
@@ -0,0 +1,35 @@
+// test/script-syntax.test.mjs
+// create_game_file / edit_game_file の書き込み前の構文チェック (node --check)
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { checkScriptSyntax } from "../index.js";
+
+const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), "script-syntax-test-"));
+
+after(() => {
+	fs.rmSync(projectRoot, { recursive: true, force: true });
+});
+
+test("reports syntax errors with the project-relative path", async () => {
+	assert.deepEqual(await checkScriptSyntax(projectRoot, "script/main.js", "module.exports = () => 1;\n"), []);
+	const [error] = await checkScriptSyntax(projectRoot, "script/main.js", "function main( {\n");
+	assert.match(error, /^Syntax error: script\/main\.js:\d+\nSyntaxError: /);
+	assert.ok(!error.includes(".mcp"));
+});
+
+test("leaves no temporary directory behind", async () => {
+	await checkScriptSyntax(projectRoot, "script/a.js", "var a = 1;\n");
+	await checkScriptSyntax(projectRoot, "script/b.js", "var b = ;\n");
+	assert.ok(!fs.existsSync(path.join(projectRoot, ".mcp", "tmp")));
+});
+
+test("keeps .mcp/tmp when another file is still in it", async () => {
+	const tmpDir = path.join(projectRoot, ".mcp", "tmp");
+	fs.mkdirSync(path.join(tmpDir, "staging"), { recursive: true });
+	await checkScriptSyntax(projectRoot, "script/a.js", "var a = 1;\n");
+	assert.ok(fs.existsSync(path.join(tmpDir, "staging")));
+	fs.rmSync(tmpDir, { recursive: true });
+});
@@ -0,0 +1,68 @@
+// test/search.test.mjs
+// search_akashic_docs の BM25 索引 (日本語は文字 bigram、識別子はドット区切りも分割)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { tokenizeForSearch, buildSearchIndex, searchIndex, findHighlightRanges, buildHitExcerpt } from "../index.js";
+
+test("splits identifiers and keeps dotted names as a whole", () => {
+	assert.deepEqual(tokenizeForSearch("g.Sprite#srcWidth を使う"), ["g.sprite#srcwidth", "sprite", "srcwidth", "を使", "使う"]);
+	assert.deepEqual(tokenizeForSearch("scene.onLoad.add(func)"), ["scene.onload.add", "scene", "onload", "add", "func"]);
+	assert.deepEqual(tokenizeForSearch("$var_name 42"), ["$var_name", "42"]);
+});
+
+test("indexes Japanese text as character bigrams after NFKC normalization", () => {
+	assert.deepEqual(tokenizeForSearch("当たり判定"), ["当た", "たり", "り判", "判定"]);
+	assert.deepEqual(tokenizeForSearch("音"), ["音"]);
+	// 全角英数字と半角カナは NFKC で揃える
+	assert.deepEqual(tokenizeForSearch("ＦｉｌｌｅｄＲｅｃｔ ｼｰﾝ"), ["filledrect", "シー", "ーン"]);
+	assert.deepEqual(tokenizeForSearch("、。！？ -- "), []);
+	assert.deepEqual(tokenizeForSearch(undefined), []);
+});
+
+test("ranks documents with BM25 and prefers title matches", () => {
+	const docs = [
+		{ title: "シーン", content: "g.Scene はゲームの画面を表します。シーンを切り替えるには g.game.pushScene を使います。" },
+		{ title: "スプライト", content: "g.Sprite は画像を表示します。シーンに append して使います。" },
+		{ title: "音声", content: "g.game.audio で音を再生します。" },
+		{ title: "入力", content: "pointDown で入力を受け取ります。" }
+	];
+	const index = buildSearchIndex(docs);
+	assert.equal(index.docs.length, 4);
+	assert.deepEqual(index.postings.get("シー").map((posting) => posting.docIndex), [0, 1]);
+
+	const result = searchIndex(index, "シーン", 10);
+	assert.deepEqual(result.queryTerms, ["シー", "ーン"]);
+	assert.deepEqual(result.hits.map((hit) => hit.doc.title), ["シーン", "スプライト"]);
+	assert.ok(result.hits[0].score > result.hits[1].score);
+
+	const identifier = searchIndex(index, "pushScene", 10);
+	assert.deepEqual(identifier.hits.map((hit) => hit.doc.title), ["シーン"]);
+	assert.deepEqual(identifier.hits[0].matchedTerms, ["pushscene"]);
+
+	assert.deepEqual(searchIndex(index, "シーン", 1).hits.length, 1);
+	assert.deepEqual(searchIndex(index, "!!", 10).hits, []);
+	assert.deepEqual(searchIndex(index, "シーン", 10, { filter: (doc) => doc.title !== "シーン" }).hits.map((hit) => hit.doc.title), ["スプライト"]);
+});
+
+test("highlights and centers on full-width and half-width matches in the original text", () => {
+	const text = "前置き ＦｉｌｌｅｄＲｅｃｔ と ｼｰﾝ と ﾊﾟﾗﾒｰﾀ";
+	const ranges = findHighlightRanges(text, ["filledrect", "シー", "ーン", "パラ"]);
+	assert.deepEqual(ranges.map(([start, end]) => text.slice(start, end)), ["ＦｉｌｌｅｄＲｅｃｔ", "ｼｰﾝ", "ﾊﾟﾗ"]);
+
+	const long = `${"あ".repeat(200)}ＦｉｌｌｅｄＲｅｃｔ で塗りつぶした矩形を描く${"い".repeat(200)}`;
+	const excerpt = buildHitExcerpt(long, ["filledrect"], new Map([["filledrect", 1]]), 60, true);
+	assert.match(excerpt, /^\.\.\.あ+\*\*ＦｉｌｌｅｄＲｅｃｔ\*\* で塗りつぶした矩形を描くい+\.\.\.$/);
+	assert.equal(buildHitExcerpt("ｼｰﾝ", ["シー", "ーン"], new Map(), 60, true), "**ｼｰﾝ**");
+});
+
+test("data/synonyms.json expands queries to v3 API names only", () => {
+	const groups = JSON.parse(fs.readFileSync(new URL("../data/synonyms.json", import.meta.url), "utf-8"));
+	// v1/v2 の名前 (v3 では onXxx のトリガーや別の API に変わった)
+	const legacyNames = ["update", "loaded", "pointDown", "pointMove", "pointUp", "g.game.join", "g.game.leave", "storage", "message"];
+	for (const group of groups) {
+		for (const term of Object.values(group).flat()) {
+			assert.ok(!legacyNames.includes(term), `${term} in ${JSON.stringify(group)}`);
+		}
+	}
+});